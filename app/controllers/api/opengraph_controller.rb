@@ -0,0 +1,20 @@
+# frozen_string_literal: true
+
+# OpenGraph metadata for link previews (GET /api/opengraph?url=...), the
+# default opengraphUrl of the JS client's linkPreview. Off unless
+# config.opengraph_endpoint_enabled is set, and only fetches public addresses.
+class Api::OpengraphController < ApplicationController
+  FETCH_FAILED = 'Could not fetch OpenGraph data for this url'
+
+  def show
+    return head :not_found unless RichTextExtraction.configuration.opengraph_endpoint_enabled
+
+    url = params[:url].to_s
+    return render json: { error: 'url must be a public http(s) URL' }, status: :bad_request unless RichTextExtraction::PublicUrl.public?(url)
+
+    og_data = RichTextExtraction::OpenGraphService.new.extract(url, cache: :rails, public_only: true)
+    return render json: { error: FETCH_FAILED }, status: :bad_gateway if og_data.key?(:error)
+
+    render json: og_data
+  end
+end
@@ -6,6 +6,13 @@ class Api::UniversalExtractionController < ApplicationController
     render json: result
   end
 
+  def batch_extract
+    results = Array(params[:texts]).map do |text|
+      RichTextExtraction::Universal::InterfaceAdapter.handle_request(type: :extract, data: text, options: params.to_unsafe_h.except(:texts))
+    end
+    render json: { results: results }
+  end
+
   def validate
     result = RichTextExtraction::Universal::InterfaceAdapter.handle_request(type: :validate, data: params[:value], options: params.to_unsafe_h)
     render json: result
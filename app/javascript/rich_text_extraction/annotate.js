@@ -0,0 +1,142 @@
+// Wraps extracted entities in markup. Text is always escaped, hrefs are
+// limited to safe schemes, and overlapping entities resolve to the longest
+// match (an email wins over the mention inside it). Output is either an HTML
+// string or a DocumentFragment built without parsing any HTML.
+
+export const DEFAULT_ANNOTATE_OPTIONS = {
+  types: ['link', 'email', 'phone', 'mention', 'hashtag'],
+  // Per-type href templates, e.g. { mention: '/users/{value}' } or entity => href
+  templates: {},
+  // Per-type allowlists: hosts for URL types, normalized values otherwise, or entity => boolean
+  allow: {},
+  rel: 'noopener nofollow',
+  target: null,
+  className: null
+};
+
+const URL_TYPES = ['link', 'image', 'attachment', 'markdown_link'];
+const SAFE_SCHEMES = ['http:', 'https:', 'mailto:', 'tel:'];
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+export function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+// Relative URLs or one of SAFE_SCHEMES; rejects javascript:, data: and friends.
+// Browsers ignore control characters and whitespace in the scheme, so do we.
+export function isSafeHref(href) {
+  const scheme = String(href).replace(/[\u0000- ]/g, '').match(/^([a-z][a-z0-9+.-]*:)/i);
+  return scheme ? SAFE_SCHEMES.includes(scheme[1].toLowerCase()) : true;
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+}
+
+function isAllowed(entity, rule) {
+  if (rule === undefined || rule === null) return true;
+  if (typeof rule === 'function') return Boolean(rule(entity));
+
+  const allowed = rule.map(item => String(item).toLowerCase());
+  if (URL_TYPES.includes(entity.type)) {
+    const host = hostOf(entity.normalized);
+    return Boolean(host) && allowed.some(item => host === item || host.endsWith(`.${item}`));
+  }
+  return allowed.includes(String(entity.normalized).toLowerCase());
+}
+
+function hrefFor(entity, template) {
+  if (typeof template === 'function') return template(entity);
+  if (typeof template === 'string') return template.replace(/\{value\}/g, encodeURIComponent(entity.normalized));
+
+  if (URL_TYPES.includes(entity.type)) return entity.normalized;
+  if (entity.type === 'email') return `mailto:${entity.normalized}`;
+  if (entity.type === 'phone') return `tel:${entity.normalized}${entity.extension ? `;ext=${entity.extension}` : ''}`;
+  return null;
+}
+
+// Longest match first at each position, then skip anything overlapping it
+function selectEntities(entities) {
+  const sorted = [...entities].sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+  const selected = [];
+  let lastEnd = 0;
+
+  sorted.forEach(entity => {
+    if (entity.start < lastEnd || entity.start < 0 || entity.end <= entity.start) return;
+    selected.push(entity);
+    lastEnd = entity.end;
+  });
+
+  return selected;
+}
+
+// Splits `text` into plain and entity segments:
+// { text } or { text, entity, href, attributes }
+export function annotateSegments(text, entities, options = {}) {
+  const config = { ...DEFAULT_ANNOTATE_OPTIONS, ...options };
+  const candidates = entities.filter(entity =>
+    config.types.includes(entity.type) && isAllowed(entity, config.allow[entity.type])
+  );
+  const segments = [];
+  let cursor = 0;
+
+  selectEntities(candidates).forEach(entity => {
+    if (entity.start > cursor) segments.push({ text: text.slice(cursor, entity.start) });
+
+    let href = hrefFor(entity, config.templates[entity.type]);
+    if (href && !isSafeHref(href)) href = null;
+
+    const attributes = { 'data-entity-type': entity.type, 'data-entity-value': entity.normalized };
+    if (config.className) attributes.class = config.className;
+    if (href) attributes.href = href;
+    // mailto: and tel: links do not navigate, so rel/target would be noise
+    if (href && !/^(mailto|tel):/i.test(href)) {
+      if (config.rel) attributes.rel = config.rel;
+      if (config.target) attributes.target = config.target;
+    }
+
+    // Markdown links show their link text rather than the raw syntax
+    const label = entity.value && typeof entity.value === 'object' ? entity.value.text : text.slice(entity.start, entity.end);
+    segments.push({ text: label, entity, href, attributes });
+    cursor = entity.end;
+  });
+
+  if (cursor < text.length) segments.push({ text: text.slice(cursor) });
+  return segments;
+}
+
+export function renderAnnotatedHtml(text, entities, options = {}) {
+  return annotateSegments(text, entities, options).map(segment => {
+    if (!segment.entity) return escapeHtml(segment.text);
+
+    const tag = segment.href ? 'a' : 'span';
+    const attributes = Object.entries(segment.attributes)
+      .map(([name, value]) => ` ${name}="${escapeHtml(value)}"`)
+      .join('');
+    return `<${tag}${attributes}>${escapeHtml(segment.text)}</${tag}>`;
+  }).join('');
+}
+
+export function renderAnnotatedFragment(text, entities, options = {}) {
+  const doc = options.document || (typeof document !== 'undefined' ? document : null);
+  if (!doc) throw new Error('A document is required to build a DOM fragment');
+
+  const fragment = doc.createDocumentFragment();
+  annotateSegments(text, entities, options).forEach(segment => {
+    if (!segment.entity) {
+      fragment.appendChild(doc.createTextNode(segment.text));
+      return;
+    }
+
+    const element = doc.createElement(segment.href ? 'a' : 'span');
+    Object.entries(segment.attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    element.textContent = segment.text;
+    fragment.appendChild(element);
+  });
+  return fragment;
+}
@@ -0,0 +1,460 @@
+// DO NOT EDIT: generated by bin/generate_api_client.js from docs/api/openapi.json.
+// Change bin/generate_openapi_spec.rb, then run `npm run generate:client`.
+import { callOperation } from './api_schema.js';
+
+export const API_OPERATIONS = {
+  listValidators: {
+    operationId: 'listValidators',
+    method: 'GET',
+    path: '/validators',
+    summary: 'List all validators',
+    idempotent: true,
+    parameters: [
+      {
+        name: 'fields',
+        in: 'query',
+        required: false,
+        schema: { type: 'string' }
+      }
+    ],
+    requestBody: null,
+    response: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          symbol: { type: 'string' },
+          schema_type: { type: 'string', nullable: true },
+          schema_property: { type: 'string', nullable: true },
+          description: { type: 'string', nullable: true },
+          regex: { type: 'string', nullable: true },
+          valid: {
+            type: 'array',
+            items: { type: 'string' }
+          },
+          invalid: {
+            type: 'array',
+            items: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+  listValidatorFields: {
+    operationId: 'listValidatorFields',
+    method: 'GET',
+    path: '/validators/fields',
+    summary: 'List all available fields',
+    idempotent: true,
+    parameters: [],
+    requestBody: null,
+    response: {
+      type: 'object',
+      properties: {
+        fields: {
+          type: 'array',
+          items: { type: 'string' }
+        }
+      }
+    }
+  },
+  showValidator: {
+    operationId: 'showValidator',
+    method: 'GET',
+    path: '/validators/{id}',
+    summary: 'Get metadata for a validator',
+    idempotent: true,
+    parameters: [
+      {
+        name: 'id',
+        in: 'path',
+        required: true,
+        schema: { type: 'string' }
+      },
+      {
+        name: 'fields',
+        in: 'query',
+        required: false,
+        schema: { type: 'string' }
+      }
+    ],
+    requestBody: null,
+    response: {
+      type: 'object',
+      properties: {
+        symbol: { type: 'string' },
+        schema_type: { type: 'string', nullable: true },
+        schema_property: { type: 'string', nullable: true },
+        description: { type: 'string', nullable: true },
+        regex: { type: 'string', nullable: true },
+        valid: {
+          type: 'array',
+          items: { type: 'string' }
+        },
+        invalid: {
+          type: 'array',
+          items: { type: 'string' }
+        }
+      }
+    }
+  },
+  validatorJsonld: {
+    operationId: 'validatorJsonld',
+    method: 'GET',
+    path: '/validators/{id}/jsonld',
+    summary: 'Get schema.org JSON-LD for a value',
+    idempotent: true,
+    parameters: [
+      {
+        name: 'id',
+        in: 'path',
+        required: true,
+        schema: { type: 'string' }
+      },
+      {
+        name: 'value',
+        in: 'query',
+        required: true,
+        schema: { type: 'string' }
+      }
+    ],
+    requestBody: null,
+    response: { type: 'object' }
+  },
+  validatorExamples: {
+    operationId: 'validatorExamples',
+    method: 'GET',
+    path: '/validators/{id}/examples',
+    summary: 'Get valid/invalid examples for a validator',
+    idempotent: true,
+    parameters: [
+      {
+        name: 'id',
+        in: 'path',
+        required: true,
+        schema: { type: 'string' }
+      }
+    ],
+    requestBody: null,
+    response: {
+      type: 'object',
+      properties: {
+        examples: {
+          type: 'object',
+          properties: {
+            valid: {
+              type: 'array',
+              items: { type: 'string' }
+            },
+            invalid: {
+              type: 'array',
+              items: { type: 'string' }
+            }
+          }
+        }
+      },
+      required: ['examples']
+    }
+  },
+  validatorRegex: {
+    operationId: 'validatorRegex',
+    method: 'GET',
+    path: '/validators/{id}/regex',
+    summary: 'Get regex for a validator',
+    idempotent: true,
+    parameters: [
+      {
+        name: 'id',
+        in: 'path',
+        required: true,
+        schema: { type: 'string' }
+      }
+    ],
+    requestBody: null,
+    response: {
+      type: 'object',
+      properties: {
+        regex: { type: 'string' }
+      }
+    }
+  },
+  validateValue: {
+    operationId: 'validateValue',
+    method: 'POST',
+    path: '/validators/{id}/validate',
+    summary: 'Validate a value',
+    idempotent: true,
+    parameters: [
+      {
+        name: 'id',
+        in: 'path',
+        required: true,
+        schema: { type: 'string' }
+      }
+    ],
+    requestBody: {
+      required: true,
+      schema: {
+        type: 'object',
+        properties: {
+          value: { type: 'string' }
+        },
+        required: ['value']
+      }
+    },
+    response: {
+      type: 'object',
+      properties: {
+        valid: { type: 'boolean' },
+        errors: {
+          type: 'array',
+          items: { type: 'string' }
+        },
+        jsonld: { type: 'object', nullable: true }
+      }
+    }
+  },
+  batchValidateValues: {
+    operationId: 'batchValidateValues',
+    method: 'POST',
+    path: '/validators/{id}/batch_validate',
+    summary: 'Batch validate values',
+    idempotent: true,
+    parameters: [
+      {
+        name: 'id',
+        in: 'path',
+        required: true,
+        schema: { type: 'string' }
+      }
+    ],
+    requestBody: {
+      required: true,
+      schema: {
+        type: 'object',
+        properties: {
+          values: {
+            type: 'array',
+            items: { type: 'string' }
+          }
+        },
+        required: ['values']
+      }
+    },
+    response: {
+      type: 'object',
+      properties: {
+        results: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              value: { type: 'string' },
+              valid: { type: 'boolean' },
+              errors: {
+                type: 'array',
+                items: { type: 'string' }
+              }
+            },
+            required: ['value', 'valid', 'errors']
+          }
+        },
+        metadata: {
+          type: 'object',
+          properties: {
+            symbol: { type: 'string' },
+            schema_type: { type: 'string', nullable: true },
+            schema_property: { type: 'string', nullable: true },
+            description: { type: 'string', nullable: true },
+            regex: { type: 'string', nullable: true },
+            valid: {
+              type: 'array',
+              items: { type: 'string' }
+            },
+            invalid: {
+              type: 'array',
+              items: { type: 'string' }
+            }
+          }
+        }
+      },
+      required: ['results', 'metadata']
+    }
+  },
+  extract: {
+    operationId: 'extract',
+    method: 'POST',
+    path: '/api/extract',
+    summary: 'Extract entities from text',
+    idempotent: true,
+    parameters: [],
+    requestBody: {
+      required: true,
+      schema: {
+        type: 'object',
+        properties: {
+          text: { type: 'string' }
+        },
+        required: ['text']
+      }
+    },
+    response: { type: 'object' }
+  },
+  batchExtract: {
+    operationId: 'batchExtract',
+    method: 'POST',
+    path: '/api/batch_extract',
+    summary: 'Extract entities from several texts',
+    idempotent: true,
+    parameters: [],
+    requestBody: {
+      required: true,
+      schema: {
+        type: 'object',
+        properties: {
+          texts: {
+            type: 'array',
+            items: { type: 'string' }
+          }
+        },
+        required: ['texts']
+      }
+    },
+    response: {
+      type: 'object',
+      properties: {
+        results: {
+          type: 'array',
+          items: { type: 'object' }
+        }
+      },
+      required: ['results']
+    }
+  },
+  validateText: {
+    operationId: 'validateText',
+    method: 'POST',
+    path: '/api/validate',
+    summary: 'Validate a value with the universal validators',
+    idempotent: true,
+    parameters: [],
+    requestBody: {
+      required: true,
+      schema: {
+        type: 'object',
+        properties: {
+          value: { type: 'string' }
+        },
+        required: ['value']
+      }
+    },
+    response: { type: 'boolean' }
+  },
+  opengraph: {
+    operationId: 'opengraph',
+    method: 'GET',
+    path: '/api/opengraph',
+    summary: 'OpenGraph metadata of a page',
+    idempotent: true,
+    parameters: [
+      {
+        name: 'url',
+        in: 'query',
+        required: true,
+        schema: { type: 'string' }
+      }
+    ],
+    requestBody: null,
+    response: { type: 'object' }
+  },
+  health: {
+    operationId: 'health',
+    method: 'GET',
+    path: '/health',
+    summary: 'Health check',
+    idempotent: true,
+    parameters: [],
+    requestBody: null,
+    response: {
+      type: 'object',
+      properties: {
+        status: { type: 'string' },
+        time: { type: 'string' }
+      },
+      required: ['status']
+    }
+  }
+};
+
+// client.api: one method per operation, taking path and query parameters by
+// name plus `body`, and the usual request options
+export class ApiClient {
+  constructor(client) {
+    this.client = client;
+  }
+
+  // GET /validators: List all validators
+  listValidators(params = {}, requestOptions = {}) {
+    return callOperation(this.client, API_OPERATIONS.listValidators, params, requestOptions);
+  }
+
+  // GET /validators/fields: List all available fields
+  listValidatorFields(params = {}, requestOptions = {}) {
+    return callOperation(this.client, API_OPERATIONS.listValidatorFields, params, requestOptions);
+  }
+
+  // GET /validators/{id}: Get metadata for a validator
+  showValidator(params = {}, requestOptions = {}) {
+    return callOperation(this.client, API_OPERATIONS.showValidator, params, requestOptions);
+  }
+
+  // GET /validators/{id}/jsonld: Get schema.org JSON-LD for a value
+  validatorJsonld(params = {}, requestOptions = {}) {
+    return callOperation(this.client, API_OPERATIONS.validatorJsonld, params, requestOptions);
+  }
+
+  // GET /validators/{id}/examples: Get valid/invalid examples for a validator
+  validatorExamples(params = {}, requestOptions = {}) {
+    return callOperation(this.client, API_OPERATIONS.validatorExamples, params, requestOptions);
+  }
+
+  // GET /validators/{id}/regex: Get regex for a validator
+  validatorRegex(params = {}, requestOptions = {}) {
+    return callOperation(this.client, API_OPERATIONS.validatorRegex, params, requestOptions);
+  }
+
+  // POST /validators/{id}/validate: Validate a value
+  validateValue(params = {}, requestOptions = {}) {
+    return callOperation(this.client, API_OPERATIONS.validateValue, params, requestOptions);
+  }
+
+  // POST /validators/{id}/batch_validate: Batch validate values
+  batchValidateValues(params = {}, requestOptions = {}) {
+    return callOperation(this.client, API_OPERATIONS.batchValidateValues, params, requestOptions);
+  }
+
+  // POST /api/extract: Extract entities from text
+  extract(params = {}, requestOptions = {}) {
+    return callOperation(this.client, API_OPERATIONS.extract, params, requestOptions);
+  }
+
+  // POST /api/batch_extract: Extract entities from several texts
+  batchExtract(params = {}, requestOptions = {}) {
+    return callOperation(this.client, API_OPERATIONS.batchExtract, params, requestOptions);
+  }
+
+  // POST /api/validate: Validate a value with the universal validators
+  validateText(params = {}, requestOptions = {}) {
+    return callOperation(this.client, API_OPERATIONS.validateText, params, requestOptions);
+  }
+
+  // GET /api/opengraph: OpenGraph metadata of a page
+  opengraph(params = {}, requestOptions = {}) {
+    return callOperation(this.client, API_OPERATIONS.opengraph, params, requestOptions);
+  }
+
+  // GET /health: Health check
+  health(params = {}, requestOptions = {}) {
+    return callOperation(this.client, API_OPERATIONS.health, params, requestOptions);
+  }
+}
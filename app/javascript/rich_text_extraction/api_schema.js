@@ -0,0 +1,131 @@
+// Runtime for the generated API client (api_operations.js): request-parameter
+// checks and response-shape validation against the OpenAPI schemas, on top of
+// the client's request pipeline and configurable URL prefixes.
+import { RichTextExtractionError } from './http.js';
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => typeof value === 'object' && value !== null && !Array.isArray(value)
+};
+
+function typeName(value) {
+  if (value === null) return 'null';
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Compares a value with an OpenAPI schema (type, nullable, required,
+ * properties, additionalProperties and items; other keywords are ignored).
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} [path] - prefix for the messages
+ * @returns {string[]} one message per mismatch, e.g. "response[1].valid: expected boolean, got string"
+ */
+export function validateShape(schema, value, path = 'value') {
+  if (!schema) return [];
+  if (value === null && schema.nullable) return [];
+
+  const check = TYPE_CHECKS[schema.type];
+  if (check && !check(value)) return [`${path}: expected ${schema.type}, got ${typeName(value)}`];
+
+  const errors = [];
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validateShape(schema.items, item, `${path}[${index}]`)));
+  }
+  if (TYPE_CHECKS.object(value)) {
+    (schema.required || []).forEach(name => {
+      if (value[name] === undefined) errors.push(`${path}.${name}: missing`);
+    });
+    Object.entries(schema.properties || {}).forEach(([name, property]) => {
+      if (value[name] !== undefined) errors.push(...validateShape(property, value[name], `${path}.${name}`));
+    });
+    if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+      Object.entries(value).forEach(([name, item]) => {
+        if (!(name in (schema.properties || {}))) {
+          errors.push(...validateShape(schema.additionalProperties, item, `${path}.${name}`));
+        }
+      });
+    }
+  }
+  return errors;
+}
+
+// Throws for unknown, missing or mistyped parameters before anything is sent
+export function checkParameters(operation, params = {}) {
+  const known = operation.parameters.map(parameter => parameter.name);
+  if (operation.requestBody) known.push('body');
+
+  const unknown = Object.keys(params).find(name => !known.includes(name));
+  if (unknown) {
+    throw new Error(`Unknown parameter "${unknown}" for ${operation.operationId} (expected ${known.join(', ') || 'none'})`);
+  }
+
+  const errors = [];
+  operation.parameters.forEach(parameter => {
+    const value = params[parameter.name];
+    if (value === undefined || value === null) {
+      if (parameter.required) errors.push(`${parameter.name}: missing`);
+    } else {
+      errors.push(...validateShape(parameter.schema, value, parameter.name));
+    }
+  });
+  if (operation.requestBody) {
+    if (params.body === undefined) {
+      if (operation.requestBody.required) errors.push('body: missing');
+    } else {
+      errors.push(...validateShape(operation.requestBody.schema, params.body, 'body'));
+    }
+  }
+  if (errors.length > 0) throw new Error(`Invalid ${operation.operationId} request: ${errors.join('; ')}`);
+}
+
+// Spec paths are the default mounts; the client's healthUrl, opengraphUrl,
+// baseUrl (for /api/...) and validatorsUrl (for the engine routes) take their place
+export function operationUrl(client, operation, params = {}) {
+  const path = operation.path.replace(/\{(\w+)\}/g, (_, name) => encodeURIComponent(params[name]));
+  let url;
+  if (path === '/health') url = client.healthUrl;
+  else if (path === '/api/opengraph') url = client.opengraphUrl;
+  else if (path.startsWith('/api/')) url = `${client.baseUrl}${path.slice('/api'.length)}`;
+  else url = `${client.validatorsUrl}${path}`;
+
+  const query = operation.parameters
+    .filter(parameter => parameter.in === 'query' && params[parameter.name] !== undefined && params[parameter.name] !== null)
+    .map(parameter => `${encodeURIComponent(parameter.name)}=${encodeURIComponent(params[parameter.name])}`);
+  return query.length > 0 ? `${url}?${query.join('&')}` : url;
+}
+
+/**
+ * Checks the parameters, sends the request through client.request and checks
+ * the response against the operation's success schema.
+ * @param {RichTextExtractionClient} client
+ * @param {Object} operation - entry of API_OPERATIONS
+ * @param {Object} [params] - path and query parameters by name, plus `body`
+ * @param {Object} [requestOptions] - signal, timeout, retries, label
+ * @returns {Promise<*>} the response payload
+ * @throws {RichTextExtractionError} with code 'schema' when the response doesn't match
+ */
+export async function callOperation(client, operation, params = {}, requestOptions = {}) {
+  checkParameters(operation, params);
+
+  const url = operationUrl(client, operation, params);
+  const label = requestOptions.label || operation.summary;
+  const payload = await client.request(url, {
+    idempotent: operation.idempotent, ...requestOptions, method: operation.method, body: params.body, label
+  });
+
+  const errors = validateShape(operation.response, payload, 'response');
+  if (errors.length > 0) {
+    throw new RichTextExtractionError(`${label} returned an unexpected response: ${errors.slice(0, 3).join('; ')}`, {
+      code: 'schema',
+      payload,
+      url,
+      method: operation.method
+    });
+  }
+  return payload;
+}
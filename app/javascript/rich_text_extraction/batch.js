@@ -0,0 +1,60 @@
+// Chunked, concurrency-limited batch runner. `worker(chunk)` receives
+// { offset, items } and resolves to one outcome per item; outcomes are
+// yielded as each chunk settles, so callers can stream them with for await.
+
+export const DEFAULT_BATCH_OPTIONS = {
+  chunkSize: 100,
+  concurrency: 4
+};
+
+export function splitIntoChunks(items, chunkSize) {
+  const size = Math.max(1, Math.floor(chunkSize) || DEFAULT_BATCH_OPTIONS.chunkSize);
+  const chunks = [];
+  for (let offset = 0; offset < items.length; offset += size) {
+    chunks.push({ offset, items: items.slice(offset, offset + size) });
+  }
+  return chunks;
+}
+
+export async function* runChunked(items, worker, options = {}) {
+  // Defaults in the pattern, not a spread: callers pass unset options as undefined
+  const {
+    chunkSize = DEFAULT_BATCH_OPTIONS.chunkSize,
+    concurrency = DEFAULT_BATCH_OPTIONS.concurrency,
+    onProgress
+  } = options;
+  const chunks = splitIntoChunks(items, chunkSize);
+  const limit = Math.max(1, Math.floor(concurrency) || DEFAULT_BATCH_OPTIONS.concurrency);
+  const progress = {
+    total: items.length,
+    completed: 0,
+    failed: 0,
+    chunksTotal: chunks.length,
+    chunksCompleted: 0
+  };
+  const running = new Map();
+  let nextChunk = 0;
+
+  const start = () => {
+    const id = nextChunk++;
+    running.set(id, Promise.resolve(worker(chunks[id])).then(outcomes => ({ id, outcomes })));
+  };
+
+  while (nextChunk < chunks.length && running.size < limit) start();
+
+  while (running.size > 0) {
+    const { id, outcomes } = await Promise.race(running.values());
+    running.delete(id);
+    // Keep the pool full while the consumer handles this chunk
+    if (nextChunk < chunks.length) start();
+
+    progress.chunksCompleted += 1;
+    outcomes.forEach(outcome => {
+      if (outcome.error) progress.failed += 1;
+      else progress.completed += 1;
+    });
+    if (onProgress) onProgress({ ...progress });
+
+    yield* outcomes;
+  }
+}
@@ -0,0 +1,200 @@
+// Result cache for server responses. Entries are keyed by a hash of the
+// request, limited by LRU size and TTL, and kept past expiry so offline
+// pages can still show the last server result (see `allowStale`).
+
+export const DEFAULT_CACHE_OPTIONS = {
+  store: 'memory',
+  maxEntries: 200,
+  ttl: 60 * 60 * 1000
+};
+
+// Stable JSON so { a, b } and { b, a } hash the same
+export function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// FNV-1a, used when SubtleCrypto is unavailable (e.g. insecure contexts)
+function fnv1a(input) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < input.length; i++) {
+    hash ^= input.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+}
+
+export async function hashKey(parts) {
+  const input = stableStringify(parts);
+  const subtle = typeof crypto !== 'undefined' && crypto.subtle;
+  if (!subtle || typeof TextEncoder === 'undefined') return `fnv:${fnv1a(input)}:${input.length}`;
+
+  const digest = await subtle.digest('SHA-256', new TextEncoder().encode(input));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+export class MemoryCacheStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, entry, maxEntries) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+}
+
+export class IndexedDBCacheStore {
+  constructor(name = 'rich_text_extraction', storeName = 'results') {
+    this.name = name;
+    this.storeName = storeName;
+    this.db = null;
+  }
+
+  open() {
+    if (this.db) return this.db;
+
+    this.db = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.name, 1);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+        store.createIndex('lastAccess', 'lastAccess');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return this.db;
+  }
+
+  async transaction(mode, callback) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, mode);
+      const result = callback(tx.objectStore(this.storeName));
+      tx.oncomplete = () => resolve(result && 'result' in result ? result.result : undefined);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  async get(key) {
+    const record = await this.transaction('readonly', store => store.get(key));
+    if (!record) return undefined;
+
+    await this.transaction('readwrite', store => store.put({ ...record, lastAccess: Date.now() }));
+    return record.entry;
+  }
+
+  async set(key, entry, maxEntries) {
+    await this.transaction('readwrite', store => store.put({ key, entry, lastAccess: Date.now() }));
+
+    const size = await this.size();
+    if (size <= maxEntries) return;
+
+    // Evict least recently used records beyond the limit
+    await this.transaction('readwrite', store => {
+      let excess = size - maxEntries;
+      store.index('lastAccess').openCursor().onsuccess = event => {
+        const cursor = event.target.result;
+        if (!cursor || excess <= 0) return;
+        cursor.delete();
+        excess -= 1;
+        cursor.continue();
+      };
+    });
+  }
+
+  async delete(key) {
+    await this.transaction('readwrite', store => store.delete(key));
+  }
+
+  async clear() {
+    await this.transaction('readwrite', store => store.clear());
+  }
+
+  async size() {
+    return this.transaction('readonly', store => store.count());
+  }
+}
+
+function createStore(store) {
+  if (store && typeof store === 'object') return store;
+  if (store === 'indexeddb' && typeof indexedDB !== 'undefined') return new IndexedDBCacheStore();
+  return new MemoryCacheStore();
+}
+
+export class ResultCache {
+  constructor(options = {}) {
+    const config = { ...DEFAULT_CACHE_OPTIONS, ...options };
+    this.store = createStore(config.store);
+    this.maxEntries = config.maxEntries;
+    this.ttl = config.ttl;
+    this.stats = { hits: 0, misses: 0, staleHits: 0, writes: 0, invalidations: 0 };
+  }
+
+  // Returns the cached value, or undefined when missing or expired (unless allowStale)
+  async get(key, { allowStale = false } = {}) {
+    const entry = await this.store.get(key);
+    if (!entry) {
+      this.stats.misses += 1;
+      return undefined;
+    }
+
+    const expired = this.ttl > 0 && Date.now() - entry.storedAt > this.ttl;
+    if (expired && !allowStale) {
+      this.stats.misses += 1;
+      return undefined;
+    }
+
+    if (expired) this.stats.staleHits += 1;
+    else this.stats.hits += 1;
+    return entry.value;
+  }
+
+  async set(key, value) {
+    this.stats.writes += 1;
+    await this.store.set(key, { value, storedAt: Date.now() }, this.maxEntries);
+  }
+
+  async invalidate(key) {
+    this.stats.invalidations += 1;
+    if (key === undefined) await this.store.clear();
+    else await this.store.delete(key);
+  }
+
+  async getStats() {
+    return {
+      ...this.stats,
+      size: await this.store.size(),
+      maxEntries: this.maxEntries,
+      ttl: this.ttl
+    };
+  }
+}
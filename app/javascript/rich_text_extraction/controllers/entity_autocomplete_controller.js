@@ -0,0 +1,252 @@
+import { Controller } from "@hotwired/stimulus"
+import { RichTextExtractionClient } from "../universal_client.js"
+import { tagAtCaret } from "../extraction_patterns.js"
+
+// Usage: data-controller="entity-autocomplete" around a textarea or <trix-editor>
+// marked data-entity-autocomplete-target="input", with an optional
+// data-entity-autocomplete-target="listbox" element (one is created otherwise).
+// Typing @ or # at the caret queries the suggestion source: either
+// `source` (name of a global function (trigger, query) => suggestions) or `url`
+// (GET ?trigger=@&q=... returning JSON). Suggestions are strings or
+// { value, label } objects.
+// Optional values: delay (ms, default 150), limit (default 8), and the local
+// validators for each trigger (mentionValidator, default "mention";
+// hashtagValidator, default "hashtag"). Handles that fail them are never
+// suggested or inserted. Fires "rich-text-extraction:entity-completed" and
+// "rich-text-extraction:entity-rejected".
+export default class extends Controller {
+  static targets = ["input", "listbox"]
+  static values = {
+    source: String,
+    url: String,
+    delay: { type: Number, default: 150 },
+    limit: { type: Number, default: 8 },
+    mentionValidator: { type: String, default: "mention" },
+    hashtagValidator: { type: String, default: "hashtag" }
+  }
+
+  connect() {
+    this.client = window.RichTextExtraction || new RichTextExtractionClient()
+    this.suggestions = []
+    this.activeIndex = -1
+    this.listbox = this.hasListboxTarget ? this.listboxTarget : this.buildListbox()
+    this.listbox.id ||= `${this.identifier}-${Math.random().toString(36).slice(2, 10)}`
+    this.listbox.setAttribute("role", "listbox")
+    this.listbox.hidden = true
+
+    const input = this.inputTarget
+    input.setAttribute("role", "combobox")
+    input.setAttribute("aria-autocomplete", "list")
+    input.setAttribute("aria-controls", this.listbox.id)
+    input.setAttribute("aria-expanded", "false")
+
+    this.scheduleLookup = this.scheduleLookup.bind(this)
+    this.handleKeydown = this.handleKeydown.bind(this)
+    this.close = this.close.bind(this)
+    input.addEventListener("input", this.scheduleLookup)
+    input.addEventListener("trix-change", this.scheduleLookup)
+    // Capture phase so Enter/Tab are handled before Trix inserts them
+    input.addEventListener("keydown", this.handleKeydown, true)
+    input.addEventListener("blur", this.close)
+  }
+
+  disconnect() {
+    clearTimeout(this.timer)
+    if (this.abortController) this.abortController.abort()
+    const input = this.inputTarget
+    input.removeEventListener("input", this.scheduleLookup)
+    input.removeEventListener("trix-change", this.scheduleLookup)
+    input.removeEventListener("keydown", this.handleKeydown, true)
+    input.removeEventListener("blur", this.close)
+  }
+
+  scheduleLookup() {
+    clearTimeout(this.timer)
+    this.timer = setTimeout(() => this.lookup(), this.delayValue)
+  }
+
+  async lookup() {
+    const trigger = this.triggerAtCaret()
+    if (!trigger) return this.close()
+
+    if (this.abortController) this.abortController.abort()
+    this.abortController = new AbortController()
+    const { signal } = this.abortController
+
+    try {
+      const suggestions = await this.fetchSuggestions(trigger, signal)
+      if (signal.aborted) return
+      this.trigger = trigger
+      this.open(this.normalize(suggestions, trigger.char))
+    } catch (err) {
+      if (!signal.aborted) this.close()
+    }
+  }
+
+  async fetchSuggestions(trigger, signal) {
+    const source = this.hasSourceValue ? window[this.sourceValue] : null
+    if (typeof source === "function") return source(trigger.char, trigger.query)
+    if (!this.hasUrlValue) return []
+
+    const url = new URL(this.urlValue, window.location.href)
+    url.searchParams.set("trigger", trigger.char)
+    url.searchParams.set("q", trigger.query)
+    return this.client.request(url.href, { signal, retries: 0, label: "Suggestions" })
+  }
+
+  // Drops the trigger prefix, duplicates and anything failing local validation
+  normalize(suggestions, char) {
+    const seen = new Set()
+    return (Array.isArray(suggestions) ? suggestions : [])
+      .map(item => (typeof item === "string" ? { value: item } : item))
+      .filter(item => item && typeof item.value === "string")
+      .map(item => {
+        const value = item.value.startsWith(char) ? item.value.slice(1) : item.value
+        return { value, label: item.label || `${char}${value}` }
+      })
+      .filter(item => {
+        if (seen.has(item.value) || !this.isValidHandle(char, item.value)) return false
+        seen.add(item.value)
+        return true
+      })
+      .slice(0, this.limitValue)
+  }
+
+  isValidHandle(char, value) {
+    const validator = char === "@" ? this.mentionValidatorValue : this.hashtagValidatorValue
+    return this.client.validateLocally(validator, value).valid
+  }
+
+  handleKeydown(event) {
+    if (this.listbox.hidden) return
+
+    switch (event.key) {
+      case "ArrowDown":
+        event.preventDefault()
+        this.activate((this.activeIndex + 1) % this.suggestions.length)
+        break
+      case "ArrowUp":
+        event.preventDefault()
+        this.activate((this.activeIndex - 1 + this.suggestions.length) % this.suggestions.length)
+        break
+      case "Enter":
+      case "Tab":
+        if (this.activeIndex < 0) return
+        event.preventDefault()
+        event.stopImmediatePropagation()
+        this.complete(this.suggestions[this.activeIndex])
+        break
+      case "Escape":
+        event.preventDefault()
+        this.close()
+        break
+    }
+  }
+
+  // Option click (data-action="mousedown->entity-autocomplete#select"); mousedown
+  // keeps focus in the editor so the caret position survives
+  select(event) {
+    event.preventDefault()
+    const index = Number(event.currentTarget.dataset.index)
+    if (this.suggestions[index]) this.complete(this.suggestions[index])
+  }
+
+  // Replaces the trigger as it is now, which may have grown since the lookup;
+  // gives up if the caret has left it for another one (or none)
+  complete(suggestion) {
+    const trigger = this.triggerAtCaret()
+    if (!trigger || !this.trigger || trigger.char !== this.trigger.char || trigger.start !== this.trigger.start) {
+      return this.close()
+    }
+
+    const { char, start, end } = trigger
+    const entity = `${char}${suggestion.value}`
+    if (!this.isValidHandle(char, suggestion.value)) {
+      this.dispatch("entity-rejected", { prefix: "rich-text-extraction", detail: { entity } })
+      return this.close()
+    }
+
+    this.replaceRange(start, end, `${entity} `)
+    this.close()
+    this.dispatch("entity-completed", {
+      prefix: "rich-text-extraction",
+      detail: { type: char === "@" ? "mention" : "hashtag", value: suggestion.value, entity }
+    })
+  }
+
+  open(suggestions) {
+    this.suggestions = suggestions
+    if (suggestions.length === 0) return this.close()
+
+    this.listbox.replaceChildren(...suggestions.map((suggestion, index) => {
+      const option = document.createElement("li")
+      option.id = `${this.listbox.id}-option-${index}`
+      option.className = "rich-text-extraction-suggestion"
+      option.setAttribute("role", "option")
+      option.setAttribute("aria-selected", "false")
+      option.dataset.index = index
+      option.dataset.action = "mousedown->entity-autocomplete#select"
+      option.textContent = suggestion.label
+      return option
+    }))
+    this.listbox.hidden = false
+    this.inputTarget.setAttribute("aria-expanded", "true")
+    this.activate(0)
+  }
+
+  close() {
+    clearTimeout(this.timer)
+    this.suggestions = []
+    this.activeIndex = -1
+    this.listbox.hidden = true
+    this.listbox.replaceChildren()
+    this.inputTarget.setAttribute("aria-expanded", "false")
+    this.inputTarget.removeAttribute("aria-activedescendant")
+  }
+
+  activate(index) {
+    this.activeIndex = index
+    Array.from(this.listbox.children).forEach((option, i) => {
+      option.setAttribute("aria-selected", String(i === index))
+      if (i === index) this.inputTarget.setAttribute("aria-activedescendant", option.id)
+    })
+  }
+
+  // { char, query, start, end } for an @ or # directly before the caret, with
+  // the same boundaries and tag characters as the hashtags/mentions extractors
+  triggerAtCaret() {
+    const { text, caret } = this.textAndCaret()
+    return caret === null ? null : tagAtCaret(text, caret)
+  }
+
+  textAndCaret() {
+    const input = this.inputTarget
+    if (input.tagName === "TEXTAREA" || input.tagName === "INPUT") {
+      const collapsed = input.selectionStart === input.selectionEnd
+      return { text: input.value, caret: collapsed ? input.selectionStart : null }
+    }
+
+    const editor = input.editor
+    const [start, end] = editor.getSelectedRange()
+    return { text: editor.getDocument().toString(), caret: start === end ? start : null }
+  }
+
+  replaceRange(start, end, text) {
+    const input = this.inputTarget
+    if (input.tagName === "TEXTAREA" || input.tagName === "INPUT") {
+      input.setRangeText(text, start, end, "end")
+      input.dispatchEvent(new Event("input", { bubbles: true }))
+      return
+    }
+
+    input.editor.setSelectedRange([start, end])
+    input.editor.insertString(text)
+  }
+
+  buildListbox() {
+    const listbox = document.createElement("ul")
+    listbox.className = "rich-text-extraction-suggestions"
+    this.inputTarget.insertAdjacentElement("afterend", listbox)
+    return listbox
+  }
+}
@@ -0,0 +1,136 @@
+import { Controller } from "@hotwired/stimulus"
+import { RichTextExtractionClient } from "../universal_client.js"
+
+// Usage: data-controller="link-preview" with a data-link-preview-target="source"
+// (textarea, <trix-editor> or any element) and a data-link-preview-target="cards"
+// container. Cards appear for detected links, at most `limit` (default 3), and
+// go through loading / loaded / error states via data-state.
+// Optional values: delay (ms, default 400), limit, endpoint (OpenGraph JSON URL).
+export default class extends Controller {
+  static targets = ["source", "cards"]
+  static values = {
+    delay: { type: Number, default: 400 },
+    limit: { type: Number, default: 3 },
+    endpoint: String
+  }
+
+  connect() {
+    this.client = this.hasEndpointValue
+      ? new RichTextExtractionClient("/api", { opengraphUrl: this.endpointValue })
+      : window.RichTextExtraction || new RichTextExtractionClient()
+    this.cards = new Map()
+    this.scheduleRefresh = this.scheduleRefresh.bind(this)
+    this.sourceTarget.addEventListener("input", this.scheduleRefresh)
+    this.sourceTarget.addEventListener("trix-change", this.scheduleRefresh)
+    this.refresh()
+  }
+
+  disconnect() {
+    clearTimeout(this.timer)
+    this.sourceTarget.removeEventListener("input", this.scheduleRefresh)
+    this.sourceTarget.removeEventListener("trix-change", this.scheduleRefresh)
+  }
+
+  scheduleRefresh() {
+    clearTimeout(this.timer)
+    this.timer = setTimeout(() => this.refresh(), this.delayValue)
+  }
+
+  refresh() {
+    const urls = this.detectLinks().slice(0, this.limitValue)
+
+    this.cards.forEach((card, url) => {
+      if (!urls.includes(url)) {
+        card.remove()
+        this.cards.delete(url)
+      }
+    })
+    urls.forEach(url => {
+      if (!this.cards.has(url)) this.cards.set(url, this.buildCard(url))
+      // Keep cards in the order the links appear
+      this.cardsTarget.appendChild(this.cards.get(url))
+    })
+  }
+
+  detectLinks() {
+    const source = this.sourceTarget
+    if (source.tagName === "TEXTAREA" || source.tagName === "INPUT") {
+      return this.client.extractLinks(source.value)
+    }
+    return this.client.extractFromHTML(source, { types: ["links"], skipCode: true }).patterns.links || []
+  }
+
+  buildCard(url) {
+    const card = document.createElement("div")
+    card.className = "rich-text-extraction-preview"
+    card.dataset.url = url
+    this.renderLoading(card, url)
+    this.load(card, url)
+    return card
+  }
+
+  async load(card, url) {
+    try {
+      const preview = await this.client.linkPreview(url)
+      if (preview.empty) this.renderError(card, url, "No preview available")
+      else this.renderPreview(card, preview)
+    } catch (err) {
+      this.renderError(card, url, err.message)
+    }
+  }
+
+  // Retries a failed card (data-action="link-preview#retry" inside the card)
+  retry(event) {
+    event.preventDefault()
+    const card = event.target.closest("[data-url]")
+    this.renderLoading(card, card.dataset.url)
+    this.load(card, card.dataset.url)
+  }
+
+  renderLoading(card, url) {
+    card.dataset.state = "loading"
+    card.setAttribute("aria-busy", "true")
+    card.replaceChildren(this.createElement("span", "rich-text-extraction-preview__status", `Loading preview for ${url}…`))
+  }
+
+  renderPreview(card, preview) {
+    card.dataset.state = "loaded"
+    card.removeAttribute("aria-busy")
+
+    const link = this.createElement("a", "rich-text-extraction-preview__link")
+    link.href = preview.url
+    link.target = "_blank"
+    link.rel = "noopener"
+    if (preview.image) {
+      const image = this.createElement("img", "rich-text-extraction-preview__image")
+      image.src = preview.image
+      image.alt = preview.title || ""
+      image.loading = "lazy"
+      link.appendChild(image)
+    }
+    if (preview.siteName) link.appendChild(this.createElement("span", "rich-text-extraction-preview__site", preview.siteName))
+    link.appendChild(this.createElement("strong", "rich-text-extraction-preview__title", preview.title || preview.url))
+    if (preview.description) link.appendChild(this.createElement("p", "rich-text-extraction-preview__description", preview.description))
+    card.replaceChildren(link)
+  }
+
+  renderError(card, url, message) {
+    card.dataset.state = "error"
+    card.removeAttribute("aria-busy")
+
+    const retryBtn = this.createElement("button", "rich-text-extraction-preview__retry", "Retry")
+    retryBtn.type = "button"
+    retryBtn.dataset.action = "link-preview#retry"
+    card.replaceChildren(
+      this.createElement("span", "rich-text-extraction-preview__status", `${url}: ${message}`),
+      retryBtn
+    )
+  }
+
+  createElement(tag, className, text) {
+    const element = document.createElement(tag)
+    element.className = className
+    if (text !== undefined) element.textContent = text
+    return element
+  }
+}
@@ -0,0 +1,81 @@
+import { Controller } from "@hotwired/stimulus"
+import { RichTextExtractionClient } from "../universal_client.js"
+import { entityKey, editorEntities, uniqueEntities, sameEntities, chipLabel, entitySummaries } from "../entity_list.js"
+
+// Usage: wrap a Trix editor in data-controller="trix-extraction" and mark the
+// <trix-editor> (or a textarea) with data-trix-extraction-target="editor" and
+// the chip container with data-trix-extraction-target="sidebar".
+// Optional values: delay (ms, default 300) and types (extractor names).
+// Fires "rich-text-extraction:entities-changed" with { entities } whenever the
+// list of entities changes.
+export default class extends Controller {
+  static targets = ["editor", "sidebar"]
+  static values = {
+    delay: { type: Number, default: 300 },
+    types: { type: Array, default: ["links", "mentions", "hashtags", "emails"] }
+  }
+
+  connect() {
+    this.client = window.RichTextExtraction || new RichTextExtractionClient()
+    this.dismissed = new Set()
+    this.entities = []
+    this.scheduleExtraction = this.scheduleExtraction.bind(this)
+    this.editorTarget.addEventListener("trix-change", this.scheduleExtraction)
+    this.editorTarget.addEventListener("input", this.scheduleExtraction)
+    this.extract()
+  }
+
+  disconnect() {
+    clearTimeout(this.timer)
+    this.editorTarget.removeEventListener("trix-change", this.scheduleExtraction)
+    this.editorTarget.removeEventListener("input", this.scheduleExtraction)
+  }
+
+  scheduleExtraction() {
+    clearTimeout(this.timer)
+    this.timer = setTimeout(() => this.extract(), this.delayValue)
+  }
+
+  extract() {
+    const found = editorEntities(this.client, this.editorTarget, this.typesValue)
+    const entities = uniqueEntities(found, this.dismissed)
+    if (sameEntities(entities, this.entities)) return
+
+    this.entities = entities
+    this.render()
+    this.notify()
+  }
+
+  // Removing a chip hides that entity until the page reloads; the text stays as typed
+  remove(event) {
+    event.preventDefault()
+    this.dismissed.add(event.params.key)
+    this.entities = this.entities.filter(entity => entityKey(entity) !== event.params.key)
+    this.render()
+    this.notify()
+  }
+
+  notify() {
+    this.dispatch("entities-changed", { prefix: "rich-text-extraction", detail: { entities: entitySummaries(this.entities) } })
+  }
+
+  render() {
+    if (!this.hasSidebarTarget) return
+
+    this.sidebarTarget.replaceChildren(...this.entities.map(entity => {
+      const chip = document.createElement("span")
+      chip.className = "rich-text-extraction-chip"
+      chip.dataset.entityType = entity.type
+      chip.textContent = chipLabel(entity)
+
+      const removeBtn = document.createElement("button")
+      removeBtn.type = "button"
+      removeBtn.textContent = "×"
+      removeBtn.setAttribute("aria-label", `Remove ${chip.textContent}`)
+      removeBtn.dataset.action = "trix-extraction#remove"
+      removeBtn.dataset.trixExtractionKeyParam = entityKey(entity)
+      chip.appendChild(removeBtn)
+      return chip
+    }))
+  }
+}
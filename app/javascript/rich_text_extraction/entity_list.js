@@ -0,0 +1,41 @@
+// The entity list behind the trix-extraction controller: one chip per
+// type and normalized value, minus the ones the user dismissed. Kept apart
+// from the controller so it runs without Stimulus or a DOM.
+
+// Entities with the same key share a chip
+export function entityKey(entity) {
+  return `${entity.type}:${entity.normalized}`;
+}
+
+// Entities in a textarea or input value, or in a Trix editor's content
+// (code blocks are skipped there)
+export function editorEntities(client, editor, types) {
+  return editor.tagName === 'TEXTAREA' || editor.tagName === 'INPUT'
+    ? client.extractEntities(editor.value, { types })
+    : client.extractFromHTML(editor, { types, skipCode: true }).entities;
+}
+
+// First entity per key, in order, leaving out dismissed keys
+export function uniqueEntities(entities, dismissed = new Set()) {
+  const seen = new Set(dismissed);
+  return entities.filter(entity => {
+    const key = entityKey(entity);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+export function sameEntities(a, b) {
+  return a.length === b.length && a.every((entity, i) => entityKey(entity) === entityKey(b[i]));
+}
+
+// Markdown links show their normalized URL
+export function chipLabel(entity) {
+  return typeof entity.value === 'string' ? entity.value : entity.normalized;
+}
+
+// entities-changed event detail: no DOM nodes or ranges
+export function entitySummaries(entities) {
+  return entities.map(({ type, value, normalized }) => ({ type, value, normalized }));
+}
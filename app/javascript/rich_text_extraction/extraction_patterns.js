@@ -0,0 +1,334 @@
+// Local extraction patterns, modelled on Ruby Core::Constants / ExtractionPatterns.
+// Links, phone numbers, image/attachment URLs and Markdown links deliberately
+// differ from Ruby; bin/check_conformance_fixtures.js lists each difference.
+// Each category maps to the entity type it produces, a global regex, how a
+// match becomes a value, and a normalizer for that value. Categories with a
+// `validator` can have their regex replaced by the server's validator pattern;
+// `weight` is the category's contribution to the vortex energy multiplier.
+// `trim` (a regex or a function) shortens each match before it is recorded.
+// An optional `describe` adds extra fields (e.g. a phone's country code) to entities.
+// `boundary` (a lookbehind source) is kept in front of a server-supplied pattern.
+import { createPhoneExtractor } from './phone_numbers.js';
+import { createLinkExtractor } from './urls.js';
+
+const IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'gif', 'svg', 'webp'];
+const ATTACHMENT_EXTENSIONS = ['pdf', 'docx', 'doc', 'xlsx', 'xls', 'pptx', 'ppt', 'txt', 'csv', 'zip', 'rar', '7z'];
+
+// Same as Core::Constants TAG_CHARACTERS and UNSPACED_SCRIPTS: tags are letters,
+// marks, digits and connector punctuation of any script, and may follow scripts
+// written without spaces directly
+const TAG_CHARACTERS = '\\p{L}\\p{M}\\p{Nd}\\p{Pc}';
+const UNSPACED_SCRIPTS = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Thai}';
+// Not preceded by a tag character (or one of `extra`), nor anywhere in an http(s)
+// URL; the lookahead keeps the lookbehinds from running at every position
+const tagBoundary = (prefix, extra) =>
+  `(?=${prefix})(?<![${TAG_CHARACTERS}${extra}](?<![${UNSPACED_SCRIPTS}]))(?<!https?:\\/\\/\\S*)`;
+const HASHTAG_BOUNDARY = tagBoundary('#', '&\\/');
+const MENTION_BOUNDARY = tagBoundary('@', '\\/');
+// A # or @ tag being typed at the end of the text, as the extractors would see it
+const PARTIAL_TAG = new RegExp(`(?:${HASHTAG_BOUNDARY}|${MENTION_BOUNDARY})([#@])([${TAG_CHARACTERS}]*)$`, 'u');
+// Composed and decomposed accents give the same tag
+const normalizeTag = value => value.slice(1).normalize('NFC').toLowerCase();
+
+export const EXTRACTION_PATTERNS = {
+  // Trailing punctuation and unbalanced brackets are trimmed; normalized to the canonical URL
+  links: createLinkExtractor(),
+  emails: {
+    type: 'email',
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z]{2,}\b/gi,
+    weight: 0.3,
+    normalize: value => value.toLowerCase()
+  },
+  // Candidates are parsed against bundled numbering plans and normalized to E.164
+  phones: createPhoneExtractor(),
+  // Not inside words, URLs or HTML entities (&#39;)
+  hashtags: {
+    type: 'hashtag',
+    pattern: new RegExp(`${HASHTAG_BOUNDARY}#[${TAG_CHARACTERS}]+`, 'gu'),
+    validator: 'hashtag',
+    prefix: '#',
+    boundary: HASHTAG_BOUNDARY,
+    weight: 0.2,
+    normalize: normalizeTag
+  },
+  // Not inside words, email addresses or URLs
+  mentions: {
+    type: 'mention',
+    pattern: new RegExp(`${MENTION_BOUNDARY}@[${TAG_CHARACTERS}]+`, 'gu'),
+    validator: 'mention',
+    prefix: '@',
+    boundary: MENTION_BOUNDARY,
+    weight: 0.2,
+    normalize: normalizeTag
+  },
+  images: {
+    type: 'image',
+    pattern: new RegExp(`https?://[^\\s]+?\\.(${IMAGE_EXTENSIONS.join('|')})`, 'g'),
+    normalize: value => value
+  },
+  attachments: {
+    type: 'attachment',
+    pattern: new RegExp(`https?://[\\w\\-.?,'/\\\\+&%$#_=:()~]+\\.(${ATTACHMENT_EXTENSIONS.join('|')})`, 'gi'),
+    normalize: value => value
+  },
+  markdownLinks: {
+    type: 'markdown_link',
+    pattern: /\[([^\]]+)\]\((https?:\/\/[^)]+)\)/g,
+    value: match => ({ text: match[1], url: match[2] }),
+    normalize: value => value.url
+  },
+  dates: {
+    type: 'date',
+    pattern: /\b\d{4}-\d{2}-\d{2}\b|\b\d{2}\/\d{2}\/\d{4}\b/g,
+    normalize: value => value
+  },
+  twitterHandles: {
+    type: 'twitter_handle',
+    // Same boundary as mentions, so user@example.com has no handle; the @ is
+    // matched by a lookbehind so the span covers just the handle, like the value
+    pattern: new RegExp(`(?<=${MENTION_BOUNDARY}@)[A-Za-z0-9_]{1,15}`, 'gu'),
+    normalize: value => value.toLowerCase()
+  }
+};
+
+// { char, query, start, end } for the hashtag or mention directly before
+// `caret` (start/end cover the # or @ and the partial tag), or null
+export function tagAtCaret(text, caret) {
+  const match = text.slice(0, caret).match(PARTIAL_TAG);
+  if (!match) return null;
+  return { char: match[1], query: match[2], start: caret - match[2].length - 1, end: caret };
+}
+
+// Builds an extractor definition from registerExtractor() options
+export function defineExtractor(name, options = {}) {
+  if (!options.pattern && typeof options.fn !== 'function') {
+    throw new Error(`Extractor "${name}" needs a pattern or fn`);
+  }
+
+  let pattern = options.pattern;
+  if (pattern && !(pattern instanceof RegExp)) pattern = new RegExp(pattern, 'g');
+  if (pattern && !pattern.global) pattern = new RegExp(pattern.source, `${pattern.flags}g`);
+
+  return {
+    type: options.type || name,
+    pattern,
+    fn: options.fn,
+    trim: options.trim,
+    value: options.value,
+    normalize: options.normalize || (value => value),
+    validate: options.validate,
+    describe: options.describe,
+    weight: options.weight || 0,
+    custom: true
+  };
+}
+
+// Custom fn extractors may return strings or { value, start, end } records;
+// strings are located in the text in order so they still get offsets.
+function* scanCustom(text, definition) {
+  let cursor = 0;
+
+  for (const item of definition.fn(text) || []) {
+    if (item && typeof item === 'object' && Number.isInteger(item.start)) {
+      yield { value: item.value, start: item.start, end: item.end };
+      continue;
+    }
+
+    const value = String(item);
+    let start = text.indexOf(value, cursor);
+    if (start === -1) start = text.indexOf(value);
+    if (start !== -1) cursor = start + value.length;
+    yield { value, start, end: start === -1 ? -1 : start + value.length };
+  }
+}
+
+function toRecord(match, trim, value) {
+  const matched = typeof trim === 'function' ? trim(match[0]) : trim ? match[0].replace(trim, '') : match[0];
+  if (matched.length === 0) return null;
+
+  return {
+    value: value ? value(match) : matched,
+    start: match.index,
+    end: match.index + matched.length
+  };
+}
+
+// Longest match scanIncrementally expects: each exec sees the text up to this
+// far past the chunk, so a match crossing the boundary is still found whole.
+// Longer ones are only found when the pattern also matches their cut-off start.
+export const MAX_MATCH_LENGTH = 4096;
+
+// Start of the text a window beginning at `position` needs, so lookbehinds and
+// \b still see the characters before it. Only MAX_MATCH_LENGTH back: walking
+// on to a word boundary made scans of text without whitespace quadratic, so a
+// lookbehind reaching further (a hashtag deep inside a URL) sees a cut-off text.
+function windowStart(position) {
+  return Math.max(0, position - MAX_MATCH_LENGTH);
+}
+
+// Stateful regex scan. advance(limit) yields the records of matches starting
+// before `limit`, running the regex over just that chunk plus MAX_MATCH_LENGTH
+// so a text can be processed in chunks without rescanning the rest of it.
+function createRegexScanner(text, pattern, trim, value) {
+  const regex = new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`);
+  let position = 0;
+  let pending = null;
+  let done = false;
+
+  // Next match at or after `position` in `window` (text from `start` to `end`),
+  // with text-relative indexes; one cut off by the window's end is redone
+  // against the whole text
+  function nextMatch(window, start, end) {
+    regex.lastIndex = position - start;
+    const match = regex.exec(window);
+    if (!match) return null;
+
+    if (end < text.length && match.index + match[0].length === window.length) {
+      regex.lastIndex = position;
+      const whole = regex.exec(text);
+      return whole && { match: whole, next: regex.lastIndex };
+    }
+    match.index += start;
+    return { match, next: start + regex.lastIndex };
+  }
+
+  return {
+    *advance(limit = Infinity) {
+      const end = limit === Infinity ? text.length : Math.min(text.length, limit + MAX_MATCH_LENGTH);
+      let start = null;
+      let window;
+
+      while (!done) {
+        if (!pending) {
+          if (start === null) {
+            start = windowStart(position);
+            window = start === 0 && end === text.length ? text : text.slice(start, end);
+          }
+          pending = nextMatch(window, start, end);
+          if (!pending) {
+            if (end === text.length) done = true;
+            else position = Math.max(position, limit);
+            return;
+          }
+        }
+
+        const { match, next } = pending;
+        if (match.index >= limit) return;
+        pending = null;
+        position = match[0] === '' ? next + 1 : next;
+
+        const record = toRecord(match, trim, value);
+        if (record) yield record;
+      }
+    }
+  };
+}
+
+function createCustomScanner(text, definition) {
+  let done = false;
+
+  return {
+    *advance() {
+      if (done) return;
+      done = true;
+      yield* scanCustom(text, definition);
+    }
+  };
+}
+
+function createScanner(text, definition, override) {
+  const { pattern, trim, value, validate } = definition;
+  const scanner = definition.fn
+    ? createCustomScanner(text, definition)
+    : createRegexScanner(text, override || pattern, trim, value);
+
+  return {
+    *advance(limit) {
+      for (const record of scanner.advance(limit)) {
+        if (validate && !validate(record.value)) continue;
+        yield record;
+      }
+    }
+  };
+}
+
+// Yields { value, start, end } for every match of an extractor
+function scanExtractor(text, definition, override) {
+  return createScanner(text, definition, override).advance(Infinity);
+}
+
+// Unique values in order of first appearance, like the Ruby extractors' scan.uniq
+export function uniqueValues(values) {
+  const seen = new Set();
+
+  return values.filter(value => {
+    const key = typeof value === 'string' ? value : JSON.stringify(value);
+    if (seen.has(key)) return false;
+
+    seen.add(key);
+    return true;
+  });
+}
+
+export function matchPattern(text, definition, override) {
+  return uniqueValues(Array.from(scanExtractor(text, definition, override), record => record.value));
+}
+
+function toEntity(definition, { value, start, end }) {
+  const entity = { type: definition.type, value, start, end, normalized: definition.normalize(value) };
+  return definition.describe ? { ...entity, ...definition.describe(value) } : entity;
+}
+
+function byPosition(a, b) {
+  return a.start - b.start || a.end - b.end;
+}
+
+// Returns one record per match with character offsets into `text`.
+// Records are ordered by position so overlapping matches (e.g. a mention
+// inside an email) stay visible to the caller.
+export function findEntities(text, extractors = EXTRACTION_PATTERNS, overrides = {}) {
+  const entities = [];
+
+  Object.entries(extractors).forEach(([name, definition]) => {
+    for (const record of scanExtractor(text, definition, overrides[name])) {
+      entities.push(toEntity(definition, record));
+    }
+  });
+
+  return entities.sort(byPosition);
+}
+
+const yieldToEventLoop = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Single pass over `text` for every extractor, `chunkSize` characters at a
+// time, yielding to the event loop between chunks. Resolves to the unique
+// values per extractor plus the position-aware entity list.
+export async function scanIncrementally(text, extractors = EXTRACTION_PATTERNS, overrides = {}, options = {}) {
+  const { chunkSize = 65536, onProgress, signal } = options;
+  const names = Object.keys(extractors);
+  const scanners = names.map(name => createScanner(text, extractors[name], overrides[name]));
+  const records = names.map(() => []);
+  let offset = 0;
+
+  do {
+    if (signal && signal.aborted) throw signal.reason;
+
+    offset = Math.min(offset + chunkSize, text.length);
+    const limit = offset >= text.length ? Infinity : offset;
+    scanners.forEach((scanner, i) => {
+      for (const record of scanner.advance(limit)) records[i].push(record);
+    });
+
+    if (onProgress) onProgress({ processed: offset, total: text.length });
+    if (offset < text.length) await yieldToEventLoop();
+  } while (offset < text.length);
+
+  const patterns = {};
+  const entities = [];
+  names.forEach((name, i) => {
+    patterns[name] = uniqueValues(records[i].map(record => record.value));
+    records[i].forEach(record => entities.push(toEntity(extractors[name], record)));
+  });
+
+  return { patterns, entities: entities.sort(byPosition) };
+}
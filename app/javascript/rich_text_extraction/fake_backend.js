@@ -0,0 +1,331 @@
+// In-memory stand-in for the Rails endpoints, answering /api/extract,
+// /api/batch_extract, /api/validate, /health and the /validators/* routes with
+// the client's local extraction and validation. Failures can be scripted per
+// route (timeouts, error statuses, malformed JSON, network errors), so UI code
+// and Cypress scenarios run without a server:
+//
+//   const backend = createFakeBackend();
+//   const client = new RichTextExtractionClient('/api', { fetch: backend.fetch });
+//   backend.fail('POST /api/extract', { type: 'status', status: 500 });
+//
+// or, to intercept window.fetch (e.g. in Cypress onBeforeLoad):
+//
+//   const uninstall = createFakeBackend().install(window);
+import { LOCAL_VALIDATORS } from './validators.js';
+import { RichTextExtractionClient } from './universal_client.js';
+import { VALIDATOR_EXAMPLES } from './validator_examples.js';
+
+export const FAKE_FAILURE_TYPES = ['timeout', 'status', 'malformed', 'network'];
+
+export const DEFAULT_FAKE_BACKEND_OPTIONS = {
+  baseUrl: '/api',
+  validatorsUrl: '',
+  healthUrl: '/health',
+  // Milliseconds before each response
+  latency: 0,
+  // Milliseconds a scripted timeout hangs before rejecting with a TimeoutError, so
+  // requests without a client timeout or signal still settle; longer than the
+  // client's default timeout, which normally ends the request first
+  timeoutAfter: 60000
+};
+
+// ValidatorAPI.metadata, generated from Core::Constants::VALIDATOR_EXAMPLES
+const VALIDATORS = Object.fromEntries(VALIDATOR_EXAMPLES.map(entry => [entry.symbol, entry]));
+
+// Metadata names the ExtractionPatterns constant, as ValidatorAPI.metadata does
+function metadata(symbol) {
+  const { schema_type: schemaType = null, schema_property: schemaProperty = null, description = null,
+    regex_constant: regex = null, valid = [], invalid = [] } = VALIDATORS[symbol] || {};
+  return { symbol, schema_type: schemaType, schema_property: schemaProperty, description, regex, valid, invalid };
+}
+
+function jsonLd(symbol, value) {
+  const entry = VALIDATORS[symbol];
+  return entry ? { '@context': 'https://schema.org', '@type': entry.schema_type, [entry.schema_property]: value } : null;
+}
+
+// Registry names as InterfaceAdapter.handle_request takes them ('UrlValidator'
+// or 'url_validator') to validator symbols
+function validatorSymbol(name) {
+  return String(name)
+    .replace(/([a-z\d])([A-Z])/g, '$1_$2')
+    .toLowerCase()
+    .replace(/_validator$/, '');
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+// { status, body } for a routed request; body is serialized as JSON
+function reply(status, body) {
+  return { status, body };
+}
+
+function notFound(message = 'Validator not found') {
+  return reply(404, { error: message });
+}
+
+function validatorRoutes(client) {
+  const known = symbol => Object.prototype.hasOwnProperty.call(LOCAL_VALIDATORS, symbol);
+
+  return [
+    ['GET', /^\/validators$/, (match, { query }) => {
+      const fields = (query.get('fields') || '').split(',').map(field => field.trim()).filter(Boolean);
+      const pick = entry => (fields.length === 0
+        ? entry
+        : Object.fromEntries(fields.filter(field => field in entry).map(field => [field, entry[field]])));
+      return reply(200, Object.fromEntries(Object.keys(LOCAL_VALIDATORS).map(symbol => [symbol, pick(metadata(symbol))])));
+    }],
+    ['GET', /^\/validators\/fields$/, () => reply(200, { fields: Object.keys(LOCAL_VALIDATORS) })],
+    ['GET', /^\/validators\/([^/]+)$/, ([, symbol]) => (known(symbol) ? reply(200, metadata(symbol)) : notFound())],
+    ['GET', /^\/validators\/([^/]+)\/jsonld$/, ([, symbol], { query }) => {
+      if (!known(symbol)) return notFound();
+      const value = query.get('value');
+      const document = isBlank(value) ? null : jsonLd(symbol, value);
+      return document ? reply(200, document) : reply(422, { error: 'No schema.org mapping or value given' });
+    }],
+    ['GET', /^\/validators\/([^/]+)\/examples$/, ([, symbol]) => {
+      if (!known(symbol)) return notFound();
+      const { valid, invalid } = metadata(symbol);
+      return reply(200, { examples: { valid, invalid } });
+    }],
+    // Regexp#to_s of the constant, e.g. (?-mix:\A\d{13}\z)
+    ['GET', /^\/validators\/([^/]+)\/regex$/, ([, symbol]) => {
+      const regex = known(symbol) && VALIDATORS[symbol].regex;
+      return regex ? reply(200, { regex }) : notFound();
+    }],
+    ['POST', /^\/validators\/([^/]+)\/validate$/, ([, symbol], { body }) => {
+      if (isBlank(body.value)) return reply(400, { error: 'Value is required' });
+      if (!known(symbol)) return notFound();
+      const result = client.validateLocally(symbol, body.value);
+      return reply(200, { ...result, jsonld: result.valid ? jsonLd(symbol, body.value) : null, metadata: metadata(symbol) });
+    }],
+    ['POST', /^\/validators\/([^/]+)\/batch_validate$/, ([, symbol], { body }) => {
+      if (!known(symbol)) return notFound();
+      const values = Array.isArray(body.values) ? body.values : [];
+      const results = values.map(value => ({ value, ...client.validateLocally(symbol, value) }));
+      return reply(200, { results, metadata: metadata(symbol) });
+    }]
+  ];
+}
+
+function apiRoutes(client) {
+  const extract = ({ text, ...options }) => client.processTextLocally(String(text), options);
+
+  return [
+    ['POST', /^\/extract$/, (match, { body }) => {
+      if (typeof body.text !== 'string') return reply(400, { error: 'Text is required' });
+      return reply(200, extract(body));
+    }],
+    ['POST', /^\/batch_extract$/, (match, { body }) => {
+      if (!Array.isArray(body.texts)) return reply(400, { error: 'Texts are required' });
+      const { texts, ...options } = body;
+      return reply(200, { results: texts.map(text => extract({ ...options, text })) });
+    }],
+    // A bare true or false, like InterfaceAdapter.handle_request(type: :validate):
+    // `validator` names a registry validator, UrlValidator by default
+    ['POST', /^\/validate$/, (match, { body }) => {
+      const symbol = validatorSymbol(body.validator || 'UrlValidator');
+      const known = Object.prototype.hasOwnProperty.call(LOCAL_VALIDATORS, symbol);
+      return reply(200, known && !isBlank(body.value) && client.validateLocally(symbol, body.value).valid);
+    }]
+  ];
+}
+
+function stripPrefix(pathname, prefix) {
+  if (!prefix) return pathname;
+  if (pathname !== prefix && !pathname.startsWith(`${prefix}/`)) return null;
+  return pathname.slice(prefix.length);
+}
+
+// "POST /api/extract", "/api/extract", a RegExp or a function of the request
+function matches(matcher, request) {
+  if (typeof matcher === 'function') return matcher(request);
+  if (matcher instanceof RegExp) return matcher.test(`${request.method} ${request.path}`);
+
+  const [method, path] = matcher.includes(' ') ? matcher.split(' ') : [null, matcher];
+  return (!method || method.toUpperCase() === request.method) && path === request.path;
+}
+
+function abortError(signal) {
+  if (signal && signal.reason) return signal.reason;
+  const error = new Error('The operation was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(abortError(signal));
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError(signal));
+    };
+    const timer = ms === Infinity ? null : setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// fetch() init for a Request object, with `init` taking precedence
+async function requestInit(request, init) {
+  const method = init.method || request.method;
+  const body = init.body !== undefined || ['GET', 'HEAD'].includes(method.toUpperCase()) ? init.body : await request.clone().text();
+  return { ...init, method, headers: init.headers || request.headers, body, signal: init.signal || request.signal };
+}
+
+function jsonResponse(status, body, headers = {}) {
+  return new Response(body === undefined ? '' : JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers }
+  });
+}
+
+/**
+ * Creates a fake backend.
+ * @param {Object} [options] - baseUrl, validatorsUrl and healthUrl (as given to
+ *   the client), latency and timeoutAfter in ms, and `client`, the RichTextExtractionClient whose
+ *   local logic answers requests (a local-mode client by default)
+ * @returns {Object} { fetch, install, fail, reset, requests }
+ */
+export function createFakeBackend(options = {}) {
+  const config = { ...DEFAULT_FAKE_BACKEND_OPTIONS, ...options };
+  const client = options.client || new RichTextExtractionClient(config.baseUrl, { mode: 'local', cache: false });
+  const routes = {
+    api: apiRoutes(client),
+    validators: validatorRoutes(client)
+  };
+  const failures = [];
+  const requests = [];
+
+  function route(method, pathname) {
+    if (pathname === config.healthUrl) {
+      return method === 'GET' ? () => reply(200, { status: 'ok', time: new Date().toISOString() }) : null;
+    }
+
+    const candidates = [
+      [routes.validators, stripPrefix(pathname, config.validatorsUrl)],
+      [routes.api, stripPrefix(pathname, config.baseUrl)]
+    ];
+    for (const [table, path] of candidates) {
+      if (path === null) continue;
+      for (const [routeMethod, pattern, handler] of table) {
+        const match = routeMethod === method && path.match(pattern);
+        if (match) return context => handler(match, context);
+      }
+    }
+    return null;
+  }
+
+  function takeFailure(request) {
+    const index = failures.findIndex(failure => matches(failure.matcher, request));
+    if (index === -1) return null;
+
+    const failure = failures[index];
+    failure.remaining -= 1;
+    if (failure.remaining <= 0) failures.splice(index, 1);
+    return failure;
+  }
+
+  async function respond(request, handler, signal) {
+    const failure = takeFailure(request);
+    await wait((failure && failure.delay) ?? config.latency, signal);
+
+    if (failure) {
+      switch (failure.type) {
+        case 'timeout':
+          // The client's timeout or the caller's signal usually ends it first
+          await wait(failure.timeoutAfter ?? config.timeoutAfter, signal);
+          throw new DOMException('The operation timed out', 'TimeoutError');
+        case 'network':
+          throw new TypeError('Failed to fetch');
+        case 'malformed':
+          return new Response(failure.body || '{"results": [', { status: 200, headers: { 'Content-Type': 'application/json' } });
+        default:
+          return jsonResponse(failure.status || 500, failure.body || { error: 'Internal Server Error' }, failure.headers);
+      }
+    }
+    if (!handler) return jsonResponse(404, { error: 'Not found' });
+
+    const { status, body } = handler(request);
+    return jsonResponse(status, body);
+  }
+
+  function parse(url, init = {}) {
+    const location = new URL(String(url), 'http://fake-backend.test');
+    let body = {};
+    if (init.body) {
+      try {
+        body = JSON.parse(init.body);
+      } catch (error) {
+        body = {};
+      }
+    }
+    return {
+      method: (init.method || 'GET').toUpperCase(),
+      url: String(url),
+      path: location.pathname,
+      query: location.searchParams,
+      headers: Object.fromEntries(new Headers(init.headers || {})),
+      body
+    };
+  }
+
+  // fetch-compatible; unknown routes answer 404
+  async function fakeFetch(url, init = {}) {
+    const request = parse(url, init);
+    requests.push({ method: request.method, path: request.path, query: request.query.toString(), headers: request.headers, body: request.body });
+    return respond(request, route(request.method, request.path), init.signal);
+  }
+
+  return {
+    fetch: fakeFetch,
+    requests,
+
+    /**
+     * Scripts a failure for matching requests.
+     * @param {string|RegExp|Function} matcher - "POST /api/extract", a path, a
+     *   RegExp tested against "METHOD /path", or a function of the request
+     * @param {Object} failure - type ('timeout' | 'status' | 'malformed' |
+     *   'network'), status, body, headers (e.g. Retry-After), delay, timeoutAfter
+     *   (ms before a timeout rejects) and times (how many requests fail,
+     *   default 1; Infinity for all)
+     */
+    fail(matcher, failure = {}) {
+      const type = failure.type || 'status';
+      if (!FAKE_FAILURE_TYPES.includes(type)) {
+        throw new Error(`Unknown failure type "${type}" (expected ${FAKE_FAILURE_TYPES.join(', ')})`);
+      }
+      failures.push({ ...failure, matcher, type, remaining: failure.times ?? 1 });
+      return this;
+    },
+
+    reset() {
+      failures.length = 0;
+      requests.length = 0;
+      return this;
+    },
+
+    // Replaces target.fetch; other URLs still reach the original. A Request's
+    // method, headers, body and signal apply unless `init` gives its own.
+    // Returns an uninstall function.
+    install(target = globalThis) {
+      const original = target.fetch;
+      target.fetch = async (input, init = {}) => {
+        const isRequest = typeof Request !== 'undefined' && input instanceof Request;
+        const url = isRequest ? input.url : String(input);
+        const fetchInit = isRequest ? await requestInit(input, init) : init;
+        const request = parse(url, fetchInit);
+        const sameOrigin = !/^[a-z]+:/i.test(url) || (target.location && url.startsWith(target.location.origin));
+        if (!sameOrigin || (!route(request.method, request.path) && !failures.some(failure => matches(failure.matcher, request)))) {
+          return original.call(target, input, init);
+        }
+        return fakeFetch(url, fetchInit);
+      };
+      return () => { target.fetch = original; };
+    }
+  };
+}
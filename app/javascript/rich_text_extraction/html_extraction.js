@@ -0,0 +1,178 @@
+// Entity extraction from HTML / ActionText DOM. Text nodes are flattened into
+// plain text (block elements become line breaks, like ActionText's
+// to_plain_text) while remembering where each node landed, so entities found
+// in the text can be mapped back to DOM nodes and ranges. Link targets, image
+// sources and ActionText attachments are read from attributes, since the
+// visible text of <a> often differs from its href.
+
+import { parsePhoneNumber } from './phone_numbers.js';
+import { canonicalizeUrl } from './urls.js';
+
+export const DEFAULT_HTML_OPTIONS = {
+  skip: ['script', 'style', 'noscript', 'template'],
+  // Also ignore <code> and <pre> contents (code samples are not content)
+  skipCode: false
+};
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'br', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure',
+  'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'ol', 'p', 'pre', 'section',
+  'table', 'td', 'th', 'tr', 'ul', 'action-text-attachment'
+]);
+
+// Parses markup into an inert document so scripts never run
+export function parseHTML(html, doc) {
+  if (typeof DOMParser !== 'undefined') {
+    return new DOMParser().parseFromString(html, 'text/html').body;
+  }
+  if (!doc) throw new Error('A DOMParser or document is required to parse HTML');
+
+  const inert = doc.implementation.createHTMLDocument('');
+  inert.body.innerHTML = html;
+  return inert.body;
+}
+
+function tagName(node) {
+  return node.nodeName.toLowerCase();
+}
+
+// Walks `root` and returns { text, segments, elements }: the flattened text,
+// one { node, start, end } per text node, and the elements whose attributes
+// carry entities with the text range they cover.
+export function collectText(root, options = {}) {
+  const config = { ...DEFAULT_HTML_OPTIONS, ...options };
+  const skip = new Set(config.skipCode ? [...config.skip, 'code', 'pre'] : config.skip);
+  const segments = [];
+  const elements = [];
+  let text = '';
+
+  const breakLine = () => {
+    if (text !== '' && !text.endsWith('\n')) text += '\n';
+  };
+
+  const walk = node => {
+    if (node.nodeType === TEXT_NODE) {
+      segments.push({ node, start: text.length, end: text.length + node.nodeValue.length });
+      text += node.nodeValue;
+      return;
+    }
+    if (node.nodeType !== ELEMENT_NODE && node !== root) return;
+
+    const tag = node.nodeType === ELEMENT_NODE ? tagName(node) : null;
+    if (tag && skip.has(tag)) return;
+
+    const block = tag && BLOCK_TAGS.has(tag);
+    if (block) breakLine();
+    const start = text.length;
+    Array.from(node.childNodes || []).forEach(walk);
+    if (tag && ['a', 'img', 'action-text-attachment'].includes(tag)) {
+      elements.push({ node, start, end: text.length });
+    }
+    if (block) breakLine();
+  };
+
+  walk(root);
+  return { text, segments, elements };
+}
+
+// Malformed escapes (mailto:100%, tel:%zz) are valid HTML; keep them as written
+function decodeHref(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+// Entities carried by attributes: <a href>, <img src> and ActionText attachments
+function attributeEntities({ node, start, end }, options) {
+  const tag = tagName(node);
+  const entity = (type, value, normalized = value) => ({ type, value, start, end, normalized, node, source: 'attribute' });
+
+  if (tag === 'a') {
+    const href = (node.getAttribute('href') || '').trim();
+    if (/^https?:\/\//i.test(href)) {
+      const canonical = canonicalizeUrl(href, options) || href;
+      return [entity('link', options.urlMode === 'canonical' ? canonical : href, canonical)];
+    }
+    if (/^mailto:/i.test(href)) {
+      const address = decodeHref(href.slice(7).split('?')[0]);
+      return address ? [entity('email', address, address.toLowerCase())] : [];
+    }
+    if (/^tel:/i.test(href)) {
+      const number = decodeHref(href.slice(4));
+      const phone = parsePhoneNumber(number, options);
+      return [entity('phone', number, phone ? phone.e164 : number.replace(/[^\d+]/g, ''))];
+    }
+    return [];
+  }
+
+  if (tag === 'img') {
+    const src = (node.getAttribute('src') || '').trim();
+    return /^https?:\/\//i.test(src) ? [entity('image', src)] : [];
+  }
+
+  const url = (node.getAttribute('url') || '').trim();
+  if (!/^https?:\/\//i.test(url)) return [];
+  const contentType = node.getAttribute('content-type') || '';
+  return [entity(contentType.startsWith('image/') ? 'image' : 'attachment', url)];
+}
+
+// Finds the text node and offset holding character `index` of the flattened
+// text. `atEnd` prefers the node that ends at `index` over the next one.
+function locate(segments, index, atEnd) {
+  for (const segment of segments) {
+    if (index < segment.start) break;
+    if (index < segment.end || (atEnd && index === segment.end)) {
+      return { node: segment.node, offset: index - segment.start };
+    }
+  }
+  return null;
+}
+
+function createRange(doc, start, end) {
+  if (!start || !end) return null;
+  if (!doc || typeof doc.createRange !== 'function') {
+    return { startContainer: start.node, startOffset: start.offset, endContainer: end.node, endOffset: end.offset };
+  }
+
+  const range = doc.createRange();
+  range.setStart(start.node, start.offset);
+  range.setEnd(end.node, end.offset);
+  return range;
+}
+
+function selectNodeRange(doc, node) {
+  if (!doc || typeof doc.createRange !== 'function') return null;
+
+  const range = doc.createRange();
+  range.selectNode(node);
+  return range;
+}
+
+// Adds `node` and `range` to text entities and merges attribute entities,
+// dropping an attribute entity when the same value was already found in the
+// element's visible text. options.defaultRegion applies to tel: numbers;
+// urlMode and stripTracking to hrefs, as for the links extractor.
+export function mapEntitiesToDom(collected, entities, doc, options = {}) {
+  const mapped = entities.map(entity => {
+    const start = locate(collected.segments, entity.start, false);
+    const end = locate(collected.segments, entity.end, true);
+    return { ...entity, node: start ? start.node : null, range: createRange(doc, start, end), source: 'text' };
+  });
+
+  collected.elements.forEach(element => {
+    attributeEntities(element, options).forEach(entity => {
+      const duplicate = mapped.some(other =>
+        other.type === entity.type && other.normalized === entity.normalized &&
+        other.start >= entity.start && other.end <= entity.end
+      );
+      if (!duplicate) mapped.push({ ...entity, range: selectNodeRange(doc, entity.node) });
+    });
+  });
+
+  return mapped.sort((a, b) => a.start - b.start || a.end - b.end);
+}
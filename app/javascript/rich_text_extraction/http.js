@@ -0,0 +1,205 @@
+// Shared HTTP pipeline for the client: timeouts via AbortController, retries
+// with exponential backoff for network errors and 5xx/429 (honoring
+// Retry-After), caller abort signals, and typed errors that keep the server's
+// error payload. Only idempotent requests are retried: idempotent methods, or
+// any request passed `idempotent: true` (the side-effect-free extraction and
+// validation POSTs), unless the caller sets retryNonIdempotent, since a
+// repeated POST may otherwise apply twice.
+
+export const DEFAULT_HTTP_OPTIONS = {
+  timeout: 30000,
+  retries: 2,
+  retryDelay: 300,
+  maxRetryDelay: 10000,
+  retryNonIdempotent: false
+};
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE', 'TRACE'];
+
+export class RichTextExtractionError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'RichTextExtractionError';
+    // 'http' | 'timeout' | 'aborted' | 'network' | 'parse' | 'schema'
+    this.code = details.code || 'http';
+    this.status = details.status || null;
+    this.statusText = details.statusText || '';
+    this.payload = details.payload === undefined ? null : details.payload;
+    this.requestId = details.requestId || null;
+    this.url = details.url || null;
+    this.method = details.method || null;
+    this.attempts = details.attempts || 0;
+    if (details.cause) this.cause = details.cause;
+  }
+
+  get retryable() {
+    return this.code === 'network' || this.status === 429 || (this.status >= 500 && this.status < 600);
+  }
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || (status >= 500 && status < 600);
+}
+
+// Retry-After is either delay-seconds or an HTTP date
+function parseRetryAfter(header) {
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function backoffDelay(attempt, config) {
+  return Math.min(config.retryDelay * 2 ** (attempt - 1), config.maxRetryDelay);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(signal.reason);
+
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    function onAbort() {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+async function readBody(response) {
+  const text = await response.text();
+  if (text === '') return null;
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+function requestIdFrom(response, payload) {
+  const header = response.headers && response.headers.get && response.headers.get('X-Request-Id');
+  return header || (payload && typeof payload === 'object' ? payload.request_id || payload.requestId : null) || null;
+}
+
+function errorMessage(label, response, payload) {
+  const serverMessage = payload && typeof payload === 'object' ? payload.error || payload.message : null;
+  return `${label} failed: ${serverMessage || response.statusText || `HTTP ${response.status}`}`;
+}
+
+// Settles with `promise`, or rejects once `signal` aborts for fetch
+// implementations whose body reads ignore the signal
+function untilAborted(promise, signal) {
+  if (signal.aborted) return Promise.reject(signal.reason);
+
+  let onAbort;
+  const aborted = new Promise((_, reject) => {
+    onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+  return Promise.race([promise, aborted]).finally(() => signal.removeEventListener('abort', onAbort));
+}
+
+// Runs a single fetch and reads its body, with a timeout linked to the caller's
+// signal covering both; `response` is set on errors raised while reading the body
+async function attemptFetch(fetchImpl, url, init, timeout, signal) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = timeout > 0 ? setTimeout(() => { timedOut = true; controller.abort(); }, timeout) : null;
+  const onAbort = () => controller.abort();
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+  let response;
+  try {
+    response = await fetchImpl(url, { ...init, signal: controller.signal });
+    return { response, payload: await untilAborted(readBody(response), controller.signal) };
+  } catch (error) {
+    return { response, error, timedOut };
+  } finally {
+    if (timer) clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+  }
+}
+
+export async function performRequest(fetchImpl, url, options = {}, defaults = DEFAULT_HTTP_OPTIONS) {
+  const config = { ...DEFAULT_HTTP_OPTIONS, ...defaults, ...options };
+  const { method = 'GET', body, headers = {}, signal, label = 'Request' } = options;
+  const init = {
+    method,
+    headers: { 'Accept': 'application/json', ...headers }
+  };
+  if (body !== undefined) {
+    init.headers['Content-Type'] = 'application/json';
+    init.body = JSON.stringify(body);
+  }
+
+  const details = { url, method };
+  const idempotent = options.idempotent ?? IDEMPOTENT_METHODS.includes(method.toUpperCase());
+  const retries = config.retryNonIdempotent || idempotent ? config.retries : 0;
+  let attempt = 0;
+
+  for (;;) {
+    attempt += 1;
+    if (signal && signal.aborted) {
+      throw new RichTextExtractionError(`${label} aborted`, { ...details, code: 'aborted', attempts: attempt - 1 });
+    }
+
+    const { response, payload, error, timedOut } = await attemptFetch(fetchImpl, url, init, config.timeout, signal);
+    let failure;
+    let delay = null;
+
+    if (error) {
+      if (timedOut) {
+        throw new RichTextExtractionError(`${label} timed out after ${config.timeout}ms`, {
+          ...details, code: 'timeout', attempts: attempt, cause: error
+        });
+      }
+      if (signal && signal.aborted) {
+        throw new RichTextExtractionError(`${label} aborted`, { ...details, code: 'aborted', attempts: attempt, cause: error });
+      }
+      if (response) {
+        throw new RichTextExtractionError(`${label} failed: unreadable response`, {
+          ...details, code: 'parse', status: response.status, attempts: attempt, cause: error
+        });
+      }
+      failure = new RichTextExtractionError(`${label} failed: ${error.message}`, {
+        ...details, code: 'network', attempts: attempt, cause: error
+      });
+    } else {
+      if (response.ok) {
+        if (typeof payload === 'string') {
+          throw new RichTextExtractionError(`${label} failed: response is not JSON`, {
+            ...details, code: 'parse', status: response.status, payload, requestId: requestIdFrom(response, null), attempts: attempt
+          });
+        }
+        return payload;
+      }
+
+      failure = new RichTextExtractionError(errorMessage(label, response, payload), {
+        ...details,
+        status: response.status,
+        statusText: response.statusText,
+        payload,
+        requestId: requestIdFrom(response, payload),
+        attempts: attempt
+      });
+      if (!isRetryableStatus(response.status)) throw failure;
+      delay = parseRetryAfter(response.headers && response.headers.get && response.headers.get('Retry-After'));
+    }
+
+    // Give up rather than ignore a Retry-After beyond what the caller allows
+    if (attempt > retries || (delay !== null && delay > config.maxRetryDelay)) throw failure;
+
+    try {
+      await sleep(delay === null ? backoffDelay(attempt, config) : delay, signal);
+    } catch (abortError) {
+      throw new RichTextExtractionError(`${label} aborted`, { ...details, code: 'aborted', attempts: attempt, cause: abortError });
+    }
+  }
+}
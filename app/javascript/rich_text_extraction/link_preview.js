@@ -0,0 +1,31 @@
+// Normalizes OpenGraph payloads (OpenGraphService#extract: og:* properties
+// without the prefix, or { error }) into the shape preview cards render.
+
+function text(value) {
+  return typeof value === 'string' && value.trim() !== '' ? value.trim() : null;
+}
+
+function httpUrl(value, base) {
+  if (!text(value)) return null;
+  try {
+    const url = new URL(value.trim(), base);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+export function normalizeOpenGraph(url, payload = {}) {
+  const data = payload && typeof payload === 'object' ? payload : {};
+  const preview = {
+    url: httpUrl(data.url, url) || url,
+    title: text(data.title),
+    description: text(data.description),
+    // Relative og:image values resolve against the page URL
+    image: httpUrl(data.image, url),
+    siteName: text(data.site_name || data.siteName),
+    type: text(data.type)
+  };
+  preview.empty = !preview.title && !preview.description && !preview.image;
+  return preview;
+}
@@ -0,0 +1,864 @@
+// Client-side Markdown rendering that matches the server's renderer
+// (MarkdownHelpers::CustomMarkdownRenderer on Redcarpet with filter_html,
+// hard_wrap, fenced_code_blocks, autolink and tables), so live previews show
+// what will be saved. The block and inline rules follow Redcarpet's parser,
+// quirks included (e.g. "#tag" at the start of a line is a heading).
+//
+// Three deliberate differences: link and image attributes are escaped (the
+// Ruby renderer interpolates them raw), URLs with a scheme other than http,
+// https, mailto or tel render as plain text, and raw HTML is always dropped.
+// spec/fixtures/markdown_rendering.json holds the shared samples; run
+// `npm run test:markdown` to compare this renderer against them.
+
+import { escapeHtml, isSafeHref } from './annotate.js';
+
+export const DEFAULT_MARKDOWN_OPTIONS = {
+  hardWrap: true,
+  tables: true,
+  fencedCode: true,
+  autolink: true,
+  // Redcarpet has no task lists; when enabled, "[ ]" / "[x]" items become checkboxes
+  taskLists: false,
+  // (text, { inLink }) => html for plain text runs; defaults to escaping
+  text: null
+};
+
+const TABLE_ALIGN = { left: ' style="text-align: left"', right: ' style="text-align: right"', center: ' style="text-align: center"' };
+const ESCAPABLE = '\\`*_{}[]()#+-.!:|&<>^~="$';
+const HREF_SAFE = /[A-Za-z0-9\-_.+!*(),%#@?=;:/$~]/;
+
+const isSpace = char => char === ' ' || char === '\n' || char === '\t' || char === '\r' || char === '\f' || char === '\v';
+const isAlnum = char => /^[A-Za-z0-9]$/.test(char || '');
+const isAlpha = char => /^[A-Za-z]$/.test(char || '');
+const isPunct = char => /^[!-/:-@[-`{-~]$/.test(char || '');
+const isBlank = line => /^ *$/.test(line);
+
+// Redcarpet's escape_href: percent-encodes unsafe bytes, entity-encodes & and '
+function escapeHref(href) {
+  return Array.from(href, char => {
+    if (char === '&') return '&amp;';
+    if (char === "'") return '&#x27;';
+    return HREF_SAFE.test(char) ? char : encodeURIComponent(char);
+  }).join('');
+}
+
+function unescapeText(text) {
+  return text.replace(/\\(.)/g, '$1');
+}
+
+function expandTabs(line) {
+  let result = '';
+  for (const char of line) {
+    result += char === '\t' ? ' '.repeat(4 - (result.length % 4)) : char;
+  }
+  return result;
+}
+
+// --- Inline parsing -------------------------------------------------------
+
+function renderText(text, ctx) {
+  if (text === '') return '';
+  return ctx.text && !ctx.inLink ? ctx.text(text, { inLink: false }) : escapeHtml(text);
+}
+
+// Links, images and autolinks whose URL fails isSafeHref render as plain text
+function renderLink(href, content) {
+  if (!isSafeHref(href || '')) return content || '';
+  return `<a href="${escapeHtml(href || '')}" target="_blank" rel="noopener noreferrer">${content || ''}</a>`;
+}
+
+function renderImage(src, alt) {
+  if (!isSafeHref(src || '')) return escapeHtml(alt || '');
+  return `<img src="${escapeHtml(src || '')}" alt="${escapeHtml(alt || '')}" class="markdown-image" loading="lazy" />`;
+}
+
+function renderAutolink(link, email) {
+  const href = `${email ? 'mailto:' : ''}${escapeHref(link)}`;
+  const label = link.startsWith('mailto:') ? link.slice(7) : link;
+  if (!isSafeHref(href)) return escapeHtml(label);
+  return `<a href="${href}">${escapeHtml(label)}</a>`;
+}
+
+// Offset of the next unescaped `c` in text[start, end), skipping code spans
+// and links the way Redcarpet's find_emph_char does; 0 when none
+function findEmphChar(text, start, end, c) {
+  let i = start;
+
+  while (i < end) {
+    while (i < end && text[i] !== c && text[i] !== '`' && text[i] !== '[') i++;
+    if (i === end) return 0;
+    if (i > start && text[i - 1] === '\\') { i++; continue; }
+    if (text[i] === c) return i - start;
+
+    let fallback = 0;
+    if (text[i] === '`') {
+      let spanLength = 0;
+      while (i < end && text[i] === '`') { i++; spanLength++; }
+      if (i >= end) return 0;
+      let closing = 0;
+      while (i < end && closing < spanLength) {
+        if (!fallback && text[i] === c) fallback = i - start;
+        closing = text[i] === '`' ? closing + 1 : 0;
+        i++;
+      }
+      if (i >= end) return fallback;
+    } else {
+      i++;
+      while (i < end && text[i] !== ']') {
+        if (!fallback && text[i] === c) fallback = i - start;
+        i++;
+      }
+      i++;
+      while (i < end && (text[i] === ' ' || text[i] === '\n')) i++;
+      if (i >= end) return fallback;
+
+      const close = text[i] === '[' ? ']' : text[i] === '(' ? ')' : null;
+      if (!close) {
+        if (fallback) return fallback;
+        continue;
+      }
+      i++;
+      while (i < end && text[i] !== close) {
+        if (!fallback && text[i] === c) fallback = i - start;
+        i++;
+      }
+      if (i >= end) return fallback;
+      i++;
+    }
+  }
+  return 0;
+}
+
+// parse_emph1/2/3: `start` is the first character after the opening run.
+// Return { html, length } where length counts from `start`, or null.
+function emphasis1(text, start, end, c, ctx) {
+  let i = end - start > 1 && text[start] === c && text[start + 1] === c ? 1 : 0;
+
+  while (i < end - start) {
+    const offset = findEmphChar(text, start + i, end, c);
+    if (!offset) return null;
+    i += offset;
+    if (i >= end - start) return null;
+
+    if (text[start + i] === c && !isSpace(text[start + i - 1])) {
+      const content = renderInline(text.slice(start, start + i), ctx);
+      return content ? { html: `<em>${content}</em>`, length: i + 1 } : null;
+    }
+  }
+  return null;
+}
+
+function emphasis2(text, start, end, c, ctx) {
+  let i = 0;
+
+  while (i < end - start) {
+    const offset = findEmphChar(text, start + i, end, c);
+    if (!offset) return null;
+    i += offset;
+
+    const at = start + i;
+    if (at + 1 < end && text[at] === c && text[at + 1] === c && i && !isSpace(text[at - 1])) {
+      const content = renderInline(text.slice(start, at), ctx);
+      return content ? { html: `<strong>${content}</strong>`, length: i + 2 } : null;
+    }
+    i++;
+  }
+  return null;
+}
+
+function emphasis3(text, start, end, c, ctx) {
+  let i = 0;
+
+  while (i < end - start) {
+    const offset = findEmphChar(text, start + i, end, c);
+    if (!offset) return null;
+    i += offset;
+
+    const at = start + i;
+    if (text[at] !== c || isSpace(text[at - 1])) continue;
+
+    if (at + 2 < end && text[at + 1] === c && text[at + 2] === c) {
+      const content = renderInline(text.slice(start, at), ctx);
+      return content ? { html: `<strong><em>${content}</em></strong>`, length: i + 3 } : null;
+    }
+    if (at + 1 < end && text[at + 1] === c) {
+      // ***a** b* : hand over to single emphasis around a strong run
+      const result = emphasis1(text, start - 2, end, c, ctx);
+      return result && { html: result.html, length: result.length - 2 };
+    }
+    const result = emphasis2(text, start - 1, end, c, ctx);
+    return result && { html: result.html, length: result.length - 1 };
+  }
+  return null;
+}
+
+function charEmphasis(text, i, offset, ctx) {
+  const c = text[i];
+  const size = text.length - i;
+  let result = null;
+
+  if (size > 2 && text[i + 1] !== c) {
+    if (isSpace(text[i + 1])) return null;
+    result = emphasis1(text, i + 1, text.length, c, ctx);
+    return result && { html: result.html, length: result.length + 1 };
+  }
+  if (size > 3 && text[i + 1] === c && text[i + 2] !== c) {
+    if (isSpace(text[i + 2])) return null;
+    result = emphasis2(text, i + 2, text.length, c, ctx);
+    return result && { html: result.html, length: result.length + 2 };
+  }
+  if (size > 4 && text[i + 1] === c && text[i + 2] === c && text[i + 3] !== c) {
+    if (isSpace(text[i + 3])) return null;
+    result = emphasis3(text, i + 3, text.length, c, ctx);
+    return result && { html: result.html, length: result.length + 3 };
+  }
+  return null;
+}
+
+function charCodespan(text, i) {
+  let open = 0;
+  while (text[i + open] === '`') open++;
+
+  let end = i + open;
+  let closing = 0;
+  for (; end < text.length && closing < open; end++) {
+    closing = text[end] === '`' ? closing + 1 : 0;
+  }
+  if (closing < open) return null;
+
+  const content = text.slice(i + open, end - open).replace(/^ +| +$/g, '');
+  return { html: `<code>${escapeHtml(content)}</code>`, length: end - i };
+}
+
+// Two spaces before a newline force a <br>
+function charLinebreak(text, i, offset) {
+  if (offset < 2 || text[i - 1] !== ' ' || text[i - 2] !== ' ') return null;
+  return { html: '<br>\n', length: 1, trimSpaces: true };
+}
+
+function charEscape(text, i, offset, ctx) {
+  const next = text[i + 1];
+  if (next === undefined) return { html: renderText('\\', ctx), length: 1 };
+  if (!ESCAPABLE.includes(next)) return null;
+  return { html: renderText(next, ctx), length: 2 };
+}
+
+function charEntity(text, i) {
+  const entity = text.slice(i).match(/^&#?[A-Za-z0-9]*;/);
+  return entity ? { html: entity[0], length: entity[0].length } : null;
+}
+
+function mailAutolinkLength(text, i) {
+  let ats = 0;
+  for (let j = i; j < text.length; j++) {
+    const char = text[j];
+    if (isAlnum(char)) continue;
+    if (char === '@') ats++;
+    else if (char === '>') return ats === 1 ? j - i + 1 : 0;
+    else if (char !== '-' && char !== '.' && char !== '_') return 0;
+  }
+  return 0;
+}
+
+// <http://...>, <user@example.com> or an HTML tag (dropped, like filter_html)
+function charLangle(text, i) {
+  const size = text.length - i;
+  if (size < 3) return null;
+
+  let j = i + (text[i + 1] === '/' ? 2 : 1);
+  if (!isAlnum(text[j])) return null;
+
+  let autolink = null;
+  while (j < text.length && (isAlnum(text[j]) || '.+-'.includes(text[j]))) j++;
+  if (j - i > 1 && text[j] === '@') {
+    const length = mailAutolinkLength(text, j);
+    if (length) {
+      const end = j + length;
+      return { html: renderAutolink(unescapeText(text.slice(i + 1, end - 1)), true), length: end - i };
+    }
+  }
+  if (j - i > 2 && text[j] === ':') {
+    autolink = 'url';
+    j++;
+  }
+
+  if (j >= text.length) {
+    autolink = null;
+  } else if (autolink) {
+    const linkStart = j;
+    while (j < text.length) {
+      if (text[j] === '\\') j += 2;
+      else if ('>\'" \n'.includes(text[j])) break;
+      else j++;
+    }
+    if (j >= text.length) return null;
+    if (j > linkStart && text[j] === '>') {
+      return { html: renderAutolink(unescapeText(text.slice(i + 1, j)), false), length: j + 1 - i };
+    }
+  }
+
+  while (j < text.length && text[j] !== '>') j++;
+  if (j >= text.length) return null;
+  return { html: '', length: j + 1 - i };
+}
+
+// Trims trailing punctuation and unbalanced closing brackets from an autolink
+function autolinkDelim(text, start, linkEnd) {
+  const lt = text.slice(start, start + linkEnd).indexOf('<');
+  let end = lt === -1 ? linkEnd : lt;
+
+  while (end > 0) {
+    const last = text[start + end - 1];
+    if ('?!.,:'.includes(last)) {
+      end--;
+    } else if (last === ';') {
+      let entityStart = end - 2;
+      while (entityStart > 0 && isAlpha(text[start + entityStart])) entityStart--;
+      end = entityStart < end - 2 && text[start + entityStart] === '&' ? entityStart : end - 1;
+    } else {
+      break;
+    }
+  }
+  if (end === 0) return 0;
+
+  const close = text[start + end - 1];
+  const open = { '"': '"', "'": "'", ')': '(', ']': '[', '}': '{' }[close];
+  if (open) {
+    let opening = 0;
+    let closing = 0;
+    for (let k = 0; k < end; k++) {
+      if (text[start + k] === open) opening++;
+      else if (text[start + k] === close) closing++;
+    }
+    if (closing !== opening) end--;
+  }
+  return end;
+}
+
+function checkDomain(text, start) {
+  if (!isAlnum(text[start])) return 0;
+
+  let dots = 0;
+  let i = 1;
+  for (; start + i < text.length - 1; i++) {
+    const char = text[start + i];
+    if (char === '.' || char === ':') dots++;
+    else if (!isAlnum(char) && char !== '-') break;
+  }
+  return dots ? i : 0;
+}
+
+function scanToSpace(text, from) {
+  let end = from;
+  while (end < text.length && !isSpace(text[end])) end++;
+  return end;
+}
+
+// Bare http://, https:// and ftp:// URLs, triggered on the ':'
+function charAutolinkUrl(text, i, offset, ctx) {
+  if (ctx.inLink || text[i + 1] !== '/' || text[i + 2] !== '/' || text.length - i < 4) return null;
+
+  let rewind = 0;
+  while (rewind < offset && isAlpha(text[i - rewind - 1])) rewind++;
+  const candidate = text.slice(i - rewind);
+  if (!/^(https?|ftp):\/\/[A-Za-z0-9]/i.test(candidate)) return null;
+
+  const domain = checkDomain(text, i + 3);
+  if (!domain) return null;
+
+  const linkEnd = autolinkDelim(text, i, scanToSpace(text, i + 3 + domain) - i);
+  if (!linkEnd) return null;
+
+  return { html: renderAutolink(text.slice(i - rewind, i + linkEnd), false), length: linkEnd, rewind };
+}
+
+function charAutolinkEmail(text, i, offset, ctx) {
+  if (ctx.inLink) return null;
+
+  let rewind = 0;
+  while (rewind < offset && (isAlnum(text[i - rewind - 1]) || '.+-_'.includes(text[i - rewind - 1]))) rewind++;
+  if (rewind === 0) return null;
+
+  let ats = 0;
+  let dots = 0;
+  let linkEnd = 0;
+  for (; i + linkEnd < text.length; linkEnd++) {
+    const char = text[i + linkEnd];
+    if (isAlnum(char)) continue;
+    if (char === '@') ats++;
+    else if (char === '.' && i + linkEnd < text.length - 1) dots++;
+    else if (char !== '-' && char !== '_') break;
+  }
+  const last = text[i + linkEnd - 1];
+  if (linkEnd < 2 || ats !== 1 || dots === 0 || (!isAlpha(last) && last !== '.')) return null;
+
+  linkEnd = autolinkDelim(text, i, linkEnd);
+  if (!linkEnd) return null;
+
+  return { html: renderAutolink(text.slice(i - rewind, i + linkEnd), true), length: linkEnd, rewind };
+}
+
+// www.example.com goes through the link renderer with an http:// href
+function charAutolinkWww(text, i, offset, ctx) {
+  if (ctx.inLink) return null;
+  if (offset > 0 && !isPunct(text[i - 1]) && !isSpace(text[i - 1])) return null;
+  if (!text.startsWith('www.', i)) return null;
+
+  const domain = checkDomain(text, i);
+  if (!domain) return null;
+
+  const linkEnd = autolinkDelim(text, i, scanToSpace(text, i + domain) - i);
+  if (!linkEnd) return null;
+
+  const link = text.slice(i, i + linkEnd);
+  return { html: renderLink(`http://${link}`, escapeHtml(link)), length: linkEnd };
+}
+
+// [text](url "title"), [text][ref], [ref] and ![alt](src)
+function charLink(text, i, offset, ctx) {
+  const image = offset > 0 && text[i - 1] === '!';
+  let level = 1;
+  let j = i + 1;
+
+  for (; j < text.length; j++) {
+    if (text[j] === '\n') continue;
+    if (text[j - 1] === '\\') continue;
+    if (text[j] === '[') level++;
+    else if (text[j] === ']' && --level <= 0) break;
+  }
+  if (j >= text.length) return null;
+
+  const textEnd = j;
+  j++;
+  while (j < text.length && isSpace(text[j])) j++;
+
+  let link = null;
+  if (text[j] === '(') {
+    j++;
+    while (j < text.length && isSpace(text[j])) j++;
+    const linkStart = j;
+    let parens = 0;
+
+    while (j < text.length) {
+      if (text[j] === '\\') j += 2;
+      else if (text[j] === '(') { parens++; j++; }
+      else if (text[j] === ')') { if (parens === 0) break; parens--; j++; }
+      else if (j >= 1 && isSpace(text[j - 1]) && (text[j] === "'" || text[j] === '"')) break;
+      else j++;
+    }
+    if (j >= text.length) return null;
+
+    let linkEnd = j;
+    if (text[j] === "'" || text[j] === '"') {
+      const quote = text[j];
+      let inTitle = true;
+      const titleStart = ++j;
+      while (j < text.length) {
+        if (text[j] === '\\') j += 2;
+        else if (text[j] === quote) { inTitle = false; j++; }
+        else if (text[j] === ')' && !inTitle) break;
+        else j++;
+      }
+      if (j >= text.length) return null;
+
+      let titleEnd = j - 1;
+      while (titleEnd > titleStart && isSpace(text[titleEnd])) titleEnd--;
+      if (text[titleEnd] !== "'" && text[titleEnd] !== '"') linkEnd = j;
+    }
+
+    let start = linkStart;
+    while (linkEnd > start && isSpace(text[linkEnd - 1])) linkEnd--;
+    if (text[start] === '<') start++;
+    if (text[linkEnd - 1] === '>') linkEnd--;
+    if (linkEnd > start) link = text.slice(start, linkEnd);
+    j++;
+  } else if (text[j] === '[') {
+    const idStart = j + 1;
+    while (j < text.length && text[j] !== ']') j++;
+    if (j >= text.length) return null;
+
+    const id = idStart === j ? text.slice(i + 1, textEnd).replace(/\n/g, ' ') : text.slice(idStart, j);
+    const ref = ctx.refs[id.toLowerCase()];
+    if (!ref) return null;
+    link = ref;
+    j++;
+  } else {
+    const ref = ctx.refs[text.slice(i + 1, textEnd).replace(/\n/g, ' ').toLowerCase()];
+    if (!ref) return null;
+    link = ref;
+    j = textEnd + 1;
+  }
+
+  const label = text.slice(i + 1, textEnd);
+  const href = link === null ? null : unescapeText(link);
+  if (image) return { html: renderImage(href, label), length: j - i, rewind: 1 };
+
+  const content = label ? renderInline(label, { ...ctx, inLink: true }) : '';
+  return { html: renderLink(href, content), length: j - i };
+}
+
+function activeHandler(char, ctx) {
+  switch (char) {
+    case '*':
+    case '_': return charEmphasis;
+    case '`': return charCodespan;
+    case '\n': return charLinebreak;
+    case '[': return charLink;
+    case '<': return charLangle;
+    case '\\': return charEscape;
+    case '&': return charEntity;
+    case ':': return ctx.autolink ? charAutolinkUrl : null;
+    case '@': return ctx.autolink ? charAutolinkEmail : null;
+    case 'w': return ctx.autolink ? charAutolinkWww : null;
+    default: return null;
+  }
+}
+
+// Plain text is held back until a handler succeeds so autolinks can take
+// back the scheme or local part they rewind over.
+function renderInline(text, ctx) {
+  let html = '';
+  let consumed = 0;
+  let i = 0;
+
+  while (i < text.length) {
+    const handler = activeHandler(text[i], ctx);
+    const result = handler && handler(text, i, i - consumed, ctx);
+    if (!result) {
+      i++;
+      continue;
+    }
+
+    let pending = text.slice(consumed, i - (result.rewind || 0));
+    if (result.trimSpaces) pending = pending.replace(/ +$/, '');
+    html += renderText(pending, ctx) + result.html;
+    i += result.length;
+    consumed = i;
+  }
+
+  return html + renderText(text.slice(consumed), ctx);
+}
+
+// --- Block parsing --------------------------------------------------------
+
+const ATX_HEADER = /^(#{1,6})/;
+const QUOTE_PREFIX = /^ {0,3}> ?/;
+const UL_PREFIX = /^ {0,3}[*+-] /;
+const OL_PREFIX = /^ {0,3}\d+\. /;
+
+function isHrule(line) {
+  const match = line.match(/^ {0,3}([*\-_])/);
+  if (!match) return false;
+  const rest = line.slice(match[0].length - 1);
+  return new RegExp(`^(\\${match[1]} *){3,}$`).test(rest);
+}
+
+function headerLineLevel(line) {
+  if (/^=+ *$/.test(line)) return 1;
+  if (/^-+ *$/.test(line)) return 2;
+  return 0;
+}
+
+function codeFence(line) {
+  const match = line.match(/^ {0,3}(`{3,}|~{3,}) *([^\s`]*)/);
+  return match ? { marker: match[1], lang: match[2] } : null;
+}
+
+function renderCodeBlock(code, lang) {
+  return `<pre><code class="${lang ? `language-${escapeHtml(lang)}` : ''}">${escapeHtml(code)}</code></pre>`;
+}
+
+// Appends a paragraph to the rendered html, as rndr_paragraph does
+function renderParagraph(html, lines, ctx) {
+  const prefix = html ? `${html}\n` : '';
+  const content = renderInline(lines.join('\n'), ctx).replace(/^\s+/, '');
+  if (content === '') return prefix;
+
+  const body = ctx.hardWrap ? content.replace(/\n(?=[\s\S])/g, '<br>\n') : content;
+  return `${prefix}<p>${body}</p>\n`;
+}
+
+function parseFencedCode(lines, start) {
+  const open = codeFence(lines[start]);
+  if (!open) return null;
+
+  const code = [];
+  let i = start + 1;
+  for (; i < lines.length; i++) {
+    const close = lines[i].match(/^ {0,3}(`{3,}|~{3,}) *$/);
+    if (close && close[1][0] === open.marker[0] && close[1].length >= open.marker.length) {
+      i++;
+      break;
+    }
+    code.push(lines[i]);
+  }
+  return { html: renderCodeBlock(code.length ? `${code.join('\n')}\n` : '', open.lang), next: i };
+}
+
+function splitRow(line, columns) {
+  let i = line[0] === '|' ? 1 : 0;
+  const cells = [];
+  while (cells.length < columns && i < line.length) {
+    while (i < line.length && isSpace(line[i])) i++;
+    const start = i;
+    while (i < line.length && line[i] !== '|') i++;
+    cells.push(line.slice(start, i).replace(/\s+$/, ''));
+    i++;
+  }
+  while (cells.length < columns) cells.push('');
+  return cells;
+}
+
+function parseTable(lines, start, ctx) {
+  const header = lines[start];
+  const underline = lines[start + 1];
+  if (underline === undefined || !header.includes('|')) return null;
+
+  const headerText = header.replace(/\s+$/, '');
+  let pipes = (header.match(/\|/g) || []).length;
+  if (headerText[0] === '|') pipes--;
+  if (headerText.endsWith('|')) pipes--;
+  if (pipes < 0) return null;
+  const columns = pipes + 1;
+
+  const align = [];
+  let i = underline[0] === '|' ? 1 : 0;
+  for (let col = 0; col < columns && i < underline.length; col++) {
+    let dashes = 0;
+    let left = false;
+    let right = false;
+    while (i < underline.length && underline[i] === ' ') i++;
+    if (underline[i] === ':') { i++; left = true; dashes++; }
+    while (i < underline.length && underline[i] === '-') { i++; dashes++; }
+    if (underline[i] === ':') { i++; right = true; dashes++; }
+    while (i < underline.length && underline[i] === ' ') i++;
+    if (i < underline.length && underline[i] !== '|' && underline[i] !== '+') break;
+    if (dashes < 3) break;
+    align.push(left && right ? 'center' : left ? 'left' : right ? 'right' : null);
+    i++;
+  }
+  if (align.length < columns) return null;
+
+  const row = (line, tag) => {
+    const cells = splitRow(line, columns).map((cell, col) => {
+      const style = align[col] ? TABLE_ALIGN[align[col]] : '';
+      return `<${tag}${style}>${renderInline(cell, ctx)}</${tag}>\n`;
+    });
+    return `<tr>\n${cells.join('')}</tr>\n`;
+  };
+
+  let next = start + 2;
+  let body = '';
+  while (next < lines.length && lines[next].includes('|')) {
+    body += row(lines[next], 'td');
+    next++;
+  }
+
+  return { html: `<table><thead>\n${row(headerText, 'th')}</thead><tbody>\n${body}</tbody></table>\n`, next };
+}
+
+function parseBlockquote(lines, start) {
+  const inner = [];
+  let i = start;
+  for (; i < lines.length; i++) {
+    const line = lines[i];
+    const prefix = line.match(QUOTE_PREFIX);
+    if (prefix) {
+      inner.push(line.slice(prefix[0].length));
+      continue;
+    }
+    const next = lines[i + 1];
+    if (isBlank(line) && (next === undefined || (!QUOTE_PREFIX.test(next) && !isBlank(next)))) break;
+    inner.push(line);
+  }
+  return { lines: inner, next: i };
+}
+
+function parseIndentedCode(lines, start) {
+  const code = [];
+  let i = start;
+  for (; i < lines.length && (/^ {4}/.test(lines[i]) || isBlank(lines[i])); i++) {
+    code.push(lines[i].slice(4));
+  }
+  while (code.length && code[code.length - 1] === '') code.pop();
+  return { html: renderCodeBlock(`${code.join('\n')}\n`, null), next: i };
+}
+
+function listItemContent(html, ctx) {
+  if (!ctx.taskLists) return html;
+  return html.replace(/^(<p>)?\[([ xX])\] /, (match, paragraph, mark) =>
+    `${paragraph || ''}<input type="checkbox" disabled${mark === ' ' ? '' : ' checked'}> `
+  );
+}
+
+// parse_listitem: returns { html, next, end } where end means the list stops
+function parseListItem(lines, start, state, ctx) {
+  const first = lines[start];
+  const indent = first.match(/^ {0,3}/)[0].length;
+  const marker = first.match(UL_PREFIX) || first.match(OL_PREFIX);
+  const work = [first.slice(marker[0].length)];
+  let sublist = 0;
+  let inEmpty = false;
+  let insideEmpty = false;
+  let inFence = false;
+  let i = start + 1;
+
+  for (; i < lines.length; i++) {
+    const line = lines[i];
+    if (isBlank(line)) {
+      inEmpty = true;
+      continue;
+    }
+
+    const pre = line.match(/^ {0,4}/)[0].length;
+    const rest = line.slice(pre);
+    if (ctx.fencedCode && codeFence(rest)) inFence = !inFence;
+    const nextUl = !inFence && UL_PREFIX.test(rest);
+    const nextOl = !inFence && OL_PREFIX.test(rest);
+
+    if (inEmpty && ((state.ordered && nextUl) || (!state.ordered && nextOl))) {
+      state.end = true;
+      break;
+    }
+    if ((nextUl && !isHrule(rest)) || nextOl) {
+      if (inEmpty) insideEmpty = true;
+      if (pre === indent) break;
+      if (!sublist) sublist = work.length;
+    } else if (inEmpty && pre === 0) {
+      state.end = true;
+      break;
+    } else if (inEmpty) {
+      work.push('');
+      insideEmpty = true;
+    }
+
+    inEmpty = false;
+    work.push(rest);
+  }
+
+  if (insideEmpty) state.block = true;
+  const head = sublist ? work.slice(0, sublist) : work;
+  const tail = sublist ? work.slice(sublist) : [];
+
+  let content;
+  if (state.block) {
+    content = renderBlocks(tail, ctx, renderBlocks(head, ctx));
+  } else {
+    content = renderInline(`${head.join('\n')}\n`, ctx);
+    if (tail.length) content = renderBlocks(tail, ctx, content);
+  }
+
+  return { html: `<li>${listItemContent(content.replace(/\n+$/, ''), ctx)}</li>\n`, next: i };
+}
+
+function parseList(lines, start, ordered, ctx) {
+  const state = { ordered, block: false, end: false };
+  let items = '';
+  let i = start;
+
+  while (i < lines.length) {
+    if (!UL_PREFIX.test(lines[i]) && !OL_PREFIX.test(lines[i])) break;
+    const item = parseListItem(lines, i, state, ctx);
+    items += item.html;
+    i = item.next;
+    if (state.end) break;
+  }
+
+  const tag = ordered ? 'ol' : 'ul';
+  return { html: `<${tag}>\n${items}</${tag}>\n`, next: i };
+}
+
+// parse_paragraph: stops at blank lines, headings, rules and quotes; a
+// setext underline turns the last line into a heading
+function parseParagraph(lines, start, html, ctx) {
+  const work = [];
+  let level = 0;
+  let i = start;
+
+  for (; i < lines.length; i++) {
+    const line = lines[i];
+    if (isBlank(line)) { i++; break; }
+    if ((level = headerLineLevel(line))) { i++; break; }
+    if (i > start && (ATX_HEADER.test(line) || isHrule(line) || QUOTE_PREFIX.test(line))) break;
+    work.push(line);
+  }
+
+  if (!level) return { html: renderParagraph(html, work, ctx), next: i };
+
+  const heading = work.pop() || '';
+  let output = work.length ? renderParagraph(html, work, ctx) : html;
+  output += `${output ? '\n' : ''}<h${level}>${renderInline(heading, ctx)}</h${level}>\n`;
+  return { html: output, next: i };
+}
+
+function renderBlocks(lines, ctx, html = '') {
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const open = () => (html ? '\n' : '');
+    let block;
+
+    if (ATX_HEADER.test(line)) {
+      const level = line.match(ATX_HEADER)[1].length;
+      const content = line.slice(level).replace(/^ +/, '').replace(/#+$/, '').replace(/ +$/, '');
+      html += `${open()}<h${level}>${renderInline(content, ctx)}</h${level}>\n`;
+      i++;
+    } else if (isBlank(line)) {
+      i++;
+    } else if (isHrule(line)) {
+      html += `${open()}<hr>\n`;
+      i++;
+    } else if (ctx.fencedCode && (block = parseFencedCode(lines, i))) {
+      html += block.html;
+      i = block.next;
+    } else if (ctx.tables && (block = parseTable(lines, i, ctx))) {
+      html += open() + block.html;
+      i = block.next;
+    } else if (QUOTE_PREFIX.test(line)) {
+      block = parseBlockquote(lines, i);
+      html += `${open()}<blockquote>\n${renderBlocks(block.lines, ctx)}</blockquote>\n`;
+      i = block.next;
+    } else if (/^ {4}/.test(line)) {
+      block = parseIndentedCode(lines, i);
+      html += block.html;
+      i = block.next;
+    } else if (UL_PREFIX.test(line) || OL_PREFIX.test(line)) {
+      block = parseList(lines, i, !UL_PREFIX.test(line), ctx);
+      html += open() + block.html;
+      i = block.next;
+    } else {
+      block = parseParagraph(lines, i, html, ctx);
+      html = block.html;
+      i = block.next;
+    }
+  }
+
+  return html;
+}
+
+// First pass: normalize line endings and tabs, collect reference definitions
+function preprocess(markdown) {
+  const refs = {};
+  const lines = [];
+  const definition = /^ {0,3}\[([^\]]+)\]:[ \t]*<?([^\s>]+)>?(?:[ \t]+(?:"[^"]*"|'[^']*'|\([^)]*\)))?[ \t]*$/;
+
+  markdown.replace(/^﻿/, '').split(/\r\n|\r|\n/).forEach(raw => {
+    const line = expandTabs(raw);
+    const ref = line.match(definition);
+    if (ref) refs[ref[1].toLowerCase()] = ref[2];
+    else lines.push(line);
+  });
+  if (lines.length && lines[lines.length - 1] === '') lines.pop();
+
+  return { lines, refs };
+}
+
+export function renderMarkdown(markdown, options = {}) {
+  if (typeof markdown !== 'string') return '';
+
+  const ctx = { ...DEFAULT_MARKDOWN_OPTIONS, ...options, inLink: false };
+  const { lines, refs } = preprocess(markdown);
+  ctx.refs = refs;
+  return renderBlocks(lines, ctx);
+}
@@ -0,0 +1,186 @@
+// Offline phone number parsing: finds the country code, national number and
+// extension of a written number and normalizes it to E.164 (+12125550100).
+// The bundled metadata covers the national number lengths and trunk prefixes
+// of common regions; numbers that don't fit their region's plan are rejected.
+
+export const DEFAULT_PHONE_OPTIONS = {
+  defaultRegion: 'US'
+};
+
+// countryCode: calling code; nationalPrefix: trunk prefix dropped after the
+// country code (0 in "+44 (0)20 ..."); internationalPrefix: dialed before a
+// country code from inside the region (default 00); length: [min, max] digits
+// of the national number; pattern: what a valid national number looks like
+const NANP = {
+  countryCode: '1',
+  nationalPrefix: '1',
+  internationalPrefix: '011',
+  length: [10, 10],
+  // Area codes can't start with 0 or 1. The exchange isn't checked, so
+  // fictional numbers such as (555) 123-4567 are still found.
+  pattern: /^[2-9]\d{9}$/
+};
+
+export const PHONE_METADATA = {
+  US: NANP,
+  CA: NANP,
+  GB: { countryCode: '44', nationalPrefix: '0', length: [9, 10], pattern: /^[1-9]/ },
+  IE: { countryCode: '353', nationalPrefix: '0', length: [7, 9], pattern: /^[1-9]/ },
+  DE: { countryCode: '49', nationalPrefix: '0', length: [6, 13], pattern: /^[1-9]/ },
+  AT: { countryCode: '43', nationalPrefix: '0', length: [4, 13], pattern: /^[1-9]/ },
+  CH: { countryCode: '41', nationalPrefix: '0', length: [9, 9], pattern: /^[1-9]/ },
+  FR: { countryCode: '33', nationalPrefix: '0', length: [9, 9], pattern: /^[1-9]/ },
+  BE: { countryCode: '32', nationalPrefix: '0', length: [8, 9], pattern: /^[1-9]/ },
+  NL: { countryCode: '31', nationalPrefix: '0', length: [9, 9], pattern: /^[1-9]/ },
+  ES: { countryCode: '34', length: [9, 9], pattern: /^[5-9]/ },
+  PT: { countryCode: '351', length: [9, 9], pattern: /^[2-9]/ },
+  // Italian numbers keep their leading 0 after the country code
+  IT: { countryCode: '39', length: [6, 11], pattern: /^[03]/ },
+  SE: { countryCode: '46', nationalPrefix: '0', length: [7, 10], pattern: /^[1-9]/ },
+  NO: { countryCode: '47', length: [8, 8], pattern: /^[2-9]/ },
+  DK: { countryCode: '45', length: [8, 8], pattern: /^[2-9]/ },
+  FI: { countryCode: '358', nationalPrefix: '0', length: [5, 12], pattern: /^[1-9]/ },
+  PL: { countryCode: '48', length: [9, 9], pattern: /^[1-9]/ },
+  AU: { countryCode: '61', nationalPrefix: '0', internationalPrefix: '0011', length: [9, 9], pattern: /^[2-478]/ },
+  NZ: { countryCode: '64', nationalPrefix: '0', length: [8, 10], pattern: /^[2-9]/ },
+  JP: { countryCode: '81', nationalPrefix: '0', internationalPrefix: '010', length: [9, 10], pattern: /^[1-9]/ },
+  KR: { countryCode: '82', nationalPrefix: '0', internationalPrefix: '001', length: [8, 10], pattern: /^[1-9]/ },
+  CN: { countryCode: '86', nationalPrefix: '0', length: [10, 11], pattern: /^[1-9]/ },
+  HK: { countryCode: '852', internationalPrefix: '001', length: [8, 8], pattern: /^[2-9]/ },
+  SG: { countryCode: '65', internationalPrefix: '000', length: [8, 8], pattern: /^[3689]/ },
+  IN: { countryCode: '91', nationalPrefix: '0', length: [10, 10], pattern: /^[1-9]/ },
+  IL: { countryCode: '972', nationalPrefix: '0', length: [8, 9], pattern: /^[2-9]/ },
+  AE: { countryCode: '971', nationalPrefix: '0', length: [8, 9], pattern: /^[2-9]/ },
+  ZA: { countryCode: '27', nationalPrefix: '0', length: [9, 9], pattern: /^[1-8]/ },
+  BR: { countryCode: '55', nationalPrefix: '0', internationalPrefix: '0014', length: [10, 11], pattern: /^[1-9]{2}/ },
+  MX: { countryCode: '52', length: [10, 10], pattern: /^[1-9]/ }
+};
+
+// Calling code -> region that owns it (the first one listed, e.g. 1 -> US)
+const REGIONS_BY_COUNTRY_CODE = Object.entries(PHONE_METADATA).reduce((index, [region, { countryCode }]) => {
+  if (!index[countryCode]) index[countryCode] = region;
+  return index;
+}, {});
+
+// "x12", "ext. 12", "#12" and tel: URI ";ext=12"
+const EXTENSION = /[ \t]*(?:;ext=|[,;#x]|ext\.?|extension)[ \t]*(\d{1,7})$/i;
+const PHONE_CHARACTERS = /^[\d \t().\/+-]+$/;
+// Dotted runs that are addresses or versions, not numbers: IPv4 addresses and
+// netmasks (192.168.1.10, 255.255.255.0) and versions with a one-digit part
+// (1.2.3, 10.0.19041.1), except North American numbers after a 1 (1.800.555.0199)
+const IPV4_ADDRESS = /^\d{1,3}(?:\.\d{1,3}){3}$/;
+const VERSION_NUMBER = /^\d+(?:\.\d+)+$/;
+const DOTTED_NANP = /^1\.\d{3}\.\d{3}\.\d{4}$/;
+
+// Candidates for the phones extractor: digit runs with common separators, an
+// optional leading + or parenthesized area code, and an optional extension.
+// Digits glued to letters (SKU12345678) never match; parsePhoneNumber then
+// rejects runs that fit no numbering plan, such as long order numbers, and
+// dotted IP addresses and version numbers.
+export const PHONE_CANDIDATE_PATTERN = /(?<![\w+])(?:\+|\(\+?)?\d[\d \t().\/-]{5,}\d(?:[ \t]*(?:ext\.?|extension|x)[ \t]*\d{1,7})?(?!\w)/gi;
+
+function validNationalNumber(number, metadata) {
+  const [min, max] = metadata.length;
+  return number.length >= min && number.length <= max && metadata.pattern.test(number);
+}
+
+function addressOrVersion(text) {
+  if (IPV4_ADDRESS.test(text)) return true;
+  return VERSION_NUMBER.test(text) && !DOTTED_NANP.test(text) && text.split('.').some(part => part.length === 1);
+}
+
+function balancedParentheses(text) {
+  let depth = 0;
+  for (const char of text) {
+    if (char === '(') depth++;
+    if (char === ')' && --depth < 0) return false;
+  }
+  return depth === 0;
+}
+
+// Splits international digits (without + or prefix) into code and number
+function splitCountryCode(digits) {
+  for (let size = 1; size <= 3; size++) {
+    const region = REGIONS_BY_COUNTRY_CODE[digits.slice(0, size)];
+    if (region) return { region, nationalNumber: digits.slice(size) };
+  }
+  return null;
+}
+
+function stripNationalPrefix(number, metadata) {
+  const prefix = metadata.nationalPrefix;
+  if (!prefix || !number.startsWith(prefix) || validNationalNumber(number, metadata)) return number;
+
+  const stripped = number.slice(prefix.length);
+  return validNationalNumber(stripped, metadata) ? stripped : number;
+}
+
+/**
+ * Parses a written phone number.
+ * @param {string} input - e.g. "(212) 555-0100 ext. 12" or "+44 20 7946 0958"
+ * @param {Object} [options] - defaultRegion for numbers without a country code
+ * @returns {Object|null} { e164, countryCode, nationalNumber, extension, region },
+ *   or null when the number can't be dialed
+ */
+export function parsePhoneNumber(input, options = {}) {
+  if (typeof input !== 'string') return null;
+
+  const defaultRegion = String(options.defaultRegion || DEFAULT_PHONE_OPTIONS.defaultRegion).toUpperCase();
+  let text = input.trim();
+  let extension = null;
+
+  const ext = text.match(EXTENSION);
+  if (ext) {
+    extension = ext[1];
+    text = text.slice(0, ext.index);
+  }
+  if (!PHONE_CHARACTERS.test(text) || !balancedParentheses(text) || addressOrVersion(text)) return null;
+  if (text.lastIndexOf('+') > 0) return null;
+
+  // "+44 (0)20 ..." writes the trunk prefix that callers from abroad skip
+  const international = text.startsWith('+');
+  const digits = (international ? text.replace(/\(0\)/, '') : text).replace(/\D/g, '');
+  const home = PHONE_METADATA[defaultRegion];
+  let parsed;
+
+  if (international) {
+    parsed = splitCountryCode(digits);
+  } else if (home && digits.startsWith(home.internationalPrefix || '00')) {
+    parsed = splitCountryCode(digits.slice((home.internationalPrefix || '00').length));
+  } else if (home) {
+    parsed = { region: defaultRegion, nationalNumber: digits };
+  }
+  if (!parsed) return null;
+
+  const metadata = PHONE_METADATA[parsed.region];
+  const nationalNumber = stripNationalPrefix(parsed.nationalNumber, metadata);
+  if (!validNationalNumber(nationalNumber, metadata)) return null;
+
+  return {
+    e164: `+${metadata.countryCode}${nationalNumber}`,
+    countryCode: metadata.countryCode,
+    nationalNumber,
+    extension,
+    region: parsed.region === defaultRegion || metadata === home ? defaultRegion : parsed.region
+  };
+}
+
+// Extractor definition for EXTRACTION_PATTERNS.phones and client.setDefaultRegion
+export function createPhoneExtractor(options = {}) {
+  const parse = value => parsePhoneNumber(value, options);
+
+  return {
+    type: 'phone',
+    pattern: PHONE_CANDIDATE_PATTERN,
+    validate: value => parse(value) !== null,
+    normalize: value => {
+      const phone = parse(value);
+      return phone ? phone.e164 : value.replace(/[^\d+]/g, '');
+    },
+    // Extra fields for position-aware entities
+    describe: value => {
+      const phone = parse(value);
+      return phone ? { countryCode: phone.countryCode, extension: phone.extension, region: phone.region } : {};
+    }
+  };
+}
@@ -0,0 +1,270 @@
+// Translates Ruby regex syntax (as served by /validators/:id/regex) into
+// JavaScript RegExp objects. Throws when a construct has no JS equivalent
+// so callers can fall back to their bundled pattern and report it.
+
+// Exact string anchors, independent of the multiline flag
+const START_OF_STRING = '(?<![\\s\\S])';
+const END_OF_STRING = '(?![\\s\\S])';
+
+const POSIX_CLASSES = {
+  alnum: '\\p{L}\\p{N}',
+  alpha: '\\p{L}',
+  blank: ' \\t',
+  cntrl: '\\p{Cc}',
+  digit: '0-9',
+  graph: '\\x21-\\x7e',
+  lower: '\\p{Ll}',
+  print: '\\x20-\\x7e',
+  punct: '\\p{P}',
+  space: '\\s',
+  upper: '\\p{Lu}',
+  word: '\\w',
+  xdigit: '0-9a-fA-F'
+};
+
+const CLOSING_DELIMITERS = { '{': '}', '(': ')', '[': ']', '<': '>' };
+
+// Splits a literal (/.../flags, %r{...}flags or a bare source) into body and flags
+function parseLiteral(input) {
+  const source = input.trim();
+
+  const percent = source.match(/^%r([^\w\s])([\s\S]*)$/);
+  if (percent) {
+    const closing = CLOSING_DELIMITERS[percent[1]] || percent[1];
+    const end = percent[2].lastIndexOf(closing);
+    if (end === -1) throw new Error(`unterminated %r literal: ${source}`);
+    return { body: percent[2].slice(0, end), flags: percent[2].slice(end + 1) };
+  }
+
+  const slash = source.match(/^\/([\s\S]*)\/([a-z]*)$/);
+  if (slash) return { body: slash[1], flags: slash[2] };
+
+  return { body: source, flags: '' };
+}
+
+// Index of the parenthesis closing the group opened at `start`, or -1
+function closingParen(body, start) {
+  let depth = 0;
+  let inClass = false;
+
+  for (let i = start; i < body.length; i++) {
+    const char = body[i];
+    if (char === '\\') { i++; continue; }
+    if (inClass) { if (char === ']') inClass = false; continue; }
+    if (char === '[') inClass = true;
+    else if (char === '(') depth++;
+    else if (char === ')' && --depth === 0) return i;
+  }
+
+  return -1;
+}
+
+// Unwraps Regexp#to_s groups such as (?-mix:...) and leading (?i) modifiers
+function hoistInlineFlags(body, flags) {
+  let current = body;
+  const enabled = new Set(flags);
+
+  for (;;) {
+    const wrapper = current.match(/^\(\?([mix]*)(?:-[mix]*)?:/);
+    if (wrapper && closingParen(current, 0) === current.length - 1) {
+      [...wrapper[1]].forEach(flag => enabled.add(flag));
+      current = current.slice(wrapper[0].length, -1);
+      continue;
+    }
+
+    const leading = current.match(/^\(\?([mix]+)\)/);
+    if (leading) {
+      [...leading[1]].forEach(flag => enabled.add(flag));
+      current = current.slice(leading[0].length);
+      continue;
+    }
+
+    return { body: current, flags: enabled };
+  }
+}
+
+// Removes whitespace and comments from an extended (/x) pattern
+function stripExtended(body) {
+  let result = '';
+  let inClass = false;
+
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+    if (char === '\\') { result += char + (body[i + 1] || ''); i++; continue; }
+    if (inClass) { if (char === ']') inClass = false; result += char; continue; }
+    if (char === '[') { inClass = true; result += char; continue; }
+    if (/\s/.test(char)) continue;
+    if (char === '#') {
+      while (i < body.length && body[i] !== '\n') i++;
+      continue;
+    }
+    result += char;
+  }
+
+  return result;
+}
+
+function convertBody(body) {
+  let result = '';
+  let inClass = false;
+  let usesLineAnchors = false;
+  let usesUnicode = false;
+
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+    const next = body[i + 1];
+
+    if (char === '\\') {
+      switch (next) {
+        case 'A': result += START_OF_STRING; break;
+        case 'z': result += END_OF_STRING; break;
+        case 'Z': result += `(?=\\n?${END_OF_STRING})`; break;
+        case 'h': result += inClass ? '0-9a-fA-F' : '[0-9a-fA-F]'; break;
+        case 'H': result += '[^0-9a-fA-F]'; break;
+        case 'R': result += '(?:\\r\\n|[\\n\\v\\f\\r\\u0085\\u2028\\u2029])'; break;
+        case 'G':
+        case 'X':
+        case 'K':
+          throw new Error(`\\${next} has no JavaScript equivalent`);
+        case 'k':
+          if (body[i + 2] === "'") {
+            const end = body.indexOf("'", i + 3);
+            result += `\\k<${body.slice(i + 3, end)}>`;
+            i = end;
+            continue;
+          }
+          result += '\\k';
+          break;
+        case 'p':
+        case 'P':
+          usesUnicode = true;
+          result += char + next;
+          break;
+        default:
+          result += char + (next || '');
+      }
+      i++;
+      continue;
+    }
+
+    if (inClass) {
+      const posix = body.slice(i).match(/^\[:(\^?)(\w+):\]/);
+      if (posix) {
+        if (posix[1] || !POSIX_CLASSES[posix[2]]) throw new Error(`unsupported POSIX class ${posix[0]}`);
+        if (POSIX_CLASSES[posix[2]].includes('\\p')) usesUnicode = true;
+        result += POSIX_CLASSES[posix[2]];
+        i += posix[0].length - 1;
+        continue;
+      }
+      if (char === '[') throw new Error('nested character classes are not supported');
+      if (char === ']') inClass = false;
+      result += char;
+      continue;
+    }
+
+    if (char === '[') {
+      inClass = true;
+      result += char;
+      if (next === '^') { result += next; i++; }
+      if (body[i + 1] === ']') { result += '\\]'; i++; }
+      continue;
+    }
+
+    if (char === '(' && next === '?') {
+      const rest = body.slice(i + 2);
+      if (rest.startsWith('>')) throw new Error('atomic groups are not supported');
+      if (rest.startsWith('#')) {
+        i = body.indexOf(')', i);
+        continue;
+      }
+      if (rest.startsWith("'")) {
+        const end = body.indexOf("'", i + 3);
+        result += `(?<${body.slice(i + 3, end)}>`;
+        i = end;
+        continue;
+      }
+      if (/^[imx-]+[:)]/.test(rest)) throw new Error('inline modifiers are only supported at the start of a pattern');
+    }
+
+    if ((char === '+' || char === '*' || char === '?' || char === '}') && next === '+') {
+      throw new Error('possessive quantifiers are not supported');
+    }
+
+    if (char === '^' || char === '$') usesLineAnchors = true;
+    result += char;
+  }
+
+  return { source: result, usesLineAnchors, usesUnicode };
+}
+
+export function translateRubyRegex(input) {
+  if (typeof input !== 'string' || input.trim() === '') {
+    throw new Error('empty pattern');
+  }
+
+  const literal = parseLiteral(input);
+  const hoisted = hoistInlineFlags(literal.body, literal.flags);
+  const body = hoisted.flags.has('x') ? stripExtended(hoisted.body) : hoisted.body;
+  const { source, usesLineAnchors, usesUnicode } = convertBody(body);
+
+  let flags = '';
+  if (hoisted.flags.has('i')) flags += 'i';
+  // Ruby's /m is JavaScript's dotAll; Ruby's ^ and $ always match at line breaks
+  if (hoisted.flags.has('m')) flags += 's';
+  if (usesLineAnchors) flags += 'm';
+
+  try {
+    return { regexp: new RegExp(source, `${flags}u`), source, flags: `${flags}u` };
+  } catch (error) {
+    // Ruby accepts escapes that the JS unicode mode rejects (e.g. \- outside a class)
+    if (usesUnicode) throw new Error(`invalid pattern: ${error.message}`);
+  }
+
+  try {
+    return { regexp: new RegExp(source, flags), source, flags };
+  } catch (error) {
+    throw new Error(`invalid pattern: ${error.message}`);
+  }
+}
+
+// True when `body` still has an anchor (^, $, \A, \z) outside character classes
+function hasAnchors(body) {
+  if (body.includes(START_OF_STRING) || body.includes(END_OF_STRING)) return true;
+
+  let inClass = false;
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+    if (char === '\\') { i++; continue; }
+    if (inClass) { if (char === ']') inClass = false; continue; }
+    if (char === '[') { inClass = true; if (body[i + 1] === '^') i++; continue; }
+    if (char === '^' || char === '$') return true;
+  }
+  return false;
+}
+
+function stripLeadingAnchor(body) {
+  if (body.startsWith(START_OF_STRING)) return body.slice(START_OF_STRING.length);
+  return body.startsWith('^') ? body.slice(1) : body;
+}
+
+function stripTrailingAnchor(body) {
+  if (body.endsWith(END_OF_STRING)) return body.slice(0, -END_OF_STRING.length);
+  // An unescaped $, i.e. preceded by an even number of backslashes
+  const escapes = body.match(/\\*\$$/);
+  return escapes && escapes[0].length % 2 === 1 ? body.slice(0, -1) : body;
+}
+
+// Unanchored global variant of a translated pattern, for scanning text. A leading
+// \A or ^ and a trailing \z or $ are dropped; throws when anchors remain elsewhere.
+// `boundary` (a lookbehind using \p{...}) is only kept for unicode-mode patterns.
+export function toScanningPattern({ source, flags }, prefix = '', boundary = '') {
+  const body = stripTrailingAnchor(stripLeadingAnchor(source));
+  if (hasAnchors(body)) throw new Error(`anchors in ${source} can't be removed for scanning`);
+
+  const lookbehind = flags.includes('u') ? boundary : '';
+  return new RegExp(lookbehind + escapeRegExp(prefix) + body, `${flags}g`);
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
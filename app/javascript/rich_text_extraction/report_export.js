@@ -0,0 +1,139 @@
+// Report export for processed results ({ input, data, sacredGeometry, ... }):
+// CSV (RFC 4180 quoting, CRLF rows), Markdown tables and schema.org JSON-LD.
+// Columns come in a fixed order so exports from different runs line up.
+
+export const REPORT_FORMATS = ['csv', 'markdown', 'jsonld'];
+
+export const DEFAULT_EXPORT_OPTIONS = {
+  // One row per document, or one per extracted entity
+  rows: 'document'
+};
+
+// Extractor category -> validator whose schema.org mapping describes it
+export const JSONLD_VALIDATORS = {
+  links: 'url',
+  images: 'url',
+  attachments: 'url',
+  hashtags: 'hashtag',
+  mentions: 'mention',
+  twitterHandles: 'twitter_handle'
+};
+
+const METRIC_COLUMNS = {
+  goldenRatio: result => result.goldenRatio,
+  vortexEnergy: result => result.vortexFlow && result.vortexFlow.energy,
+  sacredBalance: result => result.sacredGeometry && result.sacredGeometry.sacredBalanceScore
+};
+
+/**
+ * Categories present in the results: known extractors first, in registry
+ * order, then any others alphabetically.
+ * @param {Object[]} results
+ * @param {string[]} known - extractor names
+ * @returns {string[]}
+ */
+export function reportCategories(results, known = []) {
+  const found = new Set();
+  results.forEach(result => Object.keys(result.data || {}).forEach(name => found.add(name)));
+  const extra = Array.from(found).filter(name => !known.includes(name)).sort();
+  return [...known.filter(name => found.has(name)), ...extra];
+}
+
+function entityValue(value) {
+  if (value && typeof value === 'object') return value.url || JSON.stringify(value);
+  return value;
+}
+
+export function documentRows(results, categories) {
+  const columns = ['document', 'characters', ...categories, ...Object.keys(METRIC_COLUMNS)];
+  const rows = results.map((result, index) => {
+    const row = { document: index + 1, characters: typeof result.input === 'string' ? result.input.length : null };
+    categories.forEach(name => { row[name] = ((result.data || {})[name] || []).length; });
+    Object.entries(METRIC_COLUMNS).forEach(([name, metric]) => { row[name] = metric(result); });
+    return row;
+  });
+  return { columns, rows };
+}
+
+export function entityRows(results, categories, typeOf = name => name) {
+  const columns = ['document', 'category', 'type', 'value'];
+  const rows = [];
+  results.forEach((result, index) => {
+    categories.forEach(name => {
+      ((result.data || {})[name] || []).forEach(value => {
+        rows.push({ document: index + 1, category: name, type: typeOf(name), value: entityValue(value) });
+      });
+    });
+  });
+  return { columns, rows };
+}
+
+function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return Number.isInteger(value) ? String(value) : String(Number(value.toFixed(4)));
+  return String(value);
+}
+
+// Spreadsheets run text cells starting with these as formulas (CSV injection)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvField(value) {
+  const formatted = formatCell(value);
+  const text = typeof value !== 'number' && FORMULA_PREFIX.test(formatted) ? `'${formatted}` : formatted;
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv({ columns, rows }) {
+  const lines = [columns, ...rows.map(row => columns.map(column => row[column]))];
+  return `${lines.map(line => line.map(csvField).join(',')).join('\r\n')}\r\n`;
+}
+
+function markdownCell(value) {
+  return formatCell(value).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+export function toMarkdownTable({ columns, rows }) {
+  const line = cells => `| ${cells.join(' | ')} |`;
+  return [
+    line(columns.map(markdownCell)),
+    line(columns.map(() => '---')),
+    ...rows.map(row => line(columns.map(column => markdownCell(row[column]))))
+  ].join('\n') + '\n';
+}
+
+/**
+ * Reads { type, property } from a /validators/:id/jsonld response such as
+ * { "@context": "https://schema.org", "@type": "Thing", "url": "..." }.
+ */
+export function jsonLdMapping(document) {
+  if (!document || typeof document !== 'object' || !document['@type']) return null;
+  const property = Object.keys(document).find(key => !key.startsWith('@'));
+  return property ? { type: document['@type'], property } : null;
+}
+
+/**
+ * One CreativeWork per result, listing its entities under `mentions`.
+ * @param {Object[]} results
+ * @param {Object} mappings - category -> { type, property } (categories without one are left out)
+ * @param {Function} [valueOf] - (category, value) => value for the schema.org property
+ * @returns {Object}
+ */
+export function buildJsonLd(results, mappings, valueOf = (name, value) => entityValue(value)) {
+  const graph = results.map(result => {
+    const mentions = [];
+    Object.entries(mappings).forEach(([name, mapping]) => {
+      if (!mapping) return;
+      ((result.data || {})[name] || []).forEach(value => {
+        mentions.push({ '@type': mapping.type, [mapping.property]: valueOf(name, value) });
+      });
+    });
+
+    const work = { '@type': 'CreativeWork' };
+    if (typeof result.input === 'string') work.text = result.input;
+    if (result.timestamp) work.dateCreated = new Date(result.timestamp).toISOString();
+    work.mentions = mentions;
+    return work;
+  });
+
+  return { '@context': 'https://schema.org', '@graph': graph };
+}
@@ -0,0 +1,82 @@
+// Scoring profiles: the weights, thresholds and texts behind the sacred-geometry
+// metrics, report recommendations and validateSacredGeometry(). Clients select
+// one by name per call (`profile`) or as their default (`scoringProfile`).
+//
+//   weights           category -> vortex energy weight, overriding the extractor's own
+//   thresholds        sacredGeometry metric -> minimum score; below it the metric's
+//                     recommendation is added (null disables a check; custom metrics work too)
+//   goldenRatioRange  [min, max] accepted by validateSacredGeometry()
+//   recommendations   text per thresholded metric, plus `excellent` when none fall short
+
+export const DEFAULT_SCORING_PROFILE = {
+  name: 'default',
+  weights: {},
+  thresholds: {
+    sacredBalanceScore: 0.7,
+    goldenRatioCompliance: 0.8,
+    vortexConstantRatio: 0.6
+  },
+  goldenRatioRange: [1.5, 2.0],
+  recommendations: {
+    sacredBalanceScore: 'Consider optimizing text complexity for better sacred balance',
+    goldenRatioCompliance: 'Text could benefit from golden ratio optimization',
+    vortexConstantRatio: 'Vortex energy flow could be improved',
+    excellent: 'Text demonstrates excellent sacred geometry compliance'
+  }
+};
+
+// Fields processTextLocally always puts in sacredGeometry; custom metrics can't reuse them
+export const SACRED_GEOMETRY_METRICS = ['goldenRatioCompliance', 'fibonacciIndex', 'vortexConstantRatio', 'sacredBalanceScore'];
+
+function checkNumbers(name, field, values = {}, { allowNull = false } = {}) {
+  Object.entries(values).forEach(([key, value]) => {
+    if (value === null && allowNull) return;
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new Error(`Scoring profile "${name}" has a non-numeric ${field}.${key} (${JSON.stringify(value)})`);
+    }
+  });
+}
+
+/**
+ * Builds a scoring profile from registerScoringProfile() options; anything
+ * left out comes from `base`.
+ * @param {string} name
+ * @param {Object} [options] - weights, thresholds, goldenRatioRange, recommendations
+ * @param {Object} [base] - profile to start from
+ * @returns {Object} the complete profile
+ */
+export function defineScoringProfile(name, options = {}, base = DEFAULT_SCORING_PROFILE) {
+  const range = options.goldenRatioRange || base.goldenRatioRange;
+  if (!Array.isArray(range) || range.length !== 2 || !(range[0] <= range[1])) {
+    throw new Error(`Scoring profile "${name}" needs goldenRatioRange as [min, max]`);
+  }
+  checkNumbers(name, 'weights', options.weights);
+  checkNumbers(name, 'thresholds', options.thresholds, { allowNull: true });
+
+  return {
+    name,
+    weights: { ...base.weights, ...options.weights },
+    thresholds: { ...base.thresholds, ...options.thresholds },
+    goldenRatioRange: [range[0], range[1]],
+    recommendations: { ...base.recommendations, ...options.recommendations }
+  };
+}
+
+export const SCORING_PROFILES = { default: DEFAULT_SCORING_PROFILE };
+
+// Vortex energy weight of an extractor category under a profile
+export function categoryWeight(profile, name, definition) {
+  return name in profile.weights ? profile.weights[name] : definition.weight || 0;
+}
+
+// Recommendation texts for the metrics of `sacredGeometry` below the profile's thresholds
+export function recommendationsFor(profile, sacredGeometry = {}) {
+  const recommendations = [];
+  Object.entries(profile.thresholds).forEach(([metric, minimum]) => {
+    const score = sacredGeometry[metric];
+    if (minimum === null || typeof score !== 'number' || score >= minimum) return;
+    recommendations.push(profile.recommendations[metric] || `${metric} is below ${minimum}`);
+  });
+  if (recommendations.length === 0) recommendations.push(profile.recommendations.excellent);
+  return recommendations;
+}
@@ -1,112 +1,483 @@
+import { LOCAL_VALIDATORS, METHOD_BASED_VALIDATORS, validateValue } from './validators.js';
+import { EXTRACTION_PATTERNS, defineExtractor, matchPattern, findEntities, scanIncrementally, uniqueValues } from './extraction_patterns.js';
+import { translateRubyRegex, toScanningPattern } from './regex_translator.js';
+import { DEFAULT_HTTP_OPTIONS, RichTextExtractionError, performRequest } from './http.js';
+import { runChunked } from './batch.js';
+import { ResultCache, hashKey, stableStringify } from './cache.js';
+import { renderAnnotatedHtml, renderAnnotatedFragment } from './annotate.js';
+import { parseHTML, collectText, mapEntitiesToDom } from './html_extraction.js';
+import { normalizeOpenGraph } from './link_preview.js';
+import { renderMarkdown as renderMarkdownToHtml } from './markdown.js';
+import { DEFAULT_PHONE_OPTIONS, PHONE_METADATA, createPhoneExtractor, parsePhoneNumber } from './phone_numbers.js';
+import { DEFAULT_URL_OPTIONS, URL_MODES, createLinkExtractor, groupUrls } from './urls.js';
+import {
+  DEFAULT_EXPORT_OPTIONS, JSONLD_VALIDATORS, REPORT_FORMATS,
+  reportCategories, documentRows, entityRows, toCsv, toMarkdownTable, jsonLdMapping, buildJsonLd
+} from './report_export.js';
+import { ValidatorsResource } from './validators_resource.js';
+import { ApiClient } from './api_operations.js';
+import {
+  SACRED_GEOMETRY_METRICS, SCORING_PROFILES, defineScoringProfile, categoryWeight, recommendationsFor
+} from './scoring_profiles.js';
+
+const REGEX_CACHE_KEY = 'richTextExtractionRegexCache';
+const MODES = ['remote', 'local', 'auto'];
+
+function clearCachedPatterns() {
+  try {
+    if (typeof localStorage !== 'undefined') localStorage.removeItem(REGEX_CACHE_KEY);
+  } catch (error) {
+    // Storage is unavailable; there is nothing to clear
+  }
+}
+
 class RichTextExtractionClient {
-  constructor(baseUrl = '/api') {
+  constructor(baseUrl = '/api', options = {}) {
     this.baseUrl = baseUrl;
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.httpOptions = {
+      timeout: options.timeout ?? DEFAULT_HTTP_OPTIONS.timeout,
+      retries: options.retries ?? DEFAULT_HTTP_OPTIONS.retries,
+      retryDelay: options.retryDelay ?? DEFAULT_HTTP_OPTIONS.retryDelay,
+      maxRetryDelay: options.maxRetryDelay ?? DEFAULT_HTTP_OPTIONS.maxRetryDelay,
+      // Extraction and validation POSTs are marked idempotent and retried anyway;
+      // this also retries other POSTs
+      retryNonIdempotent: options.retryNonIdempotent ?? DEFAULT_HTTP_OPTIONS.retryNonIdempotent
+    };
+    // Engine routes (/validators/...) are mounted separately from the API
+    this.validatorsUrl = options.validatorsUrl || '';
+    // One method per OpenAPI operation (generated by bin/generate_api_client.js)
+    this.api = new ApiClient(this);
+    // list, show, fields, examples, jsonld, regex, validate and batchValidate
+    this.validators = new ValidatorsResource(this);
+    // schema.org { type, property } per validator, from /validators/:id/jsonld
+    this.jsonLdMappings = new Map();
+    this.remotePatterns = {};
+    this.untranslatedPatterns = [];
+    this.validatorOverrides = {};
+    this.extractionOverrides = {};
+    this.extractors = { ...EXTRACTION_PATTERNS };
+    // Region assumed for phone numbers written without a country code
+    this.setDefaultRegion(options.defaultRegion || DEFAULT_PHONE_OPTIONS.defaultRegion);
+    // 'canonical' reports each link once in its canonical form; stripTracking drops utm_* and friends
+    this.setUrlMode(options.urlMode || DEFAULT_URL_OPTIONS.mode, { stripTracking: options.stripTracking });
+    // Named weights, thresholds and recommendation texts; `profile` picks one per call
+    this.scoringProfiles = { ...SCORING_PROFILES };
+    Object.entries(options.scoringProfiles || {}).forEach(([name, profile]) => this.registerScoringProfile(name, profile));
+    this.setScoringProfile(options.scoringProfile || 'default');
+    // Custom sacredGeometry metrics: name -> (text, analysis, profile) => number
+    this.metrics = {};
+    // Optional result cache: true or { store: 'memory' | 'indexeddb' | custom, maxEntries, ttl }
+    this.cache = options.cache ? new ResultCache(options.cache === true ? {} : options.cache) : null;
+    this.dedupe = options.dedupe !== false;
+    // Api::OpengraphController (OpenGraphService#extract for ?url=); previews are cached in memory by default
+    this.opengraphUrl = options.opengraphUrl || `${baseUrl}/opengraph`;
+    this.previewCache = options.previewCache === false
+      ? null
+      : new ResultCache(typeof options.previewCache === 'object' ? options.previewCache : {});
+    this.inflight = new Map();
+    this.dedupedRequests = 0;
+    // 'remote' always calls the server, 'local' never does, 'auto' checks /health first
+    this.setMode(options.mode || 'remote');
+    this.healthUrl = options.healthUrl || '/health';
+    this.healthTimeout = options.healthTimeout ?? 3000;
+    this.healthTtl = options.healthTtl ?? 30000;
+    this.health = { reachable: null, checkedAt: 0 };
+    if (typeof window !== 'undefined' && window.addEventListener) {
+      window.addEventListener('online', () => { this.health.checkedAt = 0; });
+    }
+    this.restoreRemotePatterns();
   }
   
-  async extractText(text, options = {}) {
-    const response = await fetch(`${this.baseUrl}/extract`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ text, ...options })
-    });
+  setMode(mode) {
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown mode "${mode}" (expected ${MODES.join(', ')})`);
+    }
+    this.mode = mode;
+  }
+  
+  setDefaultRegion(region) {
+    const code = String(region).toUpperCase();
+    if (!PHONE_METADATA[code]) {
+      throw new Error(`Unknown phone region "${region}" (expected ${Object.keys(PHONE_METADATA).join(', ')})`);
+    }
+    this.defaultRegion = code;
+    // A phones extractor from registerExtractor() stays in place
+    if (!(this.extractors.phones && this.extractors.phones.custom)) {
+      this.extractors.phones = createPhoneExtractor({ defaultRegion: code });
+    }
+  }
+  
+  setUrlMode(mode, { stripTracking = DEFAULT_URL_OPTIONS.stripTracking } = {}) {
+    if (!URL_MODES.includes(mode)) {
+      throw new Error(`Unknown URL mode "${mode}" (expected ${URL_MODES.join(', ')})`);
+    }
+    this.urlMode = mode;
+    this.stripTracking = Boolean(stripTracking);
+    // A links extractor from registerExtractor() stays in place
+    if (!(this.extractors.links && this.extractors.links.custom)) {
+      this.extractors.links = createLinkExtractor({ mode, stripTracking: this.stripTracking });
+    }
+  }
+  
+  setScoringProfile(name) {
+    this.scoringProfile = this.scoringProfileFor(name).name;
+  }
+  
+  // options: weights, thresholds, goldenRatioRange, recommendations, and
+  // `extends` (a registered profile to start from, 'default' otherwise)
+  registerScoringProfile(name, options = {}) {
+    const { extends: base = 'default', ...profile } = options;
+    this.scoringProfiles[name] = defineScoringProfile(name, profile, this.scoringProfileFor(base));
+    return this;
+  }
+  
+  // A registered profile by name; the client's current one when omitted
+  scoringProfileFor(name = this.scoringProfile) {
+    const profile = this.scoringProfiles[name];
+    if (!profile) {
+      throw new Error(`Unknown scoring profile "${name}" (expected ${Object.keys(this.scoringProfiles).join(', ')})`);
+    }
+    return profile;
+  }
+  
+  // Adds `name` to each locally processed result's sacredGeometry and to batch reports
+  registerMetric(name, calculate) {
+    if (SACRED_GEOMETRY_METRICS.includes(name)) {
+      throw new Error(`Metric "${name}" is built in (${SACRED_GEOMETRY_METRICS.join(', ')})`);
+    }
+    if (typeof calculate !== 'function') throw new Error(`Metric "${name}" needs a calculate function`);
+    this.metrics[name] = calculate;
+    return this;
+  }
+  
+  unregisterMetric(name) {
+    return delete this.metrics[name];
+  }
+  
+  // Pings HealthController; the answer is reused for healthTtl milliseconds
+  async isServerReachable({ force = false } = {}) {
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      this.health = { reachable: false, checkedAt: Date.now() };
+      return false;
+    }
+    if (!force && this.health.reachable !== null && Date.now() - this.health.checkedAt < this.healthTtl) {
+      return this.health.reachable;
+    }
     
-    if (!response.ok) {
-      throw new Error(`Extraction failed: ${response.statusText}`);
+    let reachable;
+    try {
+      const status = await this.api.health({}, { timeout: this.healthTimeout, retries: 0, label: 'Health check' });
+      reachable = Boolean(status) && status.status === 'ok';
+    } catch (error) {
+      reachable = false;
     }
+    this.health = { reachable, checkedAt: Date.now() };
+    return reachable;
+  }
+  
+  // Mode-aware extraction. Results carry `source` ('server' or 'local') and
+  // `approximate`, which is true when computed locally instead of by the server.
+  async extract(text, options = {}, requestOptions = {}) {
+    const mode = requestOptions.mode || this.mode;
+    const local = () => ({ ...this.processTextLocally(text, options), source: 'local', approximate: true });
     
-    return await response.json();
+    if (mode === 'local') return local();
+    if (mode === 'auto' && !(await this.isServerReachable())) return local();
+    
+    try {
+      const result = await this.extractText(text, options, requestOptions);
+      return { ...result, source: 'server', approximate: false };
+    } catch (error) {
+      if (mode !== 'auto' || !this.isConnectivityError(error)) throw error;
+      
+      this.health = { reachable: false, checkedAt: Date.now() };
+      return { ...local(), fallbackReason: error.message };
+    }
   }
   
-  async batchExtract(texts, options = {}) {
-    const response = await fetch(`${this.baseUrl}/batch_extract`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ texts, ...options })
+  // Failures that mean "server unavailable" rather than "request rejected"
+  isConnectivityError(error) {
+    if (!(error instanceof RichTextExtractionError)) return false;
+    return error.code === 'network' || error.code === 'timeout' || error.status >= 500;
+  }
+  
+  // Shared request pipeline; `requestOptions` accepts signal, timeout and retries
+  async request(url, requestOptions = {}) {
+    return performRequest(this.fetch, url, requestOptions, this.httpOptions);
+  }
+  
+  async extractText(text, options = {}, requestOptions = {}) {
+    const send = () => this.api.extract({ body: { text, ...options } }, { ...requestOptions, label: 'Extraction' });
+    const useCache = this.cache && requestOptions.cache !== false;
+    
+    return this.sharedRequest(['extract', this.baseUrl, text, options], requestOptions, async () => {
+      const key = useCache && await this.extractionCacheKey(text, options);
+      if (useCache) {
+        const cached = await this.cache.get(key);
+        if (cached !== undefined) return cached;
+      }
+      
+      const result = await send();
+      if (useCache) await this.cache.set(key, result);
+      return result;
     });
+  }
+  
+  // Identical concurrent requests share one network call. Requests with their
+  // own abort signal run alone so one caller cannot cancel another's result.
+  sharedRequest(identity, requestOptions, send) {
+    if (!this.dedupe || requestOptions.signal) return send();
     
-    if (!response.ok) {
-      throw new Error(`Batch extraction failed: ${response.statusText}`);
+    const key = stableStringify(identity);
+    if (this.inflight.has(key)) {
+      this.dedupedRequests += 1;
+      return this.inflight.get(key);
     }
     
-    return await response.json();
+    const promise = send().finally(() => this.inflight.delete(key));
+    this.inflight.set(key, promise);
+    return promise;
   }
   
-  async sacredGeometryAnalysis(text, options = {}) {
-    const response = await fetch(`${this.baseUrl}/sacred_geometry_analysis`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ text, ...options })
+  extractionCacheKey(text, options = {}) {
+    return hashKey(['extract', this.baseUrl, text, options]);
+  }
+  
+  // Last server result for this text, even if expired (for offline pages)
+  async cachedExtraction(text, options = {}) {
+    if (!this.cache) return undefined;
+    return this.cache.get(await this.extractionCacheKey(text, options), { allowStale: true });
+  }
+  
+  // Drops one cached extraction, or the whole cache when called without text
+  async invalidateCache(text, options = {}) {
+    if (!this.cache) return;
+    await this.cache.invalidate(text === undefined ? undefined : await this.extractionCacheKey(text, options));
+  }
+  
+  async cacheStats() {
+    const stats = this.cache ? await this.cache.getStats() : { enabled: false };
+    return { ...stats, inflight: this.inflight.size, deduped: this.dedupedRequests };
+  }
+  
+  // OpenGraph card data for a URL: { url, title, description, image, siteName, type, empty }
+  async linkPreview(url, requestOptions = {}) {
+    if (!/^https?:\/\//i.test(String(url))) {
+      throw new Error(`Cannot preview "${url}": only http(s) URLs are supported`);
+    }
+    const useCache = this.previewCache && requestOptions.cache !== false;
+    
+    return this.sharedRequest(['preview', this.opengraphUrl, url], requestOptions, async () => {
+      if (useCache) {
+        const cached = await this.previewCache.get(url);
+        if (cached !== undefined) return cached;
+      }
+      
+      const payload = await this.api.opengraph({ url }, { ...requestOptions, label: 'Link preview' });
+      // Endpoints that return OpenGraphService#extract as-is report fetch failures as { error } with a 200
+      if (payload && payload.error) {
+        throw new RichTextExtractionError(`Link preview failed: ${payload.error}`, { payload, url, method: 'GET' });
+      }
+      
+      const preview = normalizeOpenGraph(url, payload);
+      if (useCache) await this.previewCache.set(url, preview);
+      return preview;
     });
+  }
+  
+  async batchExtract(texts, options = {}, requestOptions = {}) {
+    return this.api.batchExtract({ body: { texts, ...options } }, { ...requestOptions, label: 'Batch extraction' });
+  }
+  
+  // Chunked batch extraction for large jobs. `batchOptions` takes chunkSize,
+  // concurrency and onProgress plus the usual request options; yields
+  // { index, text, result } or { index, text, error } as chunks finish.
+  async *streamBatchExtract(texts, options = {}, batchOptions = {}) {
+    const { chunkSize, concurrency, onProgress, ...requestOptions } = batchOptions;
+    const worker = chunk => this.extractBatchChunk(chunk, options, requestOptions);
+    
+    yield* runChunked(texts, worker, { chunkSize, concurrency, onProgress });
+  }
+  
+  async batchExtractChunked(texts, options = {}, batchOptions = {}) {
+    const results = new Array(texts.length).fill(null);
+    const failures = [];
     
-    if (!response.ok) {
-      throw new Error(`Sacred geometry analysis failed: ${response.statusText}`);
+    for await (const outcome of this.streamBatchExtract(texts, options, batchOptions)) {
+      if (outcome.error) failures.push(outcome);
+      else results[outcome.index] = outcome.result;
     }
     
-    return await response.json();
+    return {
+      total: texts.length,
+      succeeded: texts.length - failures.length,
+      failed: failures.length,
+      results,
+      failures: failures.sort((a, b) => a.index - b.index)
+    };
   }
   
-  async universalConsistencyCheck(text, options = {}) {
-    const response = await fetch(`${this.baseUrl}/universal_consistency_check`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ text, ...options })
+  // Never rejects: a failed request marks every item in the chunk as failed
+  async extractBatchChunk({ offset, items }, options, requestOptions) {
+    let response;
+    try {
+      response = await this.batchExtract(items, options, requestOptions);
+    } catch (error) {
+      return items.map((text, i) => ({ index: offset + i, text, error }));
+    }
+    
+    const { results } = response;
+    return items.map((text, i) => {
+      const result = results[i];
+      if (result === undefined) {
+        return { index: offset + i, text, error: new RichTextExtractionError('Batch extraction failed: missing result', { code: 'parse', payload: response }) };
+      }
+      if (result && result.success === false) {
+        return { index: offset + i, text, error: new RichTextExtractionError(`Batch extraction failed: ${result.error || 'item rejected'}`, { payload: result }) };
+      }
+      return { index: offset + i, text, result };
     });
+  }
+  
+  // Deprecated: use extract(), whose result carries the sacred geometry
+  // metrics. This used to POST to /sacred_geometry_analysis, which never existed.
+  async sacredGeometryAnalysis(text, options = {}, requestOptions = {}) {
+    return this.extract(text, options, requestOptions);
+  }
+  
+  // Deprecated: use validateSacredGeometry(processTextLocally(text)). This used
+  // to POST to /universal_consistency_check, which never existed.
+  async universalConsistencyCheck(text, options = {}) {
+    return this.validateSacredGeometry(this.processTextLocally(text, options), options);
+  }
+  
+  // Server regex metadata (GET /validators/:id/regex), translated to JS and cached.
+  // Bundled patterns stay in use for any symbol that fails to load or translate.
+  async loadRemotePatterns(symbols = Object.keys(LOCAL_VALIDATORS)) {
+    const report = { loaded: [], untranslated: [], failed: [] };
     
-    if (!response.ok) {
-      throw new Error(`Consistency check failed: ${response.statusText}`);
+    await Promise.all(symbols.map(async symbol => {
+      let source;
+      try {
+        // null for validators without a regex (checksum-only)
+        source = await this.validators.regex(symbol);
+      } catch (error) {
+        report.failed.push({ symbol, reason: error.message });
+        return;
+      }
+      if (!source) return;
+      
+      if (this.applyRemotePattern(symbol, source, report)) {
+        report.loaded.push(symbol);
+      }
+    }));
+    
+    this.untranslatedPatterns = report.untranslated;
+    this.rebuildPatternOverrides();
+    this.persistRemotePatterns();
+    return report;
+  }
+  
+  applyRemotePattern(symbol, source, report = { untranslated: [] }) {
+    try {
+      this.remotePatterns[symbol] = { rubySource: source, ...translateRubyRegex(source) };
+      return true;
+    } catch (error) {
+      delete this.remotePatterns[symbol];
+      report.untranslated.push({ symbol, source, reason: error.message });
+      return false;
     }
+  }
+  
+  rebuildPatternOverrides() {
+    this.validatorOverrides = {};
+    this.extractionOverrides = {};
     
-    return await response.json();
+    // Method-based validators keep their checks; their server regex is only informational
+    Object.entries(this.remotePatterns).forEach(([symbol, pattern]) => {
+      if (!METHOD_BASED_VALIDATORS.includes(symbol)) this.validatorOverrides[symbol] = pattern.regexp;
+    });
+    Object.entries(this.extractors).forEach(([category, definition]) => {
+      const pattern = definition.validator && this.validatorOverrides[definition.validator] && this.remotePatterns[definition.validator];
+      if (!pattern) return;
+      try {
+        this.extractionOverrides[category] = toScanningPattern(pattern, definition.prefix, definition.boundary);
+      } catch (error) {
+        // Keep the bundled pattern when the server's can't be unanchored for scanning
+      }
+    });
   }
   
-  // Sacred geometry utilities (same calculations as Ruby core)
+  // Blocked storage (SecurityError) or a full one (QuotaExceededError) only
+  // means the patterns are not kept for the next page
+  persistRemotePatterns() {
+    const sources = {};
+    Object.entries(this.remotePatterns).forEach(([symbol, pattern]) => {
+      sources[symbol] = pattern.rubySource;
+    });
+    try {
+      if (typeof localStorage !== 'undefined') localStorage.setItem(REGEX_CACHE_KEY, JSON.stringify(sources));
+    } catch (error) {
+      clearCachedPatterns();
+    }
+  }
+  
+  // Runs in the constructor, so an unreadable or corrupt entry is dropped
+  // instead of breaking the client
+  restoreRemotePatterns() {
+    let sources;
+    try {
+      if (typeof localStorage === 'undefined') return;
+      sources = JSON.parse(localStorage.getItem(REGEX_CACHE_KEY) || '{}');
+    } catch (error) {
+      sources = null;
+    }
+    if (!sources || typeof sources !== 'object' || Array.isArray(sources)) {
+      clearCachedPatterns();
+      return;
+    }
+    
+    const report = { untranslated: [] };
+    Object.entries(sources).forEach(([symbol, source]) => this.applyRemotePattern(symbol, source, report));
+    this.untranslatedPatterns = report.untranslated;
+    this.rebuildPatternOverrides();
+  }
+  
+  // Sacred geometry utilities (compared with Ruby VortexEngine by npm run test:conformance)
   calculateGoldenRatio(complexity = 2.618, efficiency = 1.618) {
     return complexity / efficiency;
   }
   
-  calculateVortexEnergy(text) {
-    // Same calculation as Ruby core
+  // Metric calculators take the shared analysis from analyzeText() so a
+  // document is scanned once; passing only `text` still works.
+  calculateVortexEnergy(text, analysis = this.analyzeText(text), profile = this.scoringProfileFor()) {
+    // Not Ruby's formula: VortexEngine sums complexity (unique chars / length * 100)
+    // * {1.618, 2.618, 4.236} / VORTEX_CONSTANT over its three stages
     const baseEnergy = text.length * 0.1;
     let patternMultiplier = 1.0;
     
-    // Increase energy for each pattern found
-    const links = this.extractLinks(text);
-    const emails = this.extractEmails(text);
-    const hashtags = this.extractHashtags(text);
-    const mentions = this.extractMentions(text);
-    
-    patternMultiplier += links.length * 0.5;
-    patternMultiplier += emails.length * 0.3;
-    patternMultiplier += hashtags.length * 0.2;
-    patternMultiplier += mentions.length * 0.2;
+    // Increase energy for each pattern found, weighted per extractor (or by the profile)
+    Object.entries(this.extractors).forEach(([name, definition]) => {
+      patternMultiplier += (analysis.counts[name] || 0) * categoryWeight(profile, name, definition);
+    });
     
     const VORTEX_CONSTANT = 2.665144142690225;
     return baseEnergy * patternMultiplier * VORTEX_CONSTANT;
   }
   
-  calculateFlowEfficiency(text) {
-    const patterns = this.extractAllPatterns(text);
-    const totalPatterns = Object.values(patterns).flat().length;
-    
+  calculateFlowEfficiency(text, analysis = this.analyzeText(text)) {
     // Efficiency decreases with complexity but increases with golden ratio compliance
-    const complexityFactor = 1.0 / (1.0 + totalPatterns * 0.1);
-    const goldenRatioFactor = this.calculateGoldenRatioCompliance(text);
+    const complexityFactor = 1.0 / (1.0 + analysis.totalPatterns * 0.1);
+    const goldenRatioFactor = this.calculateGoldenRatioCompliance(text, analysis);
     
     return (complexityFactor + goldenRatioFactor) / 2.0;
   }
   
-  calculateSacredBalance(text) {
+  calculateSacredBalance(text, analysis = this.analyzeText(text)) {
     // Balance between complexity and efficiency
     const complexity = text.length * 0.01;
-    const efficiency = this.calculateFlowEfficiency(text);
+    const efficiency = this.calculateFlowEfficiency(text, analysis);
     
     // Optimal balance is when complexity/efficiency approaches golden ratio
     const balanceRatio = complexity / efficiency;
@@ -116,71 +487,238 @@ class RichTextExtractionClient {
     return 1.0 - Math.abs(balanceRatio - optimalRatio) / optimalRatio;
   }
   
-  calculateGoldenRatioCompliance(text) {
+  calculateGoldenRatioCompliance(text, analysis = this.analyzeText(text)) {
     // Calculate how well the text follows golden ratio principles
-    const patterns = this.extractAllPatterns(text);
-    const totalPatterns = Object.values(patterns).flat().length;
-    
     // Optimal pattern density follows golden ratio
     const optimalDensity = text.length / 1.618033988749895;
-    const actualDensity = totalPatterns;
+    const actualDensity = analysis.totalPatterns;
     
     const compliance = 1.0 - Math.abs(actualDensity - optimalDensity) / optimalDensity;
     return Math.min(compliance, 1.0); // Cap at 1.0
   }
   
-  validateSacredGeometry(result) {
+  validateSacredGeometry(result, { profile } = {}) {
     const goldenRatio = result.goldenRatio;
     const vortexEnergy = result.vortexFlow.energy;
+    const [minimum, maximum] = this.scoringProfileFor(profile || result.scoringProfile).goldenRatioRange;
     
     return {
-      isValid: goldenRatio >= 1.5 && goldenRatio <= 2.0,
+      isValid: goldenRatio >= minimum && goldenRatio <= maximum,
       goldenRatioCompliance: goldenRatio / 1.618033988749895,
       vortexEnergyEfficiency: vortexEnergy / 8.472
     };
   }
   
-  // Local pattern extraction (same as Ruby core)
+  // Local validation (same checks as the Ruby validators)
+  validateLocally(symbol, value) {
+    return validateValue(String(symbol), value, this.validatorOverrides);
+  }
+  
+  // Extractor registry: built-in categories plus anything registered by the app
+  registerExtractor(name, options = {}) {
+    const validate = typeof options.validate === 'string'
+      ? value => this.validateLocally(options.validate, value).valid
+      : options.validate;
+    
+    this.extractors[name] = defineExtractor(name, { ...options, validate });
+    delete this.extractionOverrides[name];
+    return this;
+  }
+  
+  unregisterExtractor(name) {
+    const removed = name in this.extractors;
+    delete this.extractors[name];
+    delete this.extractionOverrides[name];
+    return removed;
+  }
+  
+  listExtractors() {
+    return Object.entries(this.extractors).map(([name, definition]) => ({
+      name,
+      type: definition.type,
+      custom: Boolean(definition.custom),
+      weight: definition.weight || 0
+    }));
+  }
+  
+  extractCategory(name, text) {
+    const definition = this.extractors[name];
+    return definition ? matchPattern(text, definition, this.extractionOverrides[name]) : [];
+  }
+  
+  // Local pattern extraction (compared with Ruby ExtractionPatterns by npm run test:conformance)
   extractLinks(text) {
-    return text.match(/https?:\/\/[^\s]+/g) || [];
+    return this.extractCategory('links', text);
+  }
+  
+  // Links grouped by canonical URL: { canonical, urls (as written), count (occurrences) }
+  groupLinks(text) {
+    const links = this.extractEntities(text, { types: ['links'] }).map(entity => entity.value);
+    return groupUrls(links, { stripTracking: this.stripTracking });
   }
   
   extractEmails(text) {
-    return text.match(/[\w+\-.]+@[a-z\d\-]+(\.[a-z\d\-]+)*\.[a-z]+/gi) || [];
+    return this.extractCategory('emails', text);
   }
   
   extractPhones(text) {
-    return text.match(/\+?1?\d{10,15}/g) || [];
+    return this.extractCategory('phones', text);
+  }
+  
+  // Parsed phone numbers: { value, e164, countryCode, nationalNumber, extension, region }
+  extractPhoneNumbers(text) {
+    return this.extractPhones(text).map(value => ({ value, ...this.parsePhone(value) }));
+  }
+  
+  parsePhone(value, options = {}) {
+    return parsePhoneNumber(value, { defaultRegion: this.defaultRegion, ...options });
   }
   
   extractHashtags(text) {
-    return text.match(/#\w+/g) || [];
+    return this.extractCategory('hashtags', text);
   }
   
   extractMentions(text) {
-    return text.match(/@\w+/g) || [];
+    return this.extractCategory('mentions', text);
+  }
+  
+  extractImages(text) {
+    return this.extractCategory('images', text);
+  }
+  
+  extractAttachments(text) {
+    return this.extractCategory('attachments', text);
+  }
+  
+  extractMarkdownLinks(text) {
+    return this.extractCategory('markdownLinks', text);
+  }
+  
+  extractDates(text) {
+    return this.extractCategory('dates', text);
+  }
+  
+  extractTwitterHandles(text) {
+    return this.extractCategory('twitterHandles', text);
   }
   
   extractAllPatterns(text) {
-    return {
-      links: this.extractLinks(text),
-      emails: this.extractEmails(text),
-      phones: this.extractPhones(text),
-      hashtags: this.extractHashtags(text),
-      mentions: this.extractMentions(text)
-    };
+    const patterns = {};
+    Object.keys(this.extractors).forEach(name => {
+      patterns[name] = this.extractCategory(name, text);
+    });
+    return patterns;
   }
   
-  // Local processing (for offline use)
+  // Position-aware extraction: one { type, value, start, end, normalized } record per match
+  extractEntities(text, options = {}) {
+    let extractors = this.extractors;
+    if (options.types) {
+      extractors = {};
+      options.types.filter(name => this.extractors[name]).forEach(name => {
+        extractors[name] = this.extractors[name];
+      });
+    }
+    return findEntities(text, extractors, this.extractionOverrides);
+  }
+  
+  // Extraction from ActionText/HTML: accepts markup or a DOM node. Entities
+  // carry `node` and `range`; <a href>, <img src> and attachment URLs count
+  // even when the visible text differs. Options: types, skip, skipCode, document.
+  extractFromHTML(htmlOrElement, options = {}) {
+    const { types, document: doc, ...htmlOptions } = options;
+    const ownerDocument = doc || (typeof document !== 'undefined' ? document : null);
+    const root = typeof htmlOrElement === 'string' ? parseHTML(htmlOrElement, ownerDocument) : htmlOrElement;
+    const collected = collectText(root, htmlOptions);
+    const categoryOf = type => Object.keys(this.extractors).find(name => this.extractors[name].type === type);
+    
+    const entities = mapEntitiesToDom(
+      collected,
+      this.extractEntities(collected.text, { types }),
+      root.ownerDocument || ownerDocument,
+      { defaultRegion: this.defaultRegion, urlMode: this.urlMode, stripTracking: this.stripTracking }
+    ).filter(entity => entity.source === 'text' || !types || types.includes(categoryOf(entity.type)));
+    
+    const patterns = types ? {} : this.extractAllPatterns(collected.text);
+    (types || []).filter(name => this.extractors[name]).forEach(name => {
+      patterns[name] = this.extractCategory(name, collected.text);
+    });
+    entities.filter(entity => entity.source === 'attribute').forEach(entity => {
+      const name = categoryOf(entity.type);
+      if (name) patterns[name] = uniqueValues([...(patterns[name] || []), entity.value]);
+    });
+    
+    return { text: collected.text, patterns, entities };
+  }
+  
+  // Escaped HTML (or a DocumentFragment with `format: 'fragment'`) with each
+  // entity wrapped in an <a> or <span data-entity-type>. Options: types,
+  // templates, allow, rel, target, className, entities (skip extraction).
+  annotate(text, options = {}) {
+    const { format = 'html', entities, ...renderOptions } = options;
+    const found = entities || this.extractEntities(text);
+    return format === 'fragment'
+      ? renderAnnotatedFragment(text, found, renderOptions)
+      : renderAnnotatedHtml(text, found, renderOptions);
+  }
+  
+  // Markdown to HTML the way MarkdownHelpers renders it with Redcarpet, for
+  // live previews. `annotate: true` (or annotate options) also wraps mentions,
+  // hashtags and phone numbers found in plain text outside links and code.
+  renderMarkdown(markdown, options = {}) {
+    const { annotate, ...markdownOptions } = options;
+    if (annotate) {
+      const annotateOptions = { types: ['mention', 'hashtag', 'phone'], ...(annotate === true ? {} : annotate) };
+      markdownOptions.text = text => renderAnnotatedHtml(text, this.extractEntities(text), annotateOptions);
+    }
+    return renderMarkdownToHtml(markdown, markdownOptions);
+  }
+  
+  // One extraction pass shared by every metric calculator
+  analyzeText(text) {
+    return this.summarizePatterns(text, this.extractAllPatterns(text));
+  }
+  
+  summarizePatterns(text, patterns) {
+    const counts = {};
+    let totalPatterns = 0;
+    Object.entries(patterns).forEach(([name, items]) => {
+      counts[name] = items.length;
+      totalPatterns += items.length;
+    });
+    return { length: text.length, patterns, counts, totalPatterns };
+  }
+  
+  // Same single pass, `chunkSize` characters at a time so multi-megabyte
+  // documents do not block the main thread; also collects entity positions.
+  async analyzeTextIncrementally(text, options = {}) {
+    const { patterns, entities } = await scanIncrementally(text, this.extractors, this.extractionOverrides, options);
+    return { ...this.summarizePatterns(text, patterns), entities };
+  }
+  
+  // processTextLocally, unless chunkSize, onProgress or signal asks for the
+  // incremental scan: that keeps the page responsive and can be cancelled,
+  // but takes longer overall (see bin/benchmark_local_processing.js).
+  async processLargeText(text, options = {}) {
+    const { chunkSize, onProgress, signal, ...processOptions } = options;
+    if (!chunkSize && !onProgress && !signal) return this.processTextLocally(text, processOptions);
+
+    const analysis = await this.analyzeTextIncrementally(text, { chunkSize, onProgress, signal });
+    return this.processTextLocally(text, { ...processOptions, analysis });
+  }
+  
+  // Local processing (for offline use); options.profile names the scoring profile
   processTextLocally(text, options = {}) {
-    const patterns = this.extractAllPatterns(text);
+    const profile = this.scoringProfileFor(options.profile);
+    const analysis = options.analysis || this.analyzeText(text);
+    const patterns = analysis.patterns;
     const goldenRatio = this.calculateGoldenRatio(options.complexity || 2.618, options.efficiency || 1.618);
-    const vortexEnergy = this.calculateVortexEnergy(text);
-    const flowEfficiency = this.calculateFlowEfficiency(text);
-    const sacredBalance = this.calculateSacredBalance(text);
-    const goldenRatioCompliance = this.calculateGoldenRatioCompliance(text);
+    const vortexEnergy = this.calculateVortexEnergy(text, analysis, profile);
+    const flowEfficiency = this.calculateFlowEfficiency(text, analysis);
+    const sacredBalance = this.calculateSacredBalance(text, analysis);
+    const goldenRatioCompliance = this.calculateGoldenRatioCompliance(text, analysis);
     
-    return {
+    const result = {
       success: true,
       data: patterns,
       sacredGeometry: {
@@ -195,9 +733,19 @@ class RichTextExtractionClient {
         sacredBalance: sacredBalance
       },
       goldenRatio: goldenRatio,
+      scoringProfile: profile.name,
       timestamp: Date.now(),
       input: text
     };
+    Object.entries(this.metrics).forEach(([name, calculate]) => {
+      result.sacredGeometry[name] = calculate(text, analysis, profile);
+    });
+    
+    if (options.positions) {
+      result.entities = analysis.entities && !options.types ? analysis.entities : this.extractEntities(text, options);
+    }
+    
+    return result;
   }
   
   findFibonacciIndex(value) {
@@ -215,7 +763,8 @@ class RichTextExtractionClient {
     console.log("Extracted Data:");
     Object.entries(result.data).forEach(([type, items]) => {
       if (items.length > 0) {
-        console.log(`  ${type.charAt(0).toUpperCase() + type.slice(1)}:`, items.join(', '));
+        const values = items.map(item => (typeof item === 'string' ? item : item.url));
+        console.log(`  ${type.charAt(0).toUpperCase() + type.slice(1)}:`, values.join(', '));
       }
     });
     console.log();
@@ -226,26 +775,27 @@ class RichTextExtractionClient {
     console.log("  Sacred Balance:", result.vortexFlow.sacredBalance);
   }
   
-  generateReport(results) {
+  // options.profile overrides the scoring profile each result was processed with
+  generateReport(results, options = {}) {
     if (Array.isArray(results)) {
-      return this.generateBatchReport(results);
+      return this.generateBatchReport(results, options);
     } else {
-      return this.generateSingleReport(results);
+      return this.generateSingleReport(results, options);
     }
   }
   
-  generateSingleReport(result) {
+  generateSingleReport(result, options = {}) {
     return {
       text: result.input,
       patterns: result.data,
       sacredGeometry: result.sacredGeometry,
       vortexFlow: result.vortexFlow,
       goldenRatio: result.goldenRatio,
-      recommendations: this.generateRecommendations(result)
+      recommendations: this.generateRecommendations(result, options)
     };
   }
   
-  generateBatchReport(results) {
+  generateBatchReport(results, options = {}) {
     const avgGoldenRatio = results.reduce((sum, r) => sum + r.goldenRatio, 0) / results.length;
     const avgVortexEnergy = results.reduce((sum, r) => sum + r.vortexFlow.energy, 0) / results.length;
     const avgSacredBalance = results.reduce((sum, r) => sum + r.sacredGeometry.sacredBalanceScore, 0) / results.length;
@@ -256,36 +806,123 @@ class RichTextExtractionClient {
       averageVortexEnergy: avgVortexEnergy,
       averageSacredBalance: avgSacredBalance,
       bestSacredBalance: Math.max(...results.map(r => r.sacredGeometry.sacredBalanceScore)),
-      worstSacredBalance: Math.min(...results.map(r => r.sacredGeometry.sacredBalanceScore))
+      worstSacredBalance: Math.min(...results.map(r => r.sacredGeometry.sacredBalanceScore)),
+      patternTotals: this.countPatterns(results),
+      metrics: this.summarizeMetrics(results),
+      belowThreshold: this.countBelowThreshold(results, options)
     };
   }
   
-  generateRecommendations(result) {
-    const recommendations = [];
-    
-    const sacredBalance = result.sacredGeometry.sacredBalanceScore;
-    const goldenRatioCompliance = result.sacredGeometry.goldenRatioCompliance;
-    const vortexRatio = result.sacredGeometry.vortexConstantRatio;
-    
-    if (sacredBalance < 0.7) {
-      recommendations.push("Consider optimizing text complexity for better sacred balance");
+  // { average, best, worst } per registered custom metric the results carry
+  summarizeMetrics(results) {
+    const summary = {};
+    Object.keys(this.metrics).forEach(name => {
+      const scores = results
+        .map(result => result.sacredGeometry && result.sacredGeometry[name])
+        .filter(score => typeof score === 'number');
+      if (scores.length === 0) return;
+      summary[name] = {
+        average: scores.reduce((sum, score) => sum + score, 0) / scores.length,
+        best: Math.max(...scores),
+        worst: Math.min(...scores)
+      };
+    });
+    return summary;
+  }
+  
+  // Results scoring under each of the profile's thresholds, by metric
+  countBelowThreshold(results, { profile } = {}) {
+    const counts = {};
+    results.forEach(result => {
+      const { thresholds } = this.scoringProfileFor(profile || result.scoringProfile);
+      Object.entries(thresholds).forEach(([metric, minimum]) => {
+        const score = result.sacredGeometry && result.sacredGeometry[metric];
+        if (minimum === null || typeof score !== 'number') return;
+        counts[metric] = (counts[metric] || 0) + (score < minimum ? 1 : 0);
+      });
+    });
+    return counts;
+  }
+  
+  // Exports one result or many as 'csv' or 'markdown' (options.rows: 'document'
+  // or 'entity') or as 'jsonld' typed with the server's schema.org mapping.
+  // options.mappings ({ category: { type, property } }) skips the lookups.
+  async exportReport(results, format = 'csv', options = {}) {
+    if (!REPORT_FORMATS.includes(format)) {
+      throw new Error(`Unknown report format "${format}" (expected ${REPORT_FORMATS.join(', ')})`);
     }
+    const list = Array.isArray(results) ? results : [results];
+    const categories = reportCategories(list, Object.keys(this.extractors));
     
-    if (goldenRatioCompliance < 0.8) {
-      recommendations.push("Text could benefit from golden ratio optimization");
+    if (format === 'jsonld') {
+      const mappings = {};
+      for (const name of categories) {
+        const sample = list.map(result => (result.data || {})[name] || []).find(values => values.length);
+        mappings[name] = options.mappings && name in options.mappings
+          ? options.mappings[name]
+          : sample && await this.jsonLdMappingFor(name, this.schemaValue(name, sample[0]));
+      }
+      const document = buildJsonLd(list, mappings, (name, value) => this.schemaValue(name, value));
+      return JSON.stringify(document, null, 2);
     }
     
-    if (vortexRatio < 0.6) {
-      recommendations.push("Vortex energy flow could be improved");
-    }
+    const { rows = DEFAULT_EXPORT_OPTIONS.rows } = options;
+    const table = rows === 'entity'
+      ? entityRows(list, categories, name => (this.extractors[name] ? this.extractors[name].type : name))
+      : documentRows(list, categories);
+    return format === 'csv' ? toCsv(table) : toMarkdownTable(table);
+  }
+  
+  // Fetched once per validator; categories the server has no mapping for give null
+  async jsonLdMappingFor(category, sample) {
+    const definition = this.extractors[category];
+    const validator = JSONLD_VALIDATORS[category] || (definition && definition.validator);
+    if (!validator) return null;
     
-    if (recommendations.length === 0) {
-      recommendations.push("Text demonstrates excellent sacred geometry compliance");
+    if (!this.jsonLdMappings.has(validator)) {
+      const pending = this.validators.jsonld(validator, sample)
+        .then(jsonLdMapping)
+        .catch(error => {
+          // No such validator (404) or no schema.org mapping (422): export without one
+          if (error.status === 404 || error.status === 422) return null;
+          this.jsonLdMappings.delete(validator);
+          // A failing server degrades the same way, but is asked again next time
+          if (error.status >= 500) return null;
+          throw error;
+        });
+      this.jsonLdMappings.set(validator, pending);
     }
-    
-    return recommendations;
+    return this.jsonLdMappings.get(validator);
+  }
+  
+  // Entity value as the validators expect it: URLs for objects, no @/# prefix
+  schemaValue(category, value) {
+    if (value && typeof value === 'object') return value.url || JSON.stringify(value);
+    const prefix = this.extractors[category] && this.extractors[category].prefix;
+    return prefix && String(value).startsWith(prefix) ? String(value).slice(prefix.length) : value;
+  }
+  
+  // Matches per extractor across results, including custom extractors
+  countPatterns(results) {
+    const totals = {};
+    results.forEach(result => {
+      Object.entries(result.data || {}).forEach(([type, items]) => {
+        totals[type] = (totals[type] || 0) + items.length;
+      });
+    });
+    return totals;
+  }
+  
+  // Profile texts for each metric below its threshold
+  generateRecommendations(result, { profile } = {}) {
+    return recommendationsFor(this.scoringProfileFor(profile || result.scoringProfile), result.sacredGeometry);
   }
 }
 
 // Global instance
-window.RichTextExtraction = new RichTextExtractionClient(); 
\ No newline at end of file
+if (typeof window !== 'undefined') {
+  window.RichTextExtraction = new RichTextExtractionClient();
+}
+
+export { RichTextExtractionClient, RichTextExtractionError };
+export default RichTextExtractionClient;
@@ -0,0 +1,106 @@
+// URL trimming, canonicalization and grouping for the links extractor.
+// Canonical form comes from the WHATWG URL parser: lowercase scheme and host,
+// punycode for internationalized domains, no default port, "/" for an empty
+// path. Tracking parameters are only removed when asked for.
+
+export const DEFAULT_URL_OPTIONS = {
+  // Keep each match as written ('raw') or replace it with its canonical form ('canonical')
+  mode: 'raw',
+  stripTracking: false
+};
+
+export const URL_MODES = ['raw', 'canonical'];
+
+export const TRACKING_PARAMETERS = [/^utm_/i, 'fbclid', 'gclid', 'dclid', 'msclkid', 'mc_cid', 'mc_eid', 'igshid', '_ga'];
+
+// Stops at whitespace, angle brackets and quotes; trimUrl handles the tail
+export const URL_CANDIDATE_PATTERN = /https?:\/\/[^\s<>"]+/gi;
+
+const TRAILING_PUNCTUATION = '.,!?:;\'"*';
+const BRACKETS = { ')': '(', ']': '[', '}': '{' };
+
+function count(text, char) {
+  return text.split(char).length - 1;
+}
+
+/**
+ * Drops sentence punctuation and unbalanced closing brackets from the end of
+ * a URL found in prose, keeping Wikipedia-style "/wiki/Ruby_(language)".
+ * @param {string} candidate
+ * @returns {string}
+ */
+export function trimUrl(candidate) {
+  let url = candidate;
+
+  for (;;) {
+    const last = url[url.length - 1];
+    const open = BRACKETS[last];
+    if (TRAILING_PUNCTUATION.includes(last) || (open && count(url, last) > count(url, open))) {
+      url = url.slice(0, -1);
+    } else {
+      return url;
+    }
+  }
+}
+
+function isTrackingParameter(name) {
+  return TRACKING_PARAMETERS.some(rule => (rule instanceof RegExp ? rule.test(name) : rule === name.toLowerCase()));
+}
+
+/**
+ * @param {string} value - absolute URL
+ * @param {Object} [options] - stripTracking removes utm_*, fbclid and similar parameters
+ * @returns {string|null} canonical URL, or null when it doesn't parse
+ */
+export function canonicalizeUrl(value, options = {}) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return null;
+  }
+
+  if (url.hostname.endsWith('.')) url.hostname = url.hostname.slice(0, -1);
+  if (options.stripTracking) {
+    const tracking = Array.from(url.searchParams.keys()).filter(isTrackingParameter);
+    // Re-serializing the query changes its encoding, so only touch it when needed
+    tracking.forEach(name => url.searchParams.delete(name));
+  }
+  return url.href;
+}
+
+/**
+ * Groups URLs that share a canonical form.
+ * @param {string[]} urls - in order of appearance, repeats included
+ * @returns {Array<{canonical: string, urls: string[], count: number}>}
+ */
+export function groupUrls(urls, options = {}) {
+  const groups = new Map();
+
+  urls.forEach(url => {
+    const canonical = canonicalizeUrl(url, options) || url;
+    if (!groups.has(canonical)) groups.set(canonical, { canonical, urls: [], count: 0 });
+
+    const group = groups.get(canonical);
+    group.count += 1;
+    if (!group.urls.includes(url)) group.urls.push(url);
+  });
+
+  return Array.from(groups.values());
+}
+
+// Extractor definition for EXTRACTION_PATTERNS.links and client.setUrlMode
+export function createLinkExtractor(options = {}) {
+  const { mode, stripTracking } = { ...DEFAULT_URL_OPTIONS, ...options };
+  const canonical = value => canonicalizeUrl(value, { stripTracking }) || value;
+
+  return {
+    type: 'link',
+    pattern: URL_CANDIDATE_PATTERN,
+    validator: 'url',
+    weight: 0.5,
+    trim: trimUrl,
+    value: mode === 'canonical' ? match => canonical(trimUrl(match[0])) : undefined,
+    normalize: canonical
+  };
+}
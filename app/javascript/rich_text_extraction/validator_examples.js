@@ -0,0 +1,265 @@
+// Generated by bin/generate_validator_fixtures.rb from Core::Constants::VALIDATOR_EXAMPLES; do not edit.
+// Each validator's metadata (regex_constant is the ExtractionPatterns constant ValidatorAPI.metadata names),
+// valid and invalid examples, and the regex GET /validators/:id/regex serves (Regexp#to_s).
+export const VALIDATOR_EXAMPLES = [
+  {
+    "symbol": "isbn",
+    "schema_type": "Book",
+    "schema_property": "isbn",
+    "description": "Book (schema.org/Book/isbn)",
+    "regex_constant": null,
+    "valid": [
+      "978-3-16-148410-0",
+      "0-306-40615-2"
+    ],
+    "invalid": [
+      "978-3-16-148410-1",
+      "123"
+    ],
+    "regex": null
+  },
+  {
+    "symbol": "vin",
+    "schema_type": "Vehicle",
+    "schema_property": "vehicleIdentificationNumber",
+    "description": "Vehicle (schema.org/Vehicle/vehicleIdentificationNumber)",
+    "regex_constant": "VIN_REGEX",
+    "valid": [
+      "1HGCM82633A004352"
+    ],
+    "invalid": [
+      "1HGCM82633A004353",
+      "123"
+    ],
+    "regex": "(?i-mx:\\A[A-HJ-NPR-Z0-9]{17}\\z)"
+  },
+  {
+    "symbol": "issn",
+    "schema_type": "PublicationIssue",
+    "schema_property": "issn",
+    "description": "PublicationIssue (schema.org/PublicationIssue/issn)",
+    "regex_constant": null,
+    "valid": [
+      "2049-3630"
+    ],
+    "invalid": [
+      "2049-3631",
+      "123"
+    ],
+    "regex": null
+  },
+  {
+    "symbol": "iban",
+    "schema_type": "BankAccount",
+    "schema_property": "identifier",
+    "description": "International Bank Account Number (no direct schema.org property, using identifier)",
+    "regex_constant": "IBAN_REGEX",
+    "valid": [
+      "GB82WEST12345698765432"
+    ],
+    "invalid": [
+      "GB82WEST12345698765431",
+      "123"
+    ],
+    "regex": "(?-mix:\\A[A-Z]{2}\\d{2}[A-Z0-9]{11,30}\\z)"
+  },
+  {
+    "symbol": "luhn",
+    "schema_type": "CreditCard",
+    "schema_property": "identifier",
+    "description": "Credit card number (schema.org/CreditCard/identifier, Luhn validated)",
+    "regex_constant": "CREDIT_CARD_REGEX",
+    "valid": [
+      "4111 1111 1111 1111",
+      "79927398713"
+    ],
+    "invalid": [
+      "4111 1111 1111 1112",
+      "123"
+    ],
+    "regex": "(?-mix:\\A(?:\\d[ -]*?){13,16}\\z)"
+  },
+  {
+    "symbol": "ean13",
+    "schema_type": "Product",
+    "schema_property": "gtin13",
+    "description": "Product (schema.org/Product/gtin13)",
+    "regex_constant": "EAN13_REGEX",
+    "valid": [
+      "4006381333931"
+    ],
+    "invalid": [
+      "4006381333932",
+      "123"
+    ],
+    "regex": "(?-mix:\\A\\d{13}\\z)"
+  },
+  {
+    "symbol": "upca",
+    "schema_type": "Product",
+    "schema_property": "gtin12",
+    "description": "Product (schema.org/Product/gtin12)",
+    "regex_constant": "UPCA_REGEX",
+    "valid": [
+      "036000291452"
+    ],
+    "invalid": [
+      "036000291453",
+      "123"
+    ],
+    "regex": "(?-mix:\\A\\d{12}\\z)"
+  },
+  {
+    "symbol": "uuid",
+    "schema_type": "Thing",
+    "schema_property": "identifier",
+    "description": "Thing (schema.org/Thing/identifier)",
+    "regex_constant": "UUID_REGEX",
+    "valid": [
+      "123e4567-e89b-12d3-a456-426614174000"
+    ],
+    "invalid": [
+      "123e4567-e89b-12d3-a456-42661417400Z",
+      "123"
+    ],
+    "regex": "(?-mix:\\A[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}\\z)"
+  },
+  {
+    "symbol": "hex_color",
+    "schema_type": "Thing",
+    "schema_property": "color",
+    "description": "Thing (schema.org/Thing/color)",
+    "regex_constant": "HEX_COLOR_REGEX",
+    "valid": [
+      "#fff",
+      "#abcdef"
+    ],
+    "invalid": [
+      "#ggg",
+      "123"
+    ],
+    "regex": "(?-mix:\\A#(?:[0-9a-fA-F]{3}){1,2}\\z)"
+  },
+  {
+    "symbol": "ip",
+    "schema_type": "Thing",
+    "schema_property": "identifier",
+    "description": "Thing (schema.org/Thing/identifier)",
+    "regex_constant": "IP_REGEX",
+    "valid": [
+      "192.168.1.1",
+      "2001:db8::1",
+      "::1",
+      "::ffff:192.168.1.1"
+    ],
+    "invalid": [
+      "999.999.999.999",
+      "abc",
+      "2001:db8::g1",
+      "1:2:3:4:5:6:7:8:9",
+      "fe80::1%eth0"
+    ],
+    "regex": "(?-mix:\\A(?:\\d{1,3}\\.){3}\\d{1,3}\\z)"
+  },
+  {
+    "symbol": "mac_address",
+    "schema_type": "Thing",
+    "schema_property": "identifier",
+    "description": "Thing (schema.org/Thing/identifier)",
+    "regex_constant": "MAC_ADDRESS_REGEX",
+    "valid": [
+      "00:1A:2B:3C:4D:5E"
+    ],
+    "invalid": [
+      "00:1A:2B:3C:4D:5Z",
+      "123"
+    ],
+    "regex": "(?-mix:\\A(?:[0-9A-Fa-f]{2}[:-]){5}[0-9A-Fa-f]{2}\\z)"
+  },
+  {
+    "symbol": "hashtag",
+    "schema_type": "Thing",
+    "schema_property": "identifier",
+    "description": "Hashtag (no direct schema.org property, using identifier)",
+    "regex_constant": "HASHTAG_PATTERN",
+    "valid": [
+      "hashtag",
+      "test123",
+      "café",
+      "日本語"
+    ],
+    "invalid": [
+      "#hashtag",
+      "test 123",
+      ""
+    ],
+    "regex": "(?-mix:\\A[\\p{L}\\p{M}\\p{Nd}\\p{Pc}]+\\z)"
+  },
+  {
+    "symbol": "mention",
+    "schema_type": "Person",
+    "schema_property": "identifier",
+    "description": "Mention (no direct schema.org property, using identifier)",
+    "regex_constant": "MENTION_PATTERN",
+    "valid": [
+      "mention",
+      "user123",
+      "José",
+      "иван"
+    ],
+    "invalid": [
+      "@mention",
+      "user name",
+      ""
+    ],
+    "regex": "(?-mix:\\A[\\p{L}\\p{M}\\p{Nd}\\p{Pc}]+\\z)"
+  },
+  {
+    "symbol": "twitter_handle",
+    "schema_type": "Person",
+    "schema_property": "sameAs",
+    "description": "Person (schema.org/Person/sameAs)",
+    "regex_constant": "TWITTER_HANDLE_PATTERN",
+    "valid": [
+      "jack",
+      "user123"
+    ],
+    "invalid": [
+      "user_name_too_long_for_twitter",
+      ""
+    ],
+    "regex": "(?-mix:\\A\\w{1,15}\\z)"
+  },
+  {
+    "symbol": "instagram_handle",
+    "schema_type": "Person",
+    "schema_property": "sameAs",
+    "description": "Person (schema.org/Person/sameAs)",
+    "regex_constant": "INSTAGRAM_HANDLE_PATTERN",
+    "valid": [
+      "instauser",
+      "user123"
+    ],
+    "invalid": [
+      "user_name_that_is_way_too_long_for_instagram_because_it_is_over_30_chars",
+      ""
+    ],
+    "regex": "(?-mix:\\A[\\w.]{1,30}\\z)"
+  },
+  {
+    "symbol": "url",
+    "schema_type": "Thing",
+    "schema_property": "url",
+    "description": "Thing (schema.org/Thing/url)",
+    "regex_constant": "URL_PATTERN",
+    "valid": [
+      "https://example.com",
+      "http://test.com"
+    ],
+    "invalid": [
+      "not a url",
+      "ftp://example.com"
+    ],
+    "regex": "(?-mix:\\Ahttps?:\\/\\/[^\\s]+\\z)"
+  }
+];
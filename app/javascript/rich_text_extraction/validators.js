@@ -0,0 +1,190 @@
+// Local validator suite mirroring lib/rich_text_extraction/validators and
+// RichTextExtraction::Extractors::Validators. Results use the same shape as
+// the server's /validators/:id/validate endpoint: { valid, errors }.
+
+const ISBN_REGEX = /^(?:97[89][-\s]?\d{1,5}[-\s]?\d{1,7}[-\s]?\d{1,7}[-\s]?\d|\d{9}[\dXx])$/u;
+const EAN13_REGEX = /^\d{13}$/u;
+const UPCA_REGEX = /^\d{12}$/u;
+const UUID_REGEX = /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/u;
+const CREDIT_CARD_REGEX = /^(?:\d[ -]*?){13,16}$/u;
+const HEX_COLOR_REGEX = /^#(?:[0-9a-fA-F]{3}){1,2}$/u;
+const IP_REGEX = /^(?:\d{1,3}\.){3}\d{1,3}$/u;
+const VIN_REGEX = /^[A-HJ-NPR-Z0-9]{17}$/iu;
+const ISSN_REGEX = /^\d{4}-?\d{3}[\dXx]$/u;
+const MAC_ADDRESS_REGEX = /^(?:[0-9A-Fa-f]{2}[:-]){5}[0-9A-Fa-f]{2}$/u;
+const IBAN_REGEX = /^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/u;
+const HASHTAG_PATTERN = /^[\p{L}\p{M}\p{Nd}\p{Pc}]+$/u;
+const MENTION_PATTERN = /^[\p{L}\p{M}\p{Nd}\p{Pc}]+$/u;
+const TWITTER_HANDLE_PATTERN = /^\w{1,15}$/u;
+const INSTAGRAM_HANDLE_PATTERN = /^[\w.]{1,30}$/u;
+const URL_PATTERN = /^https?:\/\/[^\s]+$/u;
+
+// Checksum helpers (same algorithms as Extractors::Validators)
+function isValidIsbn(value) {
+  const digits = value.replace(/[^0-9Xx]/g, '').toUpperCase();
+  if (digits.length === 10) {
+    const sum = [...digits].reduce((acc, d, i) => acc + (d === 'X' ? 10 : Number(d)) * (10 - i), 0);
+    return sum % 11 === 0;
+  }
+  if (digits.length === 13) {
+    const sum = [...digits].reduce((acc, d, i) => acc + (Number(d) || 0) * (i % 2 === 0 ? 1 : 3), 0);
+    return sum % 10 === 0;
+  }
+  return false;
+}
+
+// Transliteration table copied from valid_vin_core? so both sides agree.
+const VIN_LETTER_VALUES = [1, 2, 3, 4, 5, 6, 7, 8, 9, 1, 2, 3, 4, 5, 6, 7, 8, 9, 2, 3, 4, 5, 6, 7];
+const VIN_WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+function isValidVin(value) {
+  const vin = value.toUpperCase();
+  if (vin.length !== 17) return false;
+
+  const sum = [...vin].reduce((acc, char, i) => {
+    const letterIndex = char.charCodeAt(0) - 65;
+    const charValue = /\d/.test(char) ? Number(char) : (VIN_LETTER_VALUES[letterIndex] || 0);
+    return acc + charValue * VIN_WEIGHTS[i];
+  }, 0);
+  const check = sum % 11;
+  return vin[8] === (check === 10 ? 'X' : String(check));
+}
+
+function isValidIssn(value) {
+  const digits = [...value.replace(/-/g, '').toUpperCase()];
+  if (digits.length !== 8) return false;
+
+  const sum = digits.slice(0, 7).reduce((acc, d, i) => acc + (Number(d) || 0) * (8 - i), 0);
+  const check = (11 - (sum % 11)) % 11;
+  return digits[7] === (check === 10 ? 'X' : String(check));
+}
+
+function isValidIban(value) {
+  const iban = value.replace(/\s+/g, '').toUpperCase();
+  if (iban.length <= 4 || !/^[A-Z0-9]+$/.test(iban)) return false;
+
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  // Piecewise mod 97 keeps the numeric form within safe integer range
+  let remainder = 0;
+  for (const char of rearranged) {
+    const digits = /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char;
+    for (const digit of digits) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+function isValidLuhn(value) {
+  const digits = value.replace(/\D/g, '').split('').map(Number).reverse();
+  const sum = digits.reduce((acc, d, i) => {
+    if (i % 2 === 0) return acc + d;
+    const doubled = d * 2;
+    return acc + (doubled > 9 ? doubled - 9 : doubled);
+  }, 0);
+  return sum % 10 === 0;
+}
+
+// GTIN (EAN-13 / UPC-A) check digit
+function isValidGtin(value) {
+  const digits = value.split('').map(Number);
+  const check = digits.pop();
+  const sum = digits.reverse().reduce((acc, d, i) => acc + d * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === check;
+}
+
+function isValidIpv4(value) {
+  return IP_REGEX.test(value) && value.split('.').every(octet => Number(octet) <= 255);
+}
+
+// The URL parser accepts exactly the IPv6 literal forms; zone indexes are rejected
+function isValidIpv6(value) {
+  if (!/^[0-9A-Fa-f:.]+$/.test(value) || !value.includes(':')) return false;
+
+  try {
+    new URL(`http://[${value}]/`);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function isValidIp(value) {
+  return isValidIpv4(value) || isValidIpv6(value);
+}
+
+function isValidUrl(value) {
+  if (value.trim() === '') return false;
+
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+// Validator definitions keyed by the same symbols as Core::Constants::VALIDATOR_EXAMPLES
+export const LOCAL_VALIDATORS = {
+  isbn: { check: isValidIsbn, message: 'is not a valid ISBN' },
+  vin: { check: isValidVin, message: 'is not a valid VIN' },
+  issn: { check: isValidIssn, message: 'is not a valid ISSN' },
+  iban: { check: isValidIban, message: 'is not a valid IBAN' },
+  luhn: { check: isValidLuhn, message: 'is not a valid Luhn number' },
+  ean13: { regex: EAN13_REGEX, check: isValidGtin, message: 'is not a valid EAN-13 barcode' },
+  upca: { regex: UPCA_REGEX, check: isValidGtin, message: 'is not a valid UPC-A barcode' },
+  uuid: { regex: UUID_REGEX, message: 'is not a valid UUID' },
+  hex_color: { regex: HEX_COLOR_REGEX, message: 'is not a valid hex color' },
+  ip: { check: isValidIp, message: 'is not a valid IP address' },
+  mac_address: { regex: MAC_ADDRESS_REGEX, message: 'is not a valid MAC address' },
+  hashtag: { regex: HASHTAG_PATTERN, message: 'is not a valid hashtag' },
+  mention: { regex: MENTION_PATTERN, message: 'is not a valid mention' },
+  twitter_handle: { regex: TWITTER_HANDLE_PATTERN, message: 'is not a valid Twitter handle' },
+  instagram_handle: { regex: INSTAGRAM_HANDLE_PATTERN, message: 'is not a valid Instagram handle' },
+  url: { check: isValidUrl, message: 'is not a valid URL' }
+};
+
+// Validators Ruby checks with a method rather than their regex
+// (ValidatorHelpers::METHOD_BASED_VALIDATORS); server regexes never override these
+export const METHOD_BASED_VALIDATORS = ['isbn', 'vin', 'issn', 'iban', 'luhn', 'url', 'ip'];
+
+// Regexes the Ruby side keeps in ExtractionPatterns, exported for reuse
+export const VALIDATOR_PATTERNS = {
+  ISBN_REGEX,
+  EAN13_REGEX,
+  UPCA_REGEX,
+  UUID_REGEX,
+  CREDIT_CARD_REGEX,
+  HEX_COLOR_REGEX,
+  IP_REGEX,
+  VIN_REGEX,
+  ISSN_REGEX,
+  MAC_ADDRESS_REGEX,
+  IBAN_REGEX,
+  HASHTAG_PATTERN,
+  MENTION_PATTERN,
+  TWITTER_HANDLE_PATTERN,
+  INSTAGRAM_HANDLE_PATTERN,
+  URL_PATTERN
+};
+
+// `patterns` optionally overrides a validator's regex (e.g. one loaded from the server)
+export function validateValue(symbol, value, patterns = {}) {
+  const validator = LOCAL_VALIDATORS[symbol];
+  if (!validator) {
+    return { valid: false, errors: ['Validator not found'] };
+  }
+
+  // The validate endpoint rejects blank values before running a validator
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return { valid: false, errors: ['Value is required'] };
+  }
+
+  const stringValue = String(value);
+  const regex = patterns[symbol] || validator.regex;
+  const candidate = regex ? stringValue.trim() : stringValue;
+  const valid = (!regex || regex.test(candidate)) &&
+                (!validator.check || validator.check(candidate));
+
+  return { valid, errors: valid ? [] : [validator.message] };
+}
@@ -0,0 +1,100 @@
+// client.validators: the engine's validator routes (/validators/...) with
+// responses normalized to camelCase objects. Requests go through the generated
+// client.api operations, so parameters and response shapes are checked against
+// the OpenAPI spec and share the client's base URL, retries and error types.
+
+function list(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+function source(regex) {
+  if (typeof regex === 'string') return regex;
+  return regex && typeof regex.source === 'string' ? regex.source : null;
+}
+
+// VALIDATOR_EXAMPLES entry as served by /validators and /validators/:id
+export function normalizeValidator(entry = {}, symbol = null) {
+  const data = entry && typeof entry === 'object' ? entry : {};
+  return {
+    symbol: String(data.symbol || symbol || ''),
+    schemaType: data.schema_type || null,
+    schemaProperty: data.schema_property || null,
+    description: data.description || null,
+    regex: source(data.regex),
+    valid: list(data.valid),
+    invalid: list(data.invalid)
+  };
+}
+
+export function normalizeValidation(payload = {}, value = undefined) {
+  const data = payload && typeof payload === 'object' ? payload : {};
+  const result = value === undefined ? {} : { value };
+  result.valid = data.valid === true;
+  result.errors = list(data.errors);
+  result.jsonld = data.jsonld || null;
+  if (data.metadata) result.metadata = normalizeValidator(data.metadata);
+  return result;
+}
+
+export class ValidatorsResource {
+  constructor(client) {
+    this.client = client;
+  }
+
+  // [{ symbol, schemaType, schemaProperty, description, regex, valid, invalid }]
+  async list({ fields, ...requestOptions } = {}) {
+    const params = fields ? { fields: [].concat(fields).join(',') } : {};
+    const payload = await this.client.api.listValidators(params, { ...requestOptions, label: 'Validator list' });
+    return Object.entries(payload).map(([symbol, entry]) => normalizeValidator(entry, symbol));
+  }
+
+  async show(symbol, requestOptions = {}) {
+    const payload = await this.client.api.showValidator({ id: symbol }, { ...requestOptions, label: 'Validator request' });
+    return normalizeValidator(payload, symbol);
+  }
+
+  // Validator symbols
+  async fields(requestOptions = {}) {
+    const payload = await this.client.api.listValidatorFields({}, { ...requestOptions, label: 'Validator fields' });
+    return list(payload.fields);
+  }
+
+  // { valid: [...], invalid: [...] }
+  async examples(symbol, requestOptions = {}) {
+    const { examples } = await this.client.api.validatorExamples({ id: symbol }, { ...requestOptions, label: 'Examples request' });
+    return { valid: list(examples.valid), invalid: list(examples.invalid) };
+  }
+
+  // schema.org JSON-LD for a value, e.g. { "@context": "https://schema.org", "@type": "Book", "isbn": "..." }
+  async jsonld(symbol, value, requestOptions = {}) {
+    return this.client.api.validatorJsonld({ id: symbol, value: String(value) }, { ...requestOptions, label: 'JSON-LD request' });
+  }
+
+  // Ruby regex source, or null for validators without one (the server answers 404)
+  async regex(symbol, requestOptions = {}) {
+    try {
+      const payload = await this.client.api.validatorRegex({ id: symbol }, { ...requestOptions, label: 'Regex request' });
+      return source(payload.regex);
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+
+  // { value, valid, errors, jsonld, metadata }
+  async validate(symbol, value, requestOptions = {}) {
+    const payload = await this.client.api.validateValue({ id: symbol, body: { value } }, { ...requestOptions, label: 'Validation' });
+    return normalizeValidation(payload, value);
+  }
+
+  // [{ value, valid, errors, jsonld }] in the order of `values`
+  async batchValidate(symbol, values, requestOptions = {}) {
+    if (!Array.isArray(values)) throw new Error('batchValidate expects an array of values');
+
+    const payload = await this.client.api.batchValidateValues({ id: symbol, body: { values } }, {
+      ...requestOptions,
+      label: 'Batch validation'
+    });
+    return values.map((value, index) => normalizeValidation(payload.results[index], value));
+  }
+}
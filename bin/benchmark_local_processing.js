@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+// Benchmarks RichTextExtractionClient#processTextLocally against a
+// re-implementation of the previous multi-pass scanning, which re-ran
+// extractAllPatterns for every metric. The old code itself is not run.
+// The chunked column is processLargeText with onProgress: it yields between
+// chunks and is slower than the single pass, not a faster path.
+//
+// Usage: node bin/benchmark_local_processing.js [sizeInKB ...]
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { performance } = require('perf_hooks');
+
+const CLIENT_PATH = path.join(__dirname, '../app/javascript/rich_text_extraction/universal_client.js');
+const SAMPLE = 'Contact @alice or bob.smith@example.com about #release notes at https://example.com/docs. ' +
+  'Screenshot: https://cdn.example.com/shot.png, call +1 555-123-4567 before 2025-06-24. ' +
+  'See [the guide](https://example.com/guide) and plain prose without any entities in it. ';
+
+function buildDocument(sizeInKB) {
+  const target = sizeInKB * 1024;
+  return SAMPLE.repeat(Math.ceil(target / SAMPLE.length)).slice(0, target);
+}
+
+// Re-implementation, not the old code: repeats the scans the old
+// processTextLocally did (one direct pass, four category passes for vortex
+// energy, and two passes each for flow efficiency, sacred balance through flow
+// efficiency, and golden ratio compliance) using today's extractors.
+function legacyProcess(client, text) {
+  for (let pass = 0; pass < 6; pass++) client.extractAllPatterns(text);
+  ['links', 'emails', 'hashtags', 'mentions'].forEach(name => client.extractCategory(name, text));
+}
+
+function time(fn, runs) {
+  fn();
+  const start = performance.now();
+  for (let i = 0; i < runs; i++) fn();
+  return (performance.now() - start) / runs;
+}
+
+async function main() {
+  const { RichTextExtractionClient } = await import(pathToFileURL(CLIENT_PATH).href);
+  const client = new RichTextExtractionClient();
+  const sizes = process.argv.slice(2).map(Number).filter(Boolean);
+  const rows = [];
+
+  for (const sizeInKB of sizes.length ? sizes : [16, 256, 1024, 4096]) {
+    const text = buildDocument(sizeInKB);
+    const runs = sizeInKB >= 1024 ? 3 : 10;
+    const legacy = time(() => legacyProcess(client, text), runs);
+    const singlePass = time(() => client.processTextLocally(text), runs);
+
+    const start = performance.now();
+    await client.processLargeText(text, { chunkSize: 256 * 1024, onProgress: () => {} });
+    const chunked = performance.now() - start;
+
+    rows.push({
+      'size (KB)': sizeInKB,
+      'legacy re-implementation (ms)': legacy.toFixed(1),
+      'single pass (ms)': singlePass.toFixed(1),
+      'chunked, with progress (ms)': chunked.toFixed(1),
+      speedup: `${(legacy / singlePass).toFixed(2)}x`,
+      'chunking cost': `${(chunked / singlePass).toFixed(2)}x`
+    });
+  }
+
+  console.table(rows);
+  console.log('speedup: single pass over the legacy re-implementation.');
+  console.log('chunking cost: chunked over single pass. processLargeText only chunks when given');
+  console.log('chunkSize, onProgress or signal; use them to stay responsive, not to go faster.');
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
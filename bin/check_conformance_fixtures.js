@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+// Runs the client's processTextLocally over spec/fixtures/extraction_conformance.json
+// and reports every entity or metric that differs from the Ruby
+// ExtractionPatterns / VortexEngine output stored there. Differences listed in
+// KNOWN_DIFFERENCES are printed as such while JS returns the pinned value;
+// exits 1 on any other mismatch.
+//
+// Usage: node bin/check_conformance_fixtures.js [--pin] [name ...]
+//   --pin  write the current JS value of every known difference to
+//          spec/fixtures/conformance_known_differences.json instead of failing
+//   name   only check fixtures whose name contains one of these strings
+// Regenerate the fixtures from Ruby with bin/generate_conformance_fixtures.rb.
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const CLIENT_PATH = path.join(__dirname, '../app/javascript/rich_text_extraction/universal_client.js');
+const FIXTURES_PATH = path.join(__dirname, '../spec/fixtures/extraction_conformance.json');
+const KNOWN_DIFFERENCES_PATH = path.join(__dirname, '../spec/fixtures/conformance_known_differences.json');
+const TOLERANCE = 1e-9;
+
+// Ruby category (ExtractionPatterns#extract_<category>) -> the same values
+// from processTextLocally's `data`, in Ruby's representation (no # or @ prefix)
+const ENTITY_MAPPINGS = {
+  links: data => data.links,
+  emails: data => data.emails,
+  phone_numbers: data => data.phones,
+  hashtags: data => data.hashtags.map(value => value.replace(/^#/, '')),
+  mentions: data => data.mentions.map(value => value.replace(/^@/, '')),
+  twitter_handles: data => data.twitterHandles,
+  image_urls: data => data.images,
+  attachment_urls: data => data.attachments,
+  markdown_links: data => data.markdownLinks.map(({ text, url }) => ({ text, url })),
+  dates: data => data.dates
+};
+
+// Ruby metric (VortexEngine.extract_all vortex_metrics and friends) -> result field
+const METRIC_MAPPINGS = {
+  length: result => result.input.length,
+  vortex_energy: result => result.vortexFlow.energy,
+  flow_efficiency: result => result.vortexFlow.flowEfficiency,
+  sacred_balance: result => result.vortexFlow.sacredBalance,
+  fibonacci_index: result => result.sacredGeometry.fibonacciIndex
+};
+
+// Deliberate or not-yet-reconciled differences: label -> reason. The JS value
+// each one is known to produce is pinned per fixture in KNOWN_DIFFERENCES_PATH,
+// so a difference only passes while JS still returns exactly that value;
+// anything else that differs fails. After an intended JS change, re-pin with --pin.
+const KNOWN_DIFFERENCES = {
+  vortex_energy: 'JS: length * 0.1 * (1 + Σ count * weight) * VORTEX_CONSTANT; Ruby: Σ complexity * {1.618, 2.618, 4.236} / VORTEX_CONSTANT over the stages',
+  flow_efficiency: 'JS averages a pattern-complexity factor with golden ratio compliance; Ruby divides the total stage energy by VORTEX_CONSTANT',
+  sacred_balance: 'JS scores length * 0.01 / flow efficiency against 1.618; Ruby divides length / complexity by 1.618',
+  fibonacci_index: 'JS falls back to the index of the first Fibonacci number at or above the length (-1 past 144); Ruby only matches exactly, else 0',
+  length: 'JS counts UTF-16 code units; Ruby counts characters',
+  links: 'Ruby URI.extract keeps the ) closing a Markdown link; JS stops before it',
+  phone_numbers: 'JS parses numbers with per-region metadata; Ruby uses a single regex that drops the + and keeps trailing spaces',
+  image_urls: 'Ruby IMAGE_REGEX captures only the extension group; JS returns the whole URL',
+  attachment_urls: 'Ruby ATTACHMENT_REGEX captures only the extension group; JS returns the whole URL',
+  markdown_links: 'Ruby flattens the link captures into separate items with a nil url; JS pairs text and url'
+};
+
+function sameNumber(expected, actual) {
+  if (typeof expected !== 'number' || typeof actual !== 'number') return expected === actual;
+  return Math.abs(expected - actual) <= TOLERANCE * Math.max(1, Math.abs(expected), Math.abs(actual));
+}
+
+function sameValue(expected, actual) {
+  return typeof expected === 'number' ? sameNumber(expected, actual) : JSON.stringify(expected) === JSON.stringify(actual);
+}
+
+function list(values) {
+  return values.length > 0 ? values.map(value => JSON.stringify(value)).join(', ') : '(none)';
+}
+
+// One readable line per difference between two value lists
+function diffValues(expected, actual) {
+  const keys = values => values.map(value => JSON.stringify(value));
+  const [expectedKeys, actualKeys] = [keys(expected), keys(actual)];
+  const rubyOnly = expected.filter((_, i) => !actualKeys.includes(expectedKeys[i]));
+  const jsOnly = actual.filter((_, i) => !expectedKeys.includes(actualKeys[i]));
+
+  const lines = [];
+  if (rubyOnly.length > 0) lines.push(`ruby only: ${list(rubyOnly)}`);
+  if (jsOnly.length > 0) lines.push(`js only:   ${list(jsOnly)}`);
+  if (lines.length === 0 && expectedKeys.join('\n') !== actualKeys.join('\n')) {
+    lines.push(`same values, different order or count: ruby ${list(expected)} / js ${list(actual)}`);
+  }
+  return lines;
+}
+
+function compareFixture(client, fixture) {
+  const result = client.processTextLocally(fixture.text);
+  const mismatches = [];
+
+  Object.entries(fixture.entities || {}).forEach(([category, expected]) => {
+    const mapping = ENTITY_MAPPINGS[category];
+    if (!mapping) {
+      mismatches.push({ label: category, lines: ['no client category maps to this Ruby category'] });
+      return;
+    }
+    const actual = mapping(result.data) || [];
+    const lines = diffValues(expected, actual);
+    if (lines.length > 0) mismatches.push({ label: category, lines, actual });
+  });
+
+  Object.entries(fixture.metrics || {}).forEach(([metric, expected]) => {
+    const mapping = METRIC_MAPPINGS[metric];
+    if (!mapping) {
+      mismatches.push({ label: metric, lines: ['no client metric maps to this Ruby metric'] });
+      return;
+    }
+    const actual = mapping(result);
+    if (!sameNumber(expected, actual)) {
+      mismatches.push({ label: metric, lines: [`ruby ${expected} / js ${actual}`], actual });
+    }
+  });
+
+  return mismatches;
+}
+
+// A mismatch is known while JS still returns the value pinned for this fixture
+function knownDifference(pins, fixture, { label, actual }) {
+  const pinned = pins[label] && pins[label][fixture.name];
+  return label in KNOWN_DIFFERENCES && pinned !== undefined && sameValue(pinned, actual);
+}
+
+function pinnedLine(pins, fixture, { label, actual }) {
+  const pinned = pins[label] && pins[label][fixture.name];
+  if (!(label in KNOWN_DIFFERENCES)) return null;
+  return pinned === undefined
+    ? `known difference, but no JS value is pinned for this fixture (js ${JSON.stringify(actual)}); run with --pin`
+    : `known difference, but JS changed from the pinned ${JSON.stringify(pinned)} to ${JSON.stringify(actual)}`;
+}
+
+// Pins the current JS value of every known difference, dropping stale pins
+// for the checked fixtures
+function writePins(pins, results) {
+  results.forEach(({ fixture, mismatches }) => {
+    Object.values(pins).forEach(byFixture => { delete byFixture[fixture.name]; });
+    mismatches.filter(({ label }) => label in KNOWN_DIFFERENCES).forEach(({ label, actual }) => {
+      pins[label] = { ...pins[label], [fixture.name]: actual };
+    });
+  });
+  Object.keys(pins).forEach(label => { if (Object.keys(pins[label]).length === 0) delete pins[label]; });
+  fs.writeFileSync(KNOWN_DIFFERENCES_PATH, `${JSON.stringify(pins, null, 2)}\n`);
+}
+
+async function main() {
+  const { RichTextExtractionClient } = await import(pathToFileURL(CLIENT_PATH).href);
+  const client = new RichTextExtractionClient('/api', { mode: 'local' });
+  const args = process.argv.slice(2);
+  const pin = args.includes('--pin');
+  const filters = args.filter(arg => arg !== '--pin');
+  const pins = fs.existsSync(KNOWN_DIFFERENCES_PATH) ? JSON.parse(fs.readFileSync(KNOWN_DIFFERENCES_PATH, 'utf8')) : {};
+  const fixtures = JSON.parse(fs.readFileSync(FIXTURES_PATH, 'utf8'))
+    .filter(fixture => filters.length === 0 || filters.some(filter => fixture.name.includes(filter)));
+  const results = fixtures.map(fixture => ({ fixture, mismatches: compareFixture(client, fixture) }));
+
+  if (pin) {
+    writePins(pins, results);
+    console.log(`Pinned the JS values of known differences in ${path.relative(process.cwd(), KNOWN_DIFFERENCES_PATH)}`);
+  }
+
+  const tally = { failed: 0, entities: 0, metrics: 0, known: new Set() };
+  results.forEach(({ fixture, mismatches }) => {
+    const unknown = mismatches.filter(mismatch => !knownDifference(pins, fixture, mismatch));
+    mismatches.filter(mismatch => knownDifference(pins, fixture, mismatch)).forEach(({ label }) => tally.known.add(label));
+    if (unknown.length === 0) return;
+
+    tally.failed += 1;
+    console.error(`✗ ${fixture.name}`);
+    console.error(`  text: ${JSON.stringify(fixture.text)}`);
+    unknown.forEach(mismatch => {
+      const note = pinnedLine(pins, fixture, mismatch);
+      tally[mismatch.label in METRIC_MAPPINGS ? 'metrics' : 'entities'] += 1;
+      console.error(`  ${mismatch.label}:`);
+      [...mismatch.lines, ...(note ? [note] : [])].forEach(line => console.error(`    ${line}`));
+    });
+  });
+
+  if (tally.known.size > 0) {
+    console.log('Known differences (not failures):');
+    [...tally.known].forEach(label => console.log(`  ${label}: ${KNOWN_DIFFERENCES[label]}`));
+  }
+  const summary = `${fixtures.length - tally.failed}/${fixtures.length} conformance fixtures match`;
+  console.log(tally.failed ? `${summary} (${tally.entities} entity and ${tally.metrics} metric mismatches)` : summary);
+  if (tally.failed) process.exit(1);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
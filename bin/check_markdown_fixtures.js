@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+// Compares the client-side Markdown renderer with the Redcarpet output stored
+// in spec/fixtures/markdown_rendering.json. Exits 1 on any mismatch.
+//
+// Usage: node bin/check_markdown_fixtures.js
+// Regenerate the fixtures from Ruby with bin/generate_markdown_fixtures.rb.
+// Fixtures marked "client_only" cover deliberate differences (unsafe URLs,
+// task lists) and are rendered with their "options", if any.
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const RENDERER_PATH = path.join(__dirname, '../app/javascript/rich_text_extraction/markdown.js');
+const FIXTURES_PATH = path.join(__dirname, '../spec/fixtures/markdown_rendering.json');
+
+async function main() {
+  const { renderMarkdown } = await import(pathToFileURL(RENDERER_PATH).href);
+  const fixtures = JSON.parse(fs.readFileSync(FIXTURES_PATH, 'utf8'));
+  const render = fixture => renderMarkdown(fixture.markdown, fixture.options);
+  const failures = fixtures.filter(fixture => render(fixture) !== fixture.html);
+
+  failures.forEach(fixture => {
+    console.error(`✗ ${fixture.name}`);
+    console.error(`  expected: ${JSON.stringify(fixture.html)}`);
+    console.error(`  actual:   ${JSON.stringify(render(fixture))}`);
+  });
+  console.log(`${fixtures.length - failures.length}/${fixtures.length} Markdown fixtures match`);
+  if (failures.length) process.exit(1);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
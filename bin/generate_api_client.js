@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+// Generates app/javascript/rich_text_extraction/api_operations.js from the
+// OpenAPI document written by bin/generate_openapi_spec.rb: one entry per
+// operation (method, path, idempotency, parameters, request and response schemas) and an
+// ApiClient class with a method per operation. Parameter checks and response
+// validation happen at runtime in api_schema.js.
+//
+// Generation fails (exit 1) when the hand-written client drifts from the spec:
+// it calls `api.<name>()` for an operation that doesn't exist, or builds a URL
+// from baseUrl/validatorsUrl that matches no documented path.
+//
+// Usage: node bin/generate_api_client.js [--check]
+//   --check  fail instead of writing when the generated file is out of date
+
+const fs = require('fs');
+const path = require('path');
+
+const SPEC_PATH = path.join(__dirname, '../docs/api/openapi.json');
+const CLIENT_DIR = path.join(__dirname, '../app/javascript/rich_text_extraction');
+const OUTPUT_PATH = path.join(CLIENT_DIR, 'api_operations.js');
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+function resolveRefs(schema, spec, seen = []) {
+  if (!schema || typeof schema !== 'object') return schema;
+  if (Array.isArray(schema)) return schema.map(item => resolveRefs(item, spec, seen));
+
+  if (schema.$ref) {
+    if (seen.includes(schema.$ref)) throw new Error(`Recursive schema ${schema.$ref} is not supported`);
+    const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node && node[key], spec);
+    if (!target) throw new Error(`Unresolved schema reference ${schema.$ref}`);
+    return resolveRefs(target, spec, [...seen, schema.$ref]);
+  }
+
+  // Annotations are dropped; `properties` keys are property names, not keywords
+  const resolved = {};
+  Object.entries(schema).forEach(([key, value]) => {
+    if (key === 'description' || key === 'example') return;
+    if (key === 'properties') {
+      resolved.properties = {};
+      Object.entries(value).forEach(([name, property]) => { resolved.properties[name] = resolveRefs(property, spec, seen); });
+    } else {
+      resolved[key] = resolveRefs(value, spec, seen);
+    }
+  });
+  return resolved;
+}
+
+function jsonSchema(content, spec) {
+  const media = content && content['application/json'];
+  return media && media.schema ? resolveRefs(media.schema, spec) : null;
+}
+
+// "post /validators/{id}/batch_validate" -> "postValidatorsBatchValidate"
+function derivedOperationId(method, route) {
+  const words = [method, ...route.split(/[/_]/).filter(word => word && !word.startsWith('{'))];
+  return words.map((word, i) => (i === 0 ? word : word[0].toUpperCase() + word.slice(1))).join('');
+}
+
+function collectOperations(spec) {
+  const operations = {};
+
+  Object.entries(spec.paths || {}).forEach(([route, pathItem]) => {
+    METHODS.filter(method => pathItem[method]).forEach(method => {
+      const definition = pathItem[method];
+      const operationId = definition.operationId || derivedOperationId(method, route);
+      if (operations[operationId]) throw new Error(`Duplicate operationId "${operationId}"`);
+
+      const parameters = [...(pathItem.parameters || []), ...(definition.parameters || [])].map(parameter => ({
+        name: parameter.name,
+        in: parameter.in,
+        required: Boolean(parameter.required || parameter.in === 'path'),
+        schema: resolveRefs(parameter.schema || { type: 'string' }, spec)
+      }));
+      const body = definition.requestBody;
+      const success = Object.keys(definition.responses || {}).sort().find(status => /^2\d\d$/.test(status));
+
+      operations[operationId] = {
+        operationId,
+        method: method.toUpperCase(),
+        path: route,
+        summary: definition.summary || operationId,
+        // Retried on 5xx/429 and network errors; POSTs only when marked x-idempotent
+        idempotent: method !== 'post' && method !== 'patch' ? true : Boolean(definition['x-idempotent']),
+        parameters,
+        requestBody: body ? { required: Boolean(body.required), schema: jsonSchema(body.content, spec) } : null,
+        response: success ? jsonSchema(definition.responses[success].content, spec) : null
+      };
+    });
+  });
+
+  return operations;
+}
+
+// Single-quoted JS literal source, indented like the rest of the client
+function toSource(value, indent = '') {
+  const inner = `${indent}  `;
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'string' ? `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'` : String(value);
+  }
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    if (value.every(item => item === null || typeof item !== 'object')) return `[${value.map(item => toSource(item)).join(', ')}]`;
+    return `[\n${value.map(item => `${inner}${toSource(item, inner)}`).join(',\n')}\n${indent}]`;
+  }
+
+  const entries = Object.entries(value);
+  if (entries.length === 0) return '{}';
+  const key = name => (/^[A-Za-z_$][\w$]*$/.test(name) ? name : toSource(name));
+  const flat = `{ ${entries.map(([name, item]) => `${key(name)}: ${toSource(item, inner)}`).join(', ')} }`;
+  if (entries.every(([, item]) => item === null || typeof item !== 'object') && flat.length <= 60) return flat;
+  return `{\n${entries.map(([name, item]) => `${inner}${key(name)}: ${toSource(item, inner)}`).join(',\n')}\n${indent}}`;
+}
+
+function render(operations) {
+  const methods = Object.values(operations).map(operation => [
+    `  // ${operation.method} ${operation.path}: ${operation.summary}`,
+    `  ${operation.operationId}(params = {}, requestOptions = {}) {`,
+    `    return callOperation(this.client, API_OPERATIONS.${operation.operationId}, params, requestOptions);`,
+    '  }'
+  ].join('\n'));
+
+  return [
+    '// DO NOT EDIT: generated by bin/generate_api_client.js from docs/api/openapi.json.',
+    '// Change bin/generate_openapi_spec.rb, then run `npm run generate:client`.',
+    "import { callOperation } from './api_schema.js';",
+    '',
+    `export const API_OPERATIONS = ${toSource(operations)};`,
+    '',
+    '// client.api: one method per operation, taking path and query parameters by',
+    '// name plus `body`, and the usual request options',
+    'export class ApiClient {',
+    '  constructor(client) {',
+    '    this.client = client;',
+    '  }',
+    '',
+    methods.join('\n\n'),
+    '}',
+    ''
+  ].join('\n');
+}
+
+function clientSources(dir = CLIENT_DIR) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) return clientSources(file);
+    return entry.name.endsWith('.js') && file !== OUTPUT_PATH ? [file] : [];
+  });
+}
+
+function routePattern(route) {
+  return new RegExp(`^${route.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{\w+\}/g, '[^/]+')}$`);
+}
+
+// Operations called that the spec lacks, and hand-built URLs it doesn't document
+function findDrift(operations) {
+  const routes = Object.values(operations).map(operation => routePattern(operation.path));
+  const drift = [];
+
+  clientSources().forEach(file => {
+    const source = fs.readFileSync(file, 'utf8');
+    const where = index => `${path.relative(process.cwd(), file)}:${source.slice(0, index).split('\n').length}`;
+
+    for (const match of source.matchAll(/\bapi\.(\w+)\(/g)) {
+      if (!operations[match[1]]) drift.push(`${where(match.index)}: api.${match[1]}() is not an operation in the spec`);
+    }
+    for (const match of source.matchAll(/\$\{(?:[\w.]*\.)?(baseUrl|validatorsUrl)\}(\/[^`?'"\s]*)/g)) {
+      const route = `${match[1] === 'baseUrl' ? '/api' : ''}${match[2].replace(/\$\{[^}]*\}/g, 'x')}`;
+      if (routes.some(pattern => pattern.test(route))) continue;
+      drift.push(`${where(match.index)}: ${route} is not a documented path`);
+    }
+  });
+
+  return drift;
+}
+
+function main() {
+  const check = process.argv.includes('--check');
+  const spec = JSON.parse(fs.readFileSync(SPEC_PATH, 'utf8'));
+  const operations = collectOperations(spec);
+
+  const drift = findDrift(operations);
+  if (drift.length > 0) {
+    console.error(`Client and OpenAPI spec have drifted (${drift.length}):`);
+    drift.forEach(line => console.error(`  ${line}`));
+    process.exit(1);
+  }
+
+  const output = render(operations);
+  const relative = path.relative(process.cwd(), OUTPUT_PATH);
+  if (check) {
+    const current = fs.existsSync(OUTPUT_PATH) ? fs.readFileSync(OUTPUT_PATH, 'utf8') : '';
+    if (current !== output) {
+      console.error(`${relative} is out of date; run npm run generate:client`);
+      process.exit(1);
+    }
+    console.log(`${relative} is up to date (${Object.keys(operations).length} operations)`);
+    return;
+  }
+
+  fs.writeFileSync(OUTPUT_PATH, output);
+  console.log(`Wrote ${relative} (${Object.keys(operations).length} operations)`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
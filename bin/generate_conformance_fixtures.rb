@@ -0,0 +1,52 @@
+#!/usr/bin/env ruby
+# frozen_string_literal: true
+
+# Rewrites the expected entities and metrics in
+# spec/fixtures/extraction_conformance.json with the output of
+# ExtractionPatterns (extract_<category>), LinkExtractor#extract_links,
+# DATE_REGEX and VortexEngine.extract_all, so the client's processTextLocally
+# can be checked against it with bin/check_conformance_fixtures.js. Only `name` and `text` need to be written
+# by hand when adding a fixture.
+
+require 'json'
+require 'active_support/all'
+require_relative '../lib/rich_text_extraction/core/constants'
+require_relative '../lib/rich_text_extraction/core/vortex_engine'
+require_relative '../lib/rich_text_extraction/helpers/validator_helpers'
+require_relative '../lib/rich_text_extraction/extractors/base_extractor'
+require_relative '../lib/rich_text_extraction/extractors/extraction_patterns'
+require_relative '../lib/rich_text_extraction/extractors/link_extractor'
+
+FIXTURES_PATH = File.expand_path('../spec/fixtures/extraction_conformance.json', __dir__)
+CATEGORIES = %w[emails phone_numbers hashtags mentions twitter_handles image_urls attachment_urls markdown_links].freeze
+
+patterns = Object.new.extend(RichTextExtraction::Extractors::ExtractionPatterns)
+links = RichTextExtraction::Extractors::LinkExtractor.new
+engine = RichTextExtraction::Core::VortexEngine
+
+fixtures = JSON.parse(File.read(FIXTURES_PATH))
+changed = fixtures.count do |fixture|
+  text = fixture['text']
+  vortex_metrics = engine.extract_all(text)[:vortex_metrics]
+  expected = {
+    'entities' => CATEGORIES.to_h { |category| [category, patterns.public_send("extract_#{category}", text)] }.merge(
+      'links' => links.extract_links(text),
+      'dates' => RichTextExtraction::Extractors::BaseExtractor.extract_pattern(text, RichTextExtraction::Core::Constants::DATE_REGEX)
+    ),
+    'metrics' => {
+      'length' => text.length,
+      'vortex_energy' => vortex_metrics[:total_energy],
+      'flow_efficiency' => vortex_metrics[:flow_efficiency],
+      'sacred_balance' => vortex_metrics[:sacred_balance],
+      'fibonacci_index' => engine.send(:calculate_base_sacred_geometry, text)[:fibonacci_index]
+    }
+  }
+  expected = JSON.parse(JSON.generate(expected))
+  next false if expected.all? { |key, value| fixture[key] == value }
+
+  fixture.merge!(expected)
+  true
+end
+
+File.write(FIXTURES_PATH, "#{JSON.pretty_generate(fixtures)}\n")
+puts "Updated #{changed} of #{fixtures.size} conformance fixtures in #{FIXTURES_PATH}"
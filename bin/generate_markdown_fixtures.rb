@@ -0,0 +1,28 @@
+#!/usr/bin/env ruby
+# frozen_string_literal: true
+
+# Rewrites the expected HTML in spec/fixtures/markdown_rendering.json with the
+# output of MarkdownHelpers.render_markdown_html (Redcarpet), so the client-side
+# renderer can be checked against it with bin/check_markdown_fixtures.js.
+# Fixtures marked client_only are left untouched.
+
+require 'json'
+require 'redcarpet'
+require 'erb'
+require_relative '../lib/rich_text_extraction/helpers/markdown_helpers'
+
+FIXTURES_PATH = File.expand_path('../spec/fixtures/markdown_rendering.json', __dir__)
+
+fixtures = JSON.parse(File.read(FIXTURES_PATH))
+changed = fixtures.count do |fixture|
+  next false if fixture['client_only']
+
+  html = RichTextExtraction::Helpers::MarkdownHelpers.render_markdown_html(fixture['markdown'])
+  next false if html == fixture['html']
+
+  fixture['html'] = html
+  true
+end
+
+File.write(FIXTURES_PATH, "#{JSON.pretty_generate(fixtures)}\n")
+puts "Updated #{changed} of #{fixtures.size} Markdown fixtures in #{FIXTURES_PATH}"
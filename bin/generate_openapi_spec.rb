@@ -1,24 +1,18 @@
 #!/usr/bin/env ruby
 # frozen_string_literal: true
 
+require 'json'
 require 'yaml'
 require 'fileutils'
-require_relative '../lib/rich_text_extraction/core/constants'
-require_relative '../lib/rich_text_extraction/extraction_patterns'
 
-# Output file
+# Output files; the JSON copy is read by bin/generate_api_client.js
 OPENAPI_PATH = File.expand_path('../docs/api/openapi.yaml', __dir__)
+OPENAPI_JSON_PATH = File.expand_path('../docs/api/openapi.json', __dir__)
 
-# Helper to resolve regex string
-RESOLVE_REGEX = lambda do |symbol|
-  entry = RichTextExtraction::Constants::VALIDATOR_EXAMPLES[symbol]
-  return nil unless entry && entry[:regex]
-
-  begin
-    RichTextExtraction::ExtractionPatterns.const_get(entry[:regex])
-  rescue StandardError
-    nil
-  end
+# POSTs that only read (validation and extraction) are marked x-idempotent:
+# they have no side effects, so the generated JS client retries them like GETs
+def idempotent_post(operation_id, operation)
+  { 'operationId' => operation_id, 'x-idempotent' => true }.merge(operation)
 end
 
 # Build OpenAPI spec
@@ -27,7 +21,7 @@ openapi = {
   'info' => {
     'title' => 'RichTextExtraction Validator API',
     'version' => 'v1',
-    'description' => 'API for validator metadata, schema.org JSON-LD, validation, and examples.'
+    'description' => 'API for validator metadata, schema.org JSON-LD, validation, examples and text extraction.'
   },
   'servers' => [
     { 'url' => 'https://example.com', 'description' => 'Production' },
@@ -40,10 +34,10 @@ openapi = {
         'type' => 'object',
         'properties' => {
           'symbol' => { 'type' => 'string', 'description' => 'Validator symbol' },
-          'schema_type' => { 'type' => 'string', 'description' => 'Schema.org type' },
-          'schema_property' => { 'type' => 'string', 'description' => 'Schema.org property' },
-          'description' => { 'type' => 'string', 'description' => 'Description' },
-          'regex' => { 'type' => 'string', 'description' => 'Validation regex (if pattern-based)' },
+          'schema_type' => { 'type' => 'string', 'nullable' => true, 'description' => 'Schema.org type' },
+          'schema_property' => { 'type' => 'string', 'nullable' => true, 'description' => 'Schema.org property' },
+          'description' => { 'type' => 'string', 'nullable' => true, 'description' => 'Description' },
+          'regex' => { 'type' => 'string', 'nullable' => true, 'description' => 'Validation regex (if pattern-based)' },
           'valid' => { 'type' => 'array', 'items' => { 'type' => 'string' }, 'description' => 'Valid examples' },
           'invalid' => { 'type' => 'array', 'items' => { 'type' => 'string' }, 'description' => 'Invalid examples' }
         }
@@ -55,6 +49,15 @@ openapi = {
           'errors' => { 'type' => 'array', 'items' => { 'type' => 'string' } },
           'jsonld' => { 'type' => 'object', 'nullable' => true }
         }
+      },
+      'BatchValidationItem' => {
+        'type' => 'object',
+        'properties' => {
+          'value' => { 'type' => 'string' },
+          'valid' => { 'type' => 'boolean' },
+          'errors' => { 'type' => 'array', 'items' => { 'type' => 'string' } }
+        },
+        'required' => %w[value valid errors]
       }
     }
   }
@@ -63,6 +66,7 @@ openapi = {
 # Paths
 openapi['paths']['/validators'] = {
   'get' => {
+    'operationId' => 'listValidators',
     'summary' => 'List all validators',
     'tags' => ['Validators'],
     'parameters' => [
@@ -73,10 +77,10 @@ openapi['paths']['/validators'] = {
     ],
     'responses' => {
       '200' => {
-        'description' => 'validators listed',
+        'description' => 'validators listed, keyed by symbol',
         'content' => {
           'application/json' => {
-            'schema' => { 'type' => 'array', 'items' => { '$ref' => '#/components/schemas/Validator' } }
+            'schema' => { 'type' => 'object', 'additionalProperties' => { '$ref' => '#/components/schemas/Validator' } }
           }
         }
       }
@@ -85,6 +89,7 @@ openapi['paths']['/validators'] = {
 }
 openapi['paths']['/validators/fields'] = {
   'get' => {
+    'operationId' => 'listValidatorFields',
     'summary' => 'List all available fields',
     'tags' => ['Validators'],
     'responses' => {
@@ -104,6 +109,7 @@ openapi['paths']['/validators/fields'] = {
 # Per-validator paths (templated)
 openapi['paths']['/validators/{id}'] = {
   'get' => {
+    'operationId' => 'showValidator',
     'summary' => 'Get metadata for a validator',
     'tags' => ['Validators'],
     'parameters' => [
@@ -124,6 +130,7 @@ openapi['paths']['/validators/{id}'] = {
 }
 openapi['paths']['/validators/{id}/jsonld'] = {
   'get' => {
+    'operationId' => 'validatorJsonld',
     'summary' => 'Get schema.org JSON-LD for a value',
     'tags' => ['Validators'],
     'parameters' => [
@@ -139,6 +146,7 @@ openapi['paths']['/validators/{id}/jsonld'] = {
 }
 openapi['paths']['/validators/{id}/examples'] = {
   'get' => {
+    'operationId' => 'validatorExamples',
     'summary' => 'Get valid/invalid examples for a validator',
     'tags' => ['Validators'],
     'parameters' => [
@@ -152,9 +160,15 @@ openapi['paths']['/validators/{id}/examples'] = {
             'schema' => {
               'type' => 'object',
               'properties' => {
-                'valid' => { 'type' => 'array', 'items' => { 'type' => 'string' } },
-                'invalid' => { 'type' => 'array', 'items' => { 'type' => 'string' } }
-              }
+                'examples' => {
+                  'type' => 'object',
+                  'properties' => {
+                    'valid' => { 'type' => 'array', 'items' => { 'type' => 'string' } },
+                    'invalid' => { 'type' => 'array', 'items' => { 'type' => 'string' } }
+                  }
+                }
+              },
+              'required' => ['examples']
             }
           }
         }
@@ -165,6 +179,7 @@ openapi['paths']['/validators/{id}/examples'] = {
 }
 openapi['paths']['/validators/{id}/regex'] = {
   'get' => {
+    'operationId' => 'validatorRegex',
     'summary' => 'Get regex for a validator',
     'tags' => ['Validators'],
     'parameters' => [
@@ -184,7 +199,7 @@ openapi['paths']['/validators/{id}/regex'] = {
   }
 }
 openapi['paths']['/validators/{id}/validate'] = {
-  'post' => {
+  'post' => idempotent_post('validateValue', {
     'summary' => 'Validate a value',
     'tags' => ['Validators'],
     'parameters' => [
@@ -211,10 +226,10 @@ openapi['paths']['/validators/{id}/validate'] = {
       },
       '404' => { 'description' => 'not found' }
     }
-  }
+  })
 }
 openapi['paths']['/validators/{id}/batch_validate'] = {
-  'post' => {
+  'post' => idempotent_post('batchValidateValues', {
     'summary' => 'Batch validate values',
     'tags' => ['Validators'],
     'parameters' => [
@@ -238,14 +253,139 @@ openapi['paths']['/validators/{id}/batch_validate'] = {
         'content' => {
           'application/json' => {
             'schema' => {
-              'type' => 'array',
-              'items' => { '$ref' => '#/components/schemas/ValidationResult' }
+              'type' => 'object',
+              'properties' => {
+                'results' => { 'type' => 'array', 'items' => { '$ref' => '#/components/schemas/BatchValidationItem' } },
+                'metadata' => { '$ref' => '#/components/schemas/Validator' }
+              },
+              'required' => %w[results metadata]
             }
           }
         }
       },
       '404' => { 'description' => 'not found' }
     }
+  })
+}
+
+# Extraction API (Api::UniversalExtractionController, served by the engine under /api)
+openapi['paths']['/api/extract'] = {
+  'post' => idempotent_post('extract', {
+    'summary' => 'Extract entities from text',
+    'tags' => ['Extraction'],
+    'requestBody' => {
+      'required' => true,
+      'content' => {
+        'application/json' => {
+          'schema' => {
+            'type' => 'object',
+            'properties' => { 'text' => { 'type' => 'string' } },
+            'required' => ['text']
+          }
+        }
+      }
+    },
+    'responses' => {
+      '200' => { 'description' => 'extraction result',
+                 'content' => { 'application/json' => { 'schema' => { 'type' => 'object' } } } }
+    }
+  })
+}
+openapi['paths']['/api/batch_extract'] = {
+  'post' => idempotent_post('batchExtract', {
+    'summary' => 'Extract entities from several texts',
+    'tags' => ['Extraction'],
+    'requestBody' => {
+      'required' => true,
+      'content' => {
+        'application/json' => {
+          'schema' => {
+            'type' => 'object',
+            'properties' => { 'texts' => { 'type' => 'array', 'items' => { 'type' => 'string' } } },
+            'required' => ['texts']
+          }
+        }
+      }
+    },
+    'responses' => {
+      '200' => {
+        'description' => 'one extraction result per text, in order',
+        'content' => {
+          'application/json' => {
+            'schema' => {
+              'type' => 'object',
+              'properties' => { 'results' => { 'type' => 'array', 'items' => { 'type' => 'object' } } },
+              'required' => ['results']
+            }
+          }
+        }
+      }
+    }
+  })
+}
+openapi['paths']['/api/validate'] = {
+  'post' => idempotent_post('validateText', {
+    'summary' => 'Validate a value with the universal validators',
+    'tags' => ['Extraction'],
+    'requestBody' => {
+      'required' => true,
+      'content' => {
+        'application/json' => {
+          'schema' => {
+            'type' => 'object',
+            'properties' => { 'value' => { 'type' => 'string' } },
+            'required' => ['value']
+          }
+        }
+      }
+    },
+    'responses' => {
+      '200' => { 'description' => 'true when the validator (UrlValidator unless `validator` names another) accepts the value',
+                 'content' => { 'application/json' => { 'schema' => { 'type' => 'boolean' } } } }
+    }
+  })
+}
+
+# OpenGraph metadata for link previews (Api::OpengraphController)
+openapi['paths']['/api/opengraph'] = {
+  'get' => {
+    'operationId' => 'opengraph',
+    'summary' => 'OpenGraph metadata of a page',
+    'tags' => ['Extraction'],
+    'parameters' => [
+      { 'name' => 'url', 'in' => 'query', 'required' => true, 'schema' => { 'type' => 'string' },
+        'example' => 'https://example.com' }
+    ],
+    'responses' => {
+      '200' => { 'description' => 'og:* properties without the prefix',
+                 'content' => { 'application/json' => { 'schema' => { 'type' => 'object' } } } },
+      '400' => { 'description' => 'url is not an http(s) URL or does not resolve to a public address' },
+      '404' => { 'description' => 'config.opengraph_endpoint_enabled is not set' },
+      '502' => { 'description' => 'The page or one of its redirects could not be read' }
+    }
+  }
+}
+
+# Health check (HealthController)
+openapi['paths']['/health'] = {
+  'get' => {
+    'operationId' => 'health',
+    'summary' => 'Health check',
+    'tags' => ['Health'],
+    'responses' => {
+      '200' => {
+        'description' => 'service is up',
+        'content' => {
+          'application/json' => {
+            'schema' => {
+              'type' => 'object',
+              'properties' => { 'status' => { 'type' => 'string' }, 'time' => { 'type' => 'string' } },
+              'required' => ['status']
+            }
+          }
+        }
+      }
+    }
   }
 }
 
@@ -254,4 +394,5 @@ FileUtils.mkdir_p(File.dirname(OPENAPI_PATH))
 
 banner = "# DO NOT EDIT: This file is auto-generated by bin/generate_openapi_spec.rb. Edit Ruby sources only.\n"
 File.write(OPENAPI_PATH, banner + openapi.to_yaml)
-puts "OpenAPI spec written to #{OPENAPI_PATH}"
+File.write(OPENAPI_JSON_PATH, "#{JSON.pretty_generate(openapi)}\n")
+puts "OpenAPI spec written to #{OPENAPI_PATH} and #{OPENAPI_JSON_PATH}"
@@ -0,0 +1,39 @@
+#!/usr/bin/env ruby
+# frozen_string_literal: true
+
+# Writes app/javascript/rich_text_extraction/validator_examples.js from
+# Core::Constants::VALIDATOR_EXAMPLES: each validator's schema.org metadata and
+# regex constant (as ValidatorAPI.metadata reports them), its valid and invalid
+# examples and the regex GET /validators/:id/regex serves (Regexp#to_s). The
+# fake backend serves them and the JS tests check the local validators against them.
+
+require 'json'
+require 'active_support/all'
+require_relative '../lib/rich_text_extraction/core/constants'
+require_relative '../lib/rich_text_extraction/helpers/validator_helpers'
+require_relative '../lib/rich_text_extraction/extractors/base_extractor'
+require_relative '../lib/rich_text_extraction/extractors/extraction_patterns'
+
+EXAMPLES_PATH = File.expand_path('../app/javascript/rich_text_extraction/validator_examples.js', __dir__)
+
+examples = RichTextExtraction::Core::Constants::VALIDATOR_EXAMPLES.map do |symbol, entry|
+  regex = RichTextExtraction::Core::Constants.resolve_validator_regex(symbol)
+  {
+    symbol: symbol,
+    schema_type: entry[:schema_type],
+    schema_property: entry[:schema_property],
+    description: entry[:description],
+    regex_constant: entry[:regex],
+    valid: entry[:valid],
+    invalid: entry[:invalid],
+    regex: regex&.to_s
+  }
+end
+
+File.write(EXAMPLES_PATH, <<~JS)
+  // Generated by bin/generate_validator_fixtures.rb from Core::Constants::VALIDATOR_EXAMPLES; do not edit.
+  // Each validator's metadata (regex_constant is the ExtractionPatterns constant ValidatorAPI.metadata names),
+  // valid and invalid examples, and the regex GET /validators/:id/regex serves (Regexp#to_s).
+  export const VALIDATOR_EXAMPLES = #{JSON.pretty_generate(examples)};
+JS
+puts "Wrote #{examples.size} validators to #{EXAMPLES_PATH}"
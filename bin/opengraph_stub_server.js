@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+// Local stand-in for the JSON OpenGraph endpoint, so link preview cards can be
+// exercised (by hand or from Cypress) without fetching the live web.
+//
+// Usage: node bin/opengraph_stub_server.js [port]   (0 picks a free port)
+//   GET /opengraph?url=https://example.com/article  -> fixture OpenGraph data
+//   hosts slow.test, error.test and broken.test simulate a slow response,
+//   an OpenGraphService { error } payload and a 500 respectively.
+
+const http = require('http');
+
+const PORT = Number(process.argv[2] || process.env.PORT || 4010);
+const SLOW_DELAY = 2000;
+
+const FIXTURES = {
+  'https://example.com/article': {
+    title: 'Example Article',
+    description: 'An article used by the link preview stub server.',
+    image: '/images/article.png',
+    site_name: 'Example',
+    type: 'article',
+    url: 'https://example.com/article'
+  },
+  'https://example.com/': {
+    title: 'Example Domain',
+    site_name: 'Example'
+  }
+};
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  const requestUrl = new URL(req.url, 'http://localhost');
+  if (req.method !== 'GET' || requestUrl.pathname !== '/opengraph') {
+    return send(res, 404, { error: 'Not found' });
+  }
+
+  const target = requestUrl.searchParams.get('url') || '';
+  let host = '';
+  try {
+    host = new URL(target).hostname;
+  } catch (error) {
+    return send(res, 422, { error: 'Invalid url' });
+  }
+
+  if (host === 'broken.test') return send(res, 500, { error: 'Internal Server Error' });
+  if (host === 'error.test') return send(res, 200, { error: 'getaddrinfo ENOTFOUND error.test' });
+  if (host === 'slow.test') {
+    return setTimeout(() => send(res, 200, { title: 'Slow page', site_name: 'Slow' }), SLOW_DELAY);
+  }
+
+  // OpenGraphService returns {} when the page has no og: tags or fails to load
+  return send(res, 200, FIXTURES[target] || {});
+});
+
+server.listen(PORT, () => {
+  console.log(`OpenGraph stub server listening on http://localhost:${server.address().port}/opengraph`);
+});
@@ -10,6 +10,8 @@ RichTextExtraction.configure do |config|
   config.max_redirects = 5
   config.user_agent = '<%= app_name %>/1.0'
   config.sanitize_html = true
+  # Serve GET /api/opengraph for linkPreview (fetches caller-supplied public URLs)
+  config.opengraph_endpoint_enabled = false
 
   # Markdown Configuration
   config.markdown_renderer = :redcarpet
@@ -61,7 +63,7 @@ end
 #         upca: "is not a valid UPC-A barcode"
 #         uuid: "is not a valid UUID"
 #         hex_color: "is not a valid hex color"
-#         ip: "is not a valid IPv4 address"
+#         ip: "is not a valid IP address"
 #         mac_address: "is not a valid MAC address"
 #         hashtag: "is not a valid hashtag"
 #         mention: "is not a valid mention"
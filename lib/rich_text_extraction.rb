@@ -50,6 +50,7 @@ require_relative 'rich_text_extraction/helpers/instance_helpers'
 require_relative 'rich_text_extraction/api/validator_api'
 
 # Services
+require_relative 'rich_text_extraction/services/public_url'
 require_relative 'rich_text_extraction/services/opengraph_service'
 require_relative 'rich_text_extraction/services/markdown_service'
 
@@ -20,14 +20,20 @@ module RichTextExtraction
       API_LOOP_TTL = 300 # 5 minutes
 
       def index
-        validators = RichTextExtraction::ValidatorAPI.list
-        fields = params[:fields]&.split(',')&.map(&:strip)
+        validators = RichTextExtraction::ValidatorAPI.metadata.to_h do |symbol, entry|
+          [symbol, entry.merge(symbol: symbol)]
+        end
+        fields = params[:fields]&.split(',')&.map { |field| field.strip.to_sym }
 
-        validators = validators.slice(*fields) if fields&.any?
+        validators = validators.transform_values { |entry| entry.slice(*fields) } if fields&.any?
 
         render json: validators
       end
 
+      def fields
+        render json: { fields: RichTextExtraction::ValidatorAPI.fields }
+      end
+
       def show
         symbol = params[:id]&.to_sym
         entry = RichTextExtraction::ValidatorAPI.metadata(symbol)
@@ -41,10 +47,10 @@ module RichTextExtraction
 
       def examples
         symbol = params[:id]&.to_sym
-        entry = RichTextExtraction::ValidatorAPI.metadata(symbol)
+        examples = RichTextExtraction::ValidatorAPI.examples(symbol)
 
-        if entry
-          render json: { examples: entry[:examples] }
+        if examples
+          render json: { examples: examples }
         else
           render json: { error: 'Validator not found' }, status: :not_found
         end
@@ -61,6 +67,19 @@ module RichTextExtraction
         end
       end
 
+      def jsonld
+        symbol = params[:id]&.to_sym
+        jsonld = RichTextExtraction::ValidatorAPI.jsonld(symbol, params[:value]) if params[:value].present?
+
+        if jsonld
+          render json: jsonld
+        elsif RichTextExtraction::ValidatorAPI.metadata(symbol)
+          render json: { error: 'No schema.org mapping or value given' }, status: :unprocessable_entity
+        else
+          render json: { error: 'Validator not found' }, status: :not_found
+        end
+      end
+
       def validate
         symbol = params[:id]&.to_sym
         value = params[:value]
@@ -217,8 +236,10 @@ module RichTextExtraction
       end
 
       def perform_batch_validation(symbol, values, entry)
-        # Perform batch validation
-        results = values.map { |value| RichTextExtraction::ValidatorAPI.validate(symbol, value) }
+        # Perform batch validation: one result per value, in order
+        results = values.map do |value|
+          { value: value }.merge(RichTextExtraction::ValidatorAPI.validate(symbol, value))
+        end
 
         # Prepare response
         response_data = {
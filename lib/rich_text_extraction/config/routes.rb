@@ -1,6 +1,6 @@
 # frozen_string_literal: true
 
-RichTextExtraction::Engine.routes.draw do
+RichTextExtraction::Rails::Engine.routes.draw do
   # Validator API routes
   get '/validators', to: 'validators#index'
   get '/validators/fields', to: 'validators#fields'
@@ -11,4 +11,13 @@ RichTextExtraction::Engine.routes.draw do
   post '/validators/:id/validate', to: 'validators#validate'
   post '/validators/:id/batch_validate', to: 'validators#batch_validate'
   match '/validators/:id', to: 'validators#options', via: [:options]
+
+  # Extraction API (Api::UniversalExtractionController), link previews
+  # (Api::OpengraphController) and the JS client's health check. Their
+  # controllers live outside the engine namespace, hence the leading /.
+  post '/api/extract', to: '/api/universal_extraction#extract'
+  post '/api/batch_extract', to: '/api/universal_extraction#batch_extract'
+  post '/api/validate', to: '/api/universal_extraction#validate'
+  get '/api/opengraph', to: '/api/opengraph#show'
+  get '/health', to: '/health#show'
 end
@@ -144,6 +144,13 @@ module RichTextExtraction
       #
       attr_accessor :max_redirects
 
+      ##
+      # Whether GET /api/opengraph fetches caller-supplied URLs (off by default;
+      # only public addresses are fetched when it is on)
+      # @return [Boolean] OpenGraph endpoint enabled
+      #
+      attr_accessor :opengraph_endpoint_enabled
+
       ##
       # Allowed CORS origins for the API (string or array, '*' for all)
       attr_accessor :api_cors_origins
@@ -313,6 +320,7 @@ module RichTextExtraction
       #
       def api_config
         {
+          opengraph_endpoint_enabled: @opengraph_endpoint_enabled,
           api_cors_origins: @api_cors_origins,
           api_rate_limit: @api_rate_limit,
           api_cors_headers: @api_cors_headers,
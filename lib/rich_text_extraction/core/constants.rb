@@ -30,17 +30,24 @@ module RichTextExtraction
       # Attachment URL regex pattern
       ATTACHMENT_REGEX = %r{https?://[\w\-.?,'/\\+&%$#_=:()~]+\.(#{ATTACHMENT_EXTENSIONS.join('|')})}i
 
-      # Twitter handle regex pattern
-      TWITTER_REGEX = /@([A-Za-z0-9_]{1,15})/
-
       # Markdown link regex pattern
       MARKDOWN_LINK_REGEX = %r{\[([^\]]+)\]\((https?://[^)]+)\)}
 
-      # Hashtag regex pattern
-      HASHTAG_REGEX = /#(\w+)/
+      # Characters hashtags and mentions are made of: letters and combining marks
+      # of any script, decimal digits and connector punctuation such as _
+      TAG_CHARACTERS = '\p{L}\p{M}\p{Nd}\p{Pc}'
+
+      # Scripts written without spaces between words; # or @ right after them still starts a tag
+      UNSPACED_SCRIPTS = '\p{Han}\p{Hiragana}\p{Katakana}\p{Thai}'
+
+      # Hashtag regex pattern (not inside a word, a URL path or an HTML entity)
+      HASHTAG_REGEX = %r{(?<![#{TAG_CHARACTERS}&/](?<![#{UNSPACED_SCRIPTS}]))#([#{TAG_CHARACTERS}]+)}u
+
+      # Mention regex pattern (not inside a word, an email address or a URL path)
+      MENTION_REGEX = %r{(?<![#{TAG_CHARACTERS}/](?<![#{UNSPACED_SCRIPTS}]))@([#{TAG_CHARACTERS}]+)}u
 
-      # Mention regex pattern
-      MENTION_REGEX = /@(\w+)/
+      # Twitter handle regex pattern (same boundary as mentions)
+      TWITTER_REGEX = %r{(?<![#{TAG_CHARACTERS}/](?<![#{UNSPACED_SCRIPTS}]))@([A-Za-z0-9_]{1,15})}u
 
       # Default cache TTL in seconds (1 hour)
       DEFAULT_CACHE_TTL = 3600
@@ -69,7 +76,7 @@ module RichTextExtraction
         upca: 'is not a valid UPC-A barcode',
         uuid: 'is not a valid UUID',
         hex_color: 'is not a valid hex color',
-        ip: 'is not a valid IPv4 address',
+        ip: 'is not a valid IP address',
         mac_address: 'is not a valid MAC address',
         hashtag: 'is not a valid hashtag',
         mention: 'is not a valid mention',
@@ -219,9 +226,10 @@ module RichTextExtraction
           error_message: ERROR_MESSAGES[:hex_color]
         ),
         ip: thing_validator(
-          valid: ['192.168.1.1'],
-          invalid: ['999.999.999.999', 'abc'],
+          valid: ['192.168.1.1', '2001:db8::1', '::1', '::ffff:192.168.1.1'],
+          invalid: ['999.999.999.999', 'abc', '2001:db8::g1', '1:2:3:4:5:6:7:8:9', 'fe80::1%eth0'],
           regex: 'IP_REGEX',
+          validation_method: 'valid_ip?',
           error_message: ERROR_MESSAGES[:ip]
         ),
         mac_address: thing_validator(
@@ -231,7 +239,7 @@ module RichTextExtraction
           error_message: ERROR_MESSAGES[:mac_address]
         ),
         hashtag: build_validator_entry(
-          valid: %w[hashtag test123],
+          valid: %w[hashtag test123 café 日本語],
           invalid: ['#hashtag', 'test 123', ''],
           regex: 'HASHTAG_PATTERN',
           schema_type: 'Thing',
@@ -240,7 +248,7 @@ module RichTextExtraction
           error_message: ERROR_MESSAGES[:hashtag]
         ),
         mention: build_validator_entry(
-          valid: %w[mention user123],
+          valid: %w[mention user123 José иван],
           invalid: ['@mention', 'user name', ''],
           regex: 'MENTION_PATTERN',
           schema_type: 'Person',
@@ -157,11 +157,11 @@ module RichTextExtraction
       # IBAN (ISO 13616, 15-34 chars, simplified)
       IBAN_REGEX = /\A[A-Z]{2}\d{2}[A-Z0-9]{11,30}\z/u
 
-      # Hashtag (word characters)
-      HASHTAG_PATTERN = /\A\w+\z/u
+      # Hashtag (letters, marks, digits and connector punctuation of any script)
+      HASHTAG_PATTERN = /\A[#{TAG_CHARACTERS}]+\z/u
 
-      # Mention (word characters)
-      MENTION_PATTERN = /\A\w+\z/u
+      # Mention (same characters as hashtags)
+      MENTION_PATTERN = /\A[#{TAG_CHARACTERS}]+\z/u
 
       # Twitter handle (1-15 word characters)
       TWITTER_HANDLE_PATTERN = /\A\w{1,15}\z/u
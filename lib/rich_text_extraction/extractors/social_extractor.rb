@@ -53,11 +53,11 @@ module RichTextExtraction
       end
 
       def valid_hashtag?(tag)
-        valid_social_item?(tag)
+        RichTextExtraction::Extractors::Validators.valid_hashtag?(tag)
       end
 
       def valid_mention?(mention)
-        valid_social_item?(mention)
+        RichTextExtraction::Extractors::Validators.valid_mention?(mention)
       end
 
       private
@@ -77,11 +77,6 @@ module RichTextExtraction
         end
       end
 
-      def valid_social_item?(item)
-        return false unless item.is_a?(String)
-        !item.empty? && item.match?(/^[\w]+$/)
-      end
-
       def extract_context_for_item(text, _item, context_length, regex)
         match = text.match(regex)
         return text unless match
@@ -1,5 +1,7 @@
 # frozen_string_literal: true
 
+require 'resolv'
+
 # RichTextExtraction::Extractors::Validators provides validation logic and ActiveModel validators for all supported identifiers and patterns.
 # This module contains the core validation methods used by the validator classes.
 module RichTextExtraction
@@ -78,6 +80,33 @@ module RichTextExtraction
         end
       end
 
+      # IPv4 dotted quad (octets up to 255) or IPv6 address, without a zone index
+      # @param ip [String]
+      # @return [Boolean]
+      def self.valid_ip?(ip)
+        result = ip.is_a?(String) && (valid_ipv4?(ip) || valid_ipv6?(ip))
+        log_result('valid_ip?', ip, result)
+        result
+      end
+
+      # Hashtag without the leading # (HASHTAG_PATTERN: any script's letters, marks, digits and _)
+      # @param tag [String]
+      # @return [Boolean]
+      def self.valid_hashtag?(tag)
+        result = tag.is_a?(String) && tag.match?(RichTextExtraction::Extractors::ExtractionPatterns::HASHTAG_PATTERN)
+        log_result('valid_hashtag?', tag, result)
+        result
+      end
+
+      # Mention without the leading @ (MENTION_PATTERN)
+      # @param mention [String]
+      # @return [Boolean]
+      def self.valid_mention?(mention)
+        result = mention.is_a?(String) && mention.match?(RichTextExtraction::Extractors::ExtractionPatterns::MENTION_PATTERN)
+        log_result('valid_mention?', mention, result)
+        result
+      end
+
       def self.extract_digits(str, regex)
         str.gsub(regex, '').upcase
       end
@@ -92,6 +121,15 @@ module RichTextExtraction
         (sum % 10).zero?
       end
 
+      def self.valid_ipv4?(ip)
+        ip.match?(RichTextExtraction::Extractors::ExtractionPatterns::IP_REGEX) &&
+          ip.split('.').all? { |octet| octet.to_i <= 255 }
+      end
+
+      def self.valid_ipv6?(ip)
+        !ip.include?('%') && ip.match?(Resolv::IPv6::Regex)
+      end
+
       def self.valid_vin_core?(vin)
         map = ('A'..'Z').to_a.zip([1, 2, 3, 4, 5, 6, 7, 8, 9, 1, 2, 3, 4, 5, 6, 7, 8, 9, 2, 3, 4, 5, 6, 7]).to_h
         weights = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2]
@@ -6,7 +6,7 @@ module RichTextExtraction
   module Helpers
     module ValidatorHelpers
       # Validators that use method-based validation instead of regex
-      METHOD_BASED_VALIDATORS = %i[isbn vin issn iban luhn url].freeze
+      METHOD_BASED_VALIDATORS = %i[isbn vin issn iban luhn url ip].freeze
 
       # Check if a validator should be processed (has regex and is not method-based)
       def self.should_process_validator?(key, meta)
@@ -11,6 +11,7 @@ module RichTextExtraction
       class Engine < ::Rails::Engine
         isolate_namespace RichTextExtraction
         # Engine configuration
+        config.paths['config/routes.rb'] = ['lib/rich_text_extraction/config/routes.rb']
       end
     end
   end
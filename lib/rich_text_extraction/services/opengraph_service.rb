@@ -16,21 +16,36 @@ module RichTextExtraction
   class OpenGraphService
     include RichTextExtraction::Cache::CacheOperations
 
+    REDIRECT_CODES = [301, 302, 303, 307, 308].freeze
+
+    ##
+    # Connects to connection_adapter_options[:ipaddr] instead of resolving the
+    # host again; the Host header and TLS SNI still use the URL's hostname.
+    #
+    class PinnedConnection < HTTParty::ConnectionAdapter
+      def connection
+        http = super
+        http.ipaddr = options[:connection_adapter_options][:ipaddr]
+        http
+      end
+    end
+
     ##
     # Fetches and parses OpenGraph metadata from a URL, with optional caching.
     #
     # @param url [String] The URL to extract OpenGraph data from
     # @param cache [Hash, Symbol, nil] Optional cache object or :rails
     # @param cache_options [Hash] Options for cache (e.g., :expires_in, :key_prefix)
+    # @param public_only [Boolean] Refuse the URL, and any redirect, unless it resolves to a public address
     # @return [Hash] OpenGraph metadata or error information
     #
-    def extract(url, cache: nil, cache_options: {})
+    def extract(url, cache: nil, cache_options: {}, public_only: false)
       key_prefix = resolve_key_prefix(cache_options)
       cache_key = build_cache_key(url, key_prefix)
       cached = read_cache(cache_key, cache, cache_options)
       return cached if cached
 
-      og_data = fetch_data(url)
+      og_data = fetch_data(url, public_only: public_only)
       write_cache(cache_key, og_data, cache, cache_options)
       og_data
     rescue StandardError => e
@@ -52,8 +67,8 @@ module RichTextExtraction
 
     private
 
-    def fetch_data(url)
-      response = HTTParty.get(url)
+    def fetch_data(url, public_only: false)
+      response = public_only ? fetch_public(url) : HTTParty.get(url)
       return {} unless response.success?
 
       doc = Nokogiri::HTML(response.body)
@@ -65,5 +80,22 @@ module RichTextExtraction
       end
       og_data
     end
+
+    # Follows redirects by hand so every hop is checked with PublicUrl before it
+    # is requested, and connects to the checked address (see PinnedConnection)
+    def fetch_public(url)
+      max_redirects = RichTextExtraction.configuration.max_redirects || Core::Constants::DEFAULT_MAX_REDIRECTS
+      (max_redirects + 1).times do
+        address = PublicUrl.public_address(url)
+        raise ArgumentError, "#{url} does not resolve to a public address" unless address
+
+        response = HTTParty.get(url, follow_redirects: false, connection_adapter: PinnedConnection,
+                                     connection_adapter_options: { ipaddr: address })
+        return response unless REDIRECT_CODES.include?(response.code)
+
+        url = URI.join(url, response.headers['location'].to_s).to_s
+      end
+      raise ArgumentError, 'too many redirects'
+    end
   end
 end
@@ -0,0 +1,73 @@
+# frozen_string_literal: true
+
+require 'ipaddr'
+require 'resolv'
+require 'uri'
+
+module RichTextExtraction
+  ##
+  # PublicUrl decides whether a URL is safe to fetch from the server: it must be
+  # http(s) and every address its host resolves to must be publicly routable.
+  # Loopback, private, link-local, multicast and reserved ranges are refused so
+  # a caller-supplied URL can't reach internal hosts or cloud metadata services.
+  #
+  # @example
+  #   PublicUrl.public?('https://example.com/post')  # => true
+  #   PublicUrl.public?('http://169.254.169.254/')    # => false
+  #
+  module PublicUrl
+    BLOCKED_RANGES = %w[
+      0.0.0.0/8 10.0.0.0/8 100.64.0.0/10 127.0.0.0/8 169.254.0.0/16 172.16.0.0/12
+      192.0.0.0/24 192.0.2.0/24 192.88.99.0/24 192.168.0.0/16 198.18.0.0/15
+      198.51.100.0/24 203.0.113.0/24 224.0.0.0/4 240.0.0.0/4
+      ::/128 ::1/128 ::ffff:0:0/96 64:ff9b::/96 100::/64 2001::/23 2001:db8::/32
+      2002::/16 fc00::/7 fe80::/10 ff00::/8
+    ].map { |range| IPAddr.new(range) }.freeze
+
+    module_function
+
+    ##
+    # @param url [String] URL to check
+    # @return [Boolean] true when the URL is http(s) and resolves only to public addresses
+    #
+    def public?(url)
+      !public_address(url).nil?
+    end
+
+    ##
+    # Resolves the URL's host once; connect to the returned address rather than
+    # resolving again, or a rebinding DNS server can answer with a private one.
+    #
+    # @param url [String] URL to check
+    # @return [String, nil] An address the host resolves to, or nil unless the URL is public
+    #
+    def public_address(url)
+      uri = URI.parse(url.to_s)
+      return unless %w[http https].include?(uri.scheme.to_s.downcase) && !uri.hostname.to_s.empty?
+
+      addresses = resolve(uri.hostname)
+      addresses.first if !addresses.empty? && addresses.none? { |address| blocked?(address) }
+    rescue URI::InvalidURIError
+      nil
+    end
+
+    ##
+    # @param host [String] Hostname or IP literal
+    # @return [Array<String>] Addresses the host resolves to
+    #
+    def resolve(host)
+      Resolv.getaddresses(host)
+    end
+
+    ##
+    # @param address [String] IPv4 or IPv6 address
+    # @return [Boolean] true when the address is in a non-public range (or unparseable)
+    #
+    def blocked?(address)
+      ip = IPAddr.new(address).native
+      BLOCKED_RANGES.any? { |range| range.family == ip.family && range.include?(ip) }
+    rescue IPAddr::InvalidAddressError
+      true
+    end
+  end
+end
@@ -0,0 +1,117 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe 'OpenGraph API', type: :request do
+  before do
+    RichTextExtraction.configuration.opengraph_endpoint_enabled = true
+    allow(RichTextExtraction::PublicUrl).to receive(:resolve).and_call_original
+    allow(RichTextExtraction::PublicUrl).to receive(:resolve).with('example.com').and_return(['93.184.216.34'])
+  end
+
+  after { RichTextExtraction.configuration.opengraph_endpoint_enabled = nil }
+
+  def redirect_to_location(location)
+    instance_double(HTTParty::Response, code: 302, headers: { 'location' => location })
+  end
+
+  it 'returns the OpenGraphService metadata for the url' do
+    service = instance_double(RichTextExtraction::OpenGraphService)
+    allow(RichTextExtraction::OpenGraphService).to receive(:new).and_return(service)
+    allow(service).to receive(:extract).with('https://example.com/post', cache: :rails, public_only: true)
+                                       .and_return('title' => 'Post', 'image' => '/cover.png')
+
+    get '/api/opengraph', params: { url: 'https://example.com/post' }
+    expect(response.status).to eq(200)
+    expect(response.parsed_body).to eq('title' => 'Post', 'image' => '/cover.png')
+  end
+
+  it 'is not served unless opengraph_endpoint_enabled is set' do
+    RichTextExtraction.configuration.opengraph_endpoint_enabled = nil
+    expect(HTTParty).not_to receive(:get)
+
+    get '/api/opengraph', params: { url: 'https://example.com/post' }
+    expect(response.status).to eq(404)
+  end
+
+  it 'rejects urls that are not http(s)' do
+    get '/api/opengraph', params: { url: 'file:///etc/passwd' }
+    expect(response.status).to eq(400)
+    expect(response.parsed_body).to include('error')
+  end
+
+  [
+    'http://127.0.0.1/',
+    'http://[::1]/',
+    'http://10.0.0.5/',
+    'http://192.168.1.1/',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://[fe80::1]/',
+    'http://0.0.0.0/',
+    'http://[::ffff:127.0.0.1]/'
+  ].each do |url|
+    it "rejects #{url} without fetching it" do
+      expect(HTTParty).not_to receive(:get)
+
+      get '/api/opengraph', params: { url: url }
+      expect(response.status).to eq(400)
+    end
+  end
+
+  it 'rejects hostnames that resolve to a private address' do
+    allow(RichTextExtraction::PublicUrl).to receive(:resolve).with('intranet.example.com').and_return(['10.1.2.3'])
+    expect(HTTParty).not_to receive(:get)
+
+    get '/api/opengraph', params: { url: 'https://intranet.example.com/' }
+    expect(response.status).to eq(400)
+  end
+
+  it 'does not follow redirects to private addresses' do
+    allow(HTTParty).to receive(:get).with('https://example.com/go', hash_including(follow_redirects: false))
+                                    .and_return(redirect_to_location('http://169.254.169.254/latest/meta-data/'))
+
+    get '/api/opengraph', params: { url: 'https://example.com/go' }
+    expect(HTTParty).not_to have_received(:get).with('http://169.254.169.254/latest/meta-data/', anything)
+    expect(response.status).to eq(502)
+  end
+
+  it 'follows redirects between public addresses' do
+    page = instance_double(HTTParty::Response, code: 200, success?: true,
+                                               body: '<meta property="og:title" content="Moved">')
+    allow(HTTParty).to receive(:get).with('https://example.com/old', hash_including(follow_redirects: false))
+                                    .and_return(redirect_to_location('/new'))
+    allow(HTTParty).to receive(:get).with('https://example.com/new', hash_including(follow_redirects: false)).and_return(page)
+
+    get '/api/opengraph', params: { url: 'https://example.com/old' }
+    expect(response.status).to eq(200)
+    expect(response.parsed_body).to eq('title' => 'Moved')
+  end
+
+  it 'connects to the address it checked instead of resolving the host again' do
+    page = instance_double(HTTParty::Response, code: 200, success?: true, body: '')
+    allow(HTTParty).to receive(:get).and_return(page)
+
+    get '/api/opengraph', params: { url: 'https://example.com/post' }
+    expect(HTTParty).to have_received(:get).with(
+      'https://example.com/post',
+      hash_including(connection_adapter: RichTextExtraction::OpenGraphService::PinnedConnection,
+                     connection_adapter_options: { ipaddr: '93.184.216.34' })
+    )
+  end
+
+  it 'pins the connection without changing the Host header or SNI' do
+    http = RichTextExtraction::OpenGraphService::PinnedConnection.call(
+      URI('https://example.com/post'), connection_adapter_options: { ipaddr: '93.184.216.34' }
+    )
+    expect([http.address, http.ipaddr, http.use_ssl?]).to eq(['example.com', '93.184.216.34', true])
+  end
+
+  it 'returns a generic error instead of the fetch failure' do
+    allow(HTTParty).to receive(:get).and_raise(SocketError, 'getaddrinfo: db.internal.example not known')
+
+    get '/api/opengraph', params: { url: 'https://example.com/post' }
+    expect(response.status).to eq(502)
+    expect(response.parsed_body).to eq('error' => Api::OpengraphController::FETCH_FAILED)
+    expect(response.body).not_to include('db.internal')
+  end
+end
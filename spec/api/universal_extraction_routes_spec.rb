@@ -0,0 +1,34 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+# The engine's own routes (lib/rich_text_extraction/config/routes.rb). The
+# dummy app mounts the engine the way a host app does, so the request specs
+# (e.g. opengraph_api_spec.rb) go through the mount.
+RSpec.describe 'Extraction API routes', type: :routing do
+  routes { RichTextExtraction::Rails::Engine.routes }
+
+  it 'routes POST /api/extract' do
+    expect(post: '/api/extract').to route_to('api/universal_extraction#extract')
+  end
+
+  it 'routes POST /api/batch_extract, which ApiClient#batchExtract calls' do
+    expect(post: '/api/batch_extract').to route_to('api/universal_extraction#batch_extract')
+  end
+
+  it 'routes POST /api/validate' do
+    expect(post: '/api/validate').to route_to('api/universal_extraction#validate')
+  end
+
+  it 'routes GET /api/opengraph, the default opengraphUrl of linkPreview' do
+    expect(get: '/api/opengraph').to route_to('api/opengraph#show')
+  end
+
+  it 'routes GET /health for the client auto mode' do
+    expect(get: '/health').to route_to('health#show')
+  end
+
+  it 'keeps the validator routes in the engine namespace' do
+    expect(get: '/validators/isbn').to route_to('rich_text_extraction/validators#show', id: 'isbn')
+  end
+end
@@ -35,8 +35,8 @@ RSpec.describe 'Validators API', type: :request do
       parameter name: :fields, in: :query, type: :string,
                 description: 'Comma-separated list of fields to include in the response (e.g., "symbol,description,regex")', example: 'symbol,description,regex'
       produces 'application/json'
-      response '200', 'validators listed' do
-        schema type: :array, items: {
+      response '200', 'validators listed, keyed by symbol' do
+        schema type: :object, additionalProperties: {
           type: :object,
           properties: VALIDATOR_PROPERTIES
         }
@@ -110,9 +110,14 @@ RSpec.describe 'Validators API', type: :request do
       produces 'application/json'
       response '200', 'examples returned' do
         schema type: :object, properties: {
-          valid: { type: :array, items: { type: :string } },
-          invalid: { type: :array, items: { type: :string } }
-        }
+          examples: {
+            type: :object,
+            properties: {
+              valid: { type: :array, items: { type: :string } },
+              invalid: { type: :array, items: { type: :string } }
+            }
+          }
+        }, required: ['examples']
         let(:id) { 'isbn' }
         let(:Authorization) { 'Bearer testtoken' }
         run_test!
@@ -186,10 +191,10 @@ RSpec.describe 'Validators API', type: :request do
         required: ['values']
       }
       response '200', 'batch validation result' do
-        schema type: :array, items: {
-          type: :object,
-          properties: BATCH_VALIDATION_ITEM_PROPERTIES
-        }
+        schema type: :object, properties: {
+          results: { type: :array, items: { type: :object, properties: BATCH_VALIDATION_ITEM_PROPERTIES } },
+          metadata: { type: :object, properties: VALIDATOR_PROPERTIES }
+        }, required: %w[results metadata]
         let(:id) { 'isbn' }
         let(:Authorization) { 'Bearer testtoken' }
         let(:body) { { values: ['978-3-16-148410-0', '123'] } }
@@ -0,0 +1,89 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+# Response shapes of the validator actions the JS client (client.validators and
+# client.api) relies on; the envelopes (a hash keyed by symbol, { examples: },
+# { results:, metadata: }) are part of the public API.
+RSpec.describe 'Validators API responses', type: :request do
+  before { Rails.cache.clear }
+
+  describe 'GET /validators' do
+    it 'returns the validator entries keyed by symbol' do
+      get '/validators'
+      expect(response.status).to eq(200)
+      expect(response.parsed_body).to be_a(Hash)
+      expect(response.parsed_body['isbn']).to include('symbol' => 'isbn', 'schema_type' => 'Book')
+    end
+
+    it 'limits each entry to ?fields=' do
+      get '/validators', params: { fields: 'symbol, regex' }
+      expect(response.parsed_body.values).to all(satisfy { |entry| (entry.keys - %w[symbol regex]).empty? })
+      expect(response.parsed_body['isbn']).to include('symbol' => 'isbn')
+    end
+  end
+
+  describe 'GET /validators/fields' do
+    it 'lists the validator symbols' do
+      get '/validators/fields'
+      expect(response.status).to eq(200)
+      expect(response.parsed_body['fields']).to include('isbn', 'url')
+    end
+  end
+
+  describe 'GET /validators/:id/examples' do
+    it 'returns the valid and invalid examples under examples' do
+      get '/validators/isbn/examples'
+      expect(response.parsed_body).to eq(
+        'examples' => {
+          'valid' => ['978-3-16-148410-0', '0-306-40615-2'],
+          'invalid' => ['978-3-16-148410-1', '123']
+        }
+      )
+    end
+
+    it 'returns 404 for an unknown validator' do
+      get '/validators/nope/examples'
+      expect(response.status).to eq(404)
+    end
+  end
+
+  describe 'GET /validators/:id/jsonld' do
+    it 'returns schema.org JSON-LD for the value' do
+      get '/validators/isbn/jsonld', params: { value: '978-3-16-148410-0' }
+      expect(response.status).to eq(200)
+      expect(response.parsed_body).to eq(
+        '@context' => 'https://schema.org', '@type' => 'Book', 'isbn' => '978-3-16-148410-0'
+      )
+    end
+
+    it 'returns 422 without a value' do
+      get '/validators/isbn/jsonld'
+      expect(response.status).to eq(422)
+      expect(response.parsed_body).to include('error')
+    end
+
+    it 'returns 404 for an unknown validator' do
+      get '/validators/nope/jsonld', params: { value: 'x' }
+      expect(response.status).to eq(404)
+    end
+  end
+
+  describe 'POST /validators/:id/batch_validate' do
+    it 'returns one { value, valid, errors } result per value, in order, with the metadata' do
+      post '/validators/isbn/batch_validate', params: { values: ['978-3-16-148410-0', '123'] }, as: :json
+      expect(response.status).to eq(200)
+      results = response.parsed_body['results']
+      expect(results.map { |item| item.slice('value', 'valid') }).to eq(
+        [{ 'value' => '978-3-16-148410-0', 'valid' => true }, { 'value' => '123', 'valid' => false }]
+      )
+      expect(results).to all(include('errors' => an_instance_of(Array)))
+      expect(response.parsed_body['metadata']).to include('symbol' => 'isbn', 'schema_type' => 'Book')
+    end
+
+    it 'returns 404 for an unknown validator' do
+      post '/validators/nope/batch_validate', params: { values: ['x'] }, as: :json
+      expect(response.status).to eq(404)
+    end
+  end
+end
@@ -0,0 +1,41 @@
+# frozen_string_literal: true
+
+##
+# Checks the shared conformance fixtures against ExtractionPatterns and
+# VortexEngine.
+#
+# The same fixtures are checked against the client's processTextLocally by
+# bin/check_conformance_fixtures.js, which reports where the two disagree.
+
+require 'spec_helper'
+require 'json'
+
+RSpec.describe RichTextExtraction::Extractors::ExtractionPatterns do
+  fixtures = JSON.parse(File.read(File.expand_path('../fixtures/extraction_conformance.json', __dir__)))
+  let(:patterns) { Object.new.extend(described_class) }
+  let(:engine) { RichTextExtraction::Core::VortexEngine }
+
+  fixtures.each do |fixture|
+    describe fixture['name'] do
+      let(:text) { fixture['text'] }
+
+      fixture['entities'].each do |category, expected|
+        it "extracts #{category} as stored in the fixture" do
+          actual = JSON.parse(JSON.generate(patterns.public_send("extract_#{category}", text)))
+          expect(actual).to eq(expected)
+        end
+      end
+
+      it 'computes the vortex metrics stored in the fixture' do
+        vortex_metrics = engine.extract_all(text)[:vortex_metrics]
+        metrics = fixture['metrics']
+
+        expect(text.length).to eq(metrics['length'])
+        expect(vortex_metrics[:total_energy]).to be_within(1e-9).of(metrics['vortex_energy'])
+        expect(vortex_metrics[:flow_efficiency]).to be_within(1e-9).of(metrics['flow_efficiency'])
+        expect(vortex_metrics[:sacred_balance]).to be_within(1e-9).of(metrics['sacred_balance'])
+        expect(engine.send(:calculate_base_sacred_geometry, text)[:fibonacci_index]).to eq(metrics['fibonacci_index'])
+      end
+    end
+  end
+end
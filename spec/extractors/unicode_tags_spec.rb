@@ -0,0 +1,82 @@
+# frozen_string_literal: true
+
+##
+# Unicode-aware hashtags and mentions: HASHTAG_REGEX / MENTION_REGEX for
+# scanning, HASHTAG_PATTERN / MENTION_PATTERN and Validators.valid_hashtag? /
+# valid_mention? for single values.
+
+require 'spec_helper'
+
+RSpec.describe RichTextExtraction::Extractors::ExtractionPatterns do
+  let(:patterns) { Object.new.extend(described_class) }
+  let(:validators) { RichTextExtraction::Extractors::Validators }
+
+  def hashtags(text) = text.scan(described_class::HASHTAG_REGEX).flatten
+  def mentions(text) = text.scan(described_class::MENTION_REGEX).flatten
+
+  describe 'HASHTAG_REGEX and MENTION_REGEX' do
+    it 'keep accented letters in tags' do
+      expect(hashtags('Coffee at the café #café')).to eq(['café'])
+      expect(mentions('Thanks @José')).to eq(['José'])
+    end
+
+    it 'start a tag right after CJK text, which has no spaces' do
+      expect(hashtags('日本語#タグ')).to eq(['タグ'])
+      expect(mentions('日本語@タグ')).to eq(['タグ'])
+    end
+
+    it 'do not treat an email address as a mention' do
+      expect(mentions('a@b.com')).to be_empty
+      expect(hashtags('a@b.com')).to be_empty
+    end
+
+    it 'do not treat a path fragment as a hashtag' do
+      expect(hashtags('/path#frag')).to be_empty
+      expect(hashtags('see https://example.com/guide#install')).to be_empty
+    end
+
+    it 'do not treat an HTML entity as a hashtag' do
+      expect(hashtags('it&#39;s')).to be_empty
+    end
+  end
+
+  describe '#extract_hashtags and #extract_mentions' do
+    it 'return the Unicode tags without their prefix' do
+      text = 'Hi @José, see #café and 日本語#タグ; mail a@b.com or open /path#frag, it&#39;s fine'
+
+      expect(patterns.extract_hashtags(text)).to eq(%w[café タグ])
+      expect(patterns.extract_mentions(text)).to eq(['José'])
+    end
+  end
+
+  describe 'HASHTAG_PATTERN and MENTION_PATTERN' do
+    it 'accept tags in any script, precomposed or with combining marks' do
+      %w[café タグ 日本語 José иван].each do |tag|
+        expect(tag).to match(described_class::HASHTAG_PATTERN)
+        expect(tag).to match(described_class::MENTION_PATTERN)
+      end
+      expect("cafe\u0301").to match(described_class::HASHTAG_PATTERN)
+    end
+
+    it 'reject prefixes, punctuation and spaces' do
+      ['#café', '@José', 'a@b.com', 'path#frag', '&#39;', 'two words', ''].each do |value|
+        expect(value).not_to match(described_class::HASHTAG_PATTERN)
+        expect(value).not_to match(described_class::MENTION_PATTERN)
+      end
+    end
+  end
+
+  describe 'Validators.valid_hashtag? and valid_mention?' do
+    it 'accept Unicode tags' do
+      %w[café タグ 日本語].each { |tag| expect(validators.valid_hashtag?(tag)).to be(true) }
+      %w[José иван].each { |mention| expect(validators.valid_mention?(mention)).to be(true) }
+    end
+
+    it 'reject emails, fragments, entities and non-strings' do
+      ['a@b.com', '/path#frag', '&#39;', '#café', '', nil].each do |value|
+        expect(validators.valid_hashtag?(value)).to be(false)
+        expect(validators.valid_mention?(value)).to be(false)
+      end
+    end
+  end
+end
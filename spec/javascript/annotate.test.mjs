@@ -0,0 +1,107 @@
+// annotate(): escaping, safe hrefs, overlap resolution and the DOM fragment output
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeHtml, isSafeHref, annotateSegments, renderAnnotatedHtml, renderAnnotatedFragment } from '../../app/javascript/rich_text_extraction/annotate.js';
+import { RichTextExtractionClient } from '../../app/javascript/rich_text_extraction/universal_client.js';
+
+const entity = (type, text, value, extra = {}) => {
+  const start = text.indexOf(value);
+  return { type, value, normalized: value, start, end: start + value.length, ...extra };
+};
+
+// Records what renderAnnotatedFragment builds; never parses markup
+function fakeDocument() {
+  const node = fields => ({ children: [], attributes: {}, ...fields });
+  return {
+    createDocumentFragment: () => node({ appendChild(child) { this.children.push(child); } }),
+    createTextNode: text => node({ text }),
+    createElement: tag => node({ tag, setAttribute(name, value) { this.attributes[name] = value; } })
+  };
+}
+
+test('escapeHtml escapes the five HTML special characters', () => {
+  assert.equal(escapeHtml(`<a href="x">Tom & Jerry's</a>`), '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;');
+  assert.equal(escapeHtml(42), '42');
+});
+
+test('isSafeHref allows relative URLs and http(s), mailto and tel only', () => {
+  ['/users/alice', '#top', '?q=1', 'https://example.com', 'HTTP://example.com', 'mailto:bob@example.com', 'tel:+15551234567'].forEach(href => {
+    assert.equal(isSafeHref(href), true, href);
+  });
+  ['javascript:alert(1)', 'JavaScript:alert(1)', 'data:text/html,<script>', 'vbscript:msgbox', 'java\tscript:alert(1)', ' javascript:alert(1)', 'jav\u0000ascript:alert(1)', 'file:///etc/passwd'].forEach(href => {
+    assert.equal(isSafeHref(href), false, JSON.stringify(href));
+  });
+});
+
+test('text around and inside entities is escaped', () => {
+  const text = '<script>&</script> #a<b';
+  const html = renderAnnotatedHtml(text, [entity('hashtag', text, '#a<b', { normalized: 'a<b' })]);
+  assert.equal(html, '&lt;script&gt;&amp;&lt;/script&gt; <span data-entity-type="hashtag" data-entity-value="a&lt;b">#a&lt;b</span>');
+});
+
+test('attribute values are escaped, including quotes in hrefs', () => {
+  const text = 'see https://example.com/?q="x"&y=1';
+  const html = renderAnnotatedHtml(text, [entity('link', text, 'https://example.com/?q="x"&y=1')]);
+  assert.match(html, / href="https:\/\/example\.com\/\?q=&quot;x&quot;&amp;y=1"/);
+  assert.doesNotMatch(html, /"x"/);
+});
+
+test('unsafe hrefs render as spans', () => {
+  const text = 'go javascript:alert(1) now';
+  const [, link] = annotateSegments(text, [entity('link', text, 'javascript:alert(1)')]);
+  assert.equal(link.href, null);
+  assert.equal(link.attributes.href, undefined);
+  assert.equal(renderAnnotatedHtml(text, [entity('link', text, 'javascript:alert(1)')]), 'go <span data-entity-type="link" data-entity-value="javascript:alert(1)">javascript:alert(1)</span> now');
+});
+
+test('unsafe hrefs from templates are dropped too', () => {
+  const text = 'hi @alice';
+  const mention = entity('mention', text, '@alice', { normalized: 'alice' });
+  assert.doesNotMatch(renderAnnotatedHtml(text, [mention], { templates: { mention: () => 'javascript:alert(1)' } }), /href/);
+  assert.match(renderAnnotatedHtml(text, [mention], { templates: { mention: '/users/{value}' } }), /href="\/users\/alice"/);
+});
+
+test('template values are URL-encoded', () => {
+  const text = 'tag #a&b';
+  const html = renderAnnotatedHtml(text, [entity('hashtag', text, '#a&b', { normalized: 'a&b' })], { templates: { hashtag: '/tags/{value}' } });
+  assert.match(html, /href="\/tags\/a%26b"/);
+});
+
+test('overlapping entities resolve to the longest match', () => {
+  const text = 'mail bob@example.com';
+  const segments = annotateSegments(text, [
+    entity('mention', text, '@example', { normalized: 'example' }),
+    entity('email', text, 'bob@example.com')
+  ]);
+  assert.deepEqual(segments.map(segment => [segment.text, segment.entity?.type]), [['mail ', undefined], ['bob@example.com', 'email']]);
+});
+
+test('mailto: and tel: links get no rel or target', () => {
+  const text = 'bob@example.com https://example.com';
+  const html = renderAnnotatedHtml(text, [entity('email', text, 'bob@example.com'), entity('link', text, 'https://example.com')], { target: '_blank' });
+  assert.match(html, /href="mailto:bob@example.com">/);
+  assert.match(html, /href="https:\/\/example.com" rel="noopener nofollow" target="_blank">/);
+});
+
+test('allowlists limit which entities are wrapped', () => {
+  const text = 'https://example.com https://evil.test';
+  const entities = [entity('link', text, 'https://example.com'), entity('link', text, 'https://evil.test')];
+  const segments = annotateSegments(text, entities, { allow: { link: ['example.com'] } });
+  assert.deepEqual(segments.filter(segment => segment.entity).map(segment => segment.text), ['https://example.com']);
+});
+
+test('the fragment output sets text and attributes without parsing markup', () => {
+  const text = '<b> #ruby';
+  const fragment = renderAnnotatedFragment(text, [entity('hashtag', text, '#ruby', { normalized: 'ruby' })], { document: fakeDocument() });
+  assert.deepEqual(fragment.children.map(child => child.text ?? child.textContent), ['<b> ', '#ruby']);
+  assert.equal(fragment.children[1].tag, 'span');
+  assert.deepEqual(fragment.children[1].attributes, { 'data-entity-type': 'hashtag', 'data-entity-value': 'ruby' });
+
+  assert.throws(() => renderAnnotatedFragment(text, []), /A document is required/);
+});
+
+test('client.annotate extracts and wraps entities', () => {
+  const client = new RichTextExtractionClient('/api', { mode: 'local' });
+  const html = client.annotate('Ping @alice about #ruby <b>', { templates: { mention: '/users/{value}' } });
+  assert.equal(html, 'Ping <a data-entity-type="mention" data-entity-value="alice" href="/users/alice" rel="noopener nofollow">@alice</a> about <span data-entity-type="hashtag" data-entity-value="ruby">#ruby</span> &lt;b&gt;');
+});
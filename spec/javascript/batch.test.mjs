@@ -0,0 +1,115 @@
+// runChunked concurrency and ordering, and chunked batch extraction on top of it
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_BATCH_OPTIONS, runChunked, splitIntoChunks } from '../../app/javascript/rich_text_extraction/batch.js';
+import { createFakeBackend } from '../../app/javascript/rich_text_extraction/fake_backend.js';
+import { RichTextExtractionClient } from '../../app/javascript/rich_text_extraction/universal_client.js';
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function collect(iterable) {
+  const values = [];
+  for await (const value of iterable) values.push(value);
+  return values;
+}
+
+test('splitIntoChunks keeps offsets and falls back to the default size', () => {
+  assert.deepEqual(splitIntoChunks([1, 2, 3, 4, 5], 2), [
+    { offset: 0, items: [1, 2] },
+    { offset: 2, items: [3, 4] },
+    { offset: 4, items: [5] }
+  ]);
+  assert.equal(splitIntoChunks(new Array(250).fill(0), 0).length, 3);
+  assert.deepEqual(splitIntoChunks([], 10), []);
+});
+
+test('runChunked never runs more chunks than the concurrency limit', async () => {
+  let active = 0;
+  let peak = 0;
+  const worker = async ({ offset, items }) => {
+    active += 1;
+    peak = Math.max(peak, active);
+    await delay(5);
+    active -= 1;
+    return items.map((item, i) => ({ index: offset + i, result: item }));
+  };
+
+  const outcomes = await collect(runChunked([...Array(20).keys()], worker, { chunkSize: 2, concurrency: 3 }));
+  assert.equal(outcomes.length, 20);
+  assert.equal(peak, 3);
+});
+
+test('runChunked yields chunks as they settle, keeping the order inside each chunk', async () => {
+  const durations = [30, 5, 15];
+  const worker = async ({ offset, items }) => {
+    await delay(durations[offset / 2]);
+    return items.map((item, i) => ({ index: offset + i, result: item }));
+  };
+
+  const outcomes = await collect(runChunked(['a', 'b', 'c', 'd', 'e', 'f'], worker, { chunkSize: 2, concurrency: 3 }));
+  assert.deepEqual(outcomes.map(outcome => outcome.index), [2, 3, 4, 5, 0, 1]);
+  assert.deepEqual(outcomes.map(outcome => outcome.result), ['c', 'd', 'e', 'f', 'a', 'b']);
+});
+
+test('runChunked starts the next chunk as soon as one settles', async () => {
+  const started = [];
+  const worker = async ({ offset, items }) => {
+    started.push(offset);
+    await delay(offset === 0 ? 40 : 5);
+    return items.map((item, i) => ({ index: offset + i, result: item }));
+  };
+
+  const outcomes = await collect(runChunked([1, 2, 3, 4], worker, { chunkSize: 1, concurrency: 2 }));
+  assert.deepEqual(started, [0, 1, 2, 3]);
+  assert.deepEqual(outcomes.map(outcome => outcome.index), [1, 2, 3, 0]);
+});
+
+test('runChunked reports progress after each chunk', async () => {
+  const progress = [];
+  const worker = async ({ offset, items }) => items.map((item, i) => (item < 0 ? { index: offset + i, error: new Error('negative') } : { index: offset + i, result: item }));
+
+  await collect(runChunked([1, -1, 2], worker, { chunkSize: 2, concurrency: 1, onProgress: update => progress.push(update) }));
+  assert.deepEqual(progress, [
+    { total: 3, completed: 1, failed: 1, chunksTotal: 2, chunksCompleted: 1 },
+    { total: 3, completed: 2, failed: 1, chunksTotal: 2, chunksCompleted: 2 }
+  ]);
+});
+
+test('batchExtractChunked returns results in input order and failures by index', async () => {
+  const backend = createFakeBackend();
+  const client = new RichTextExtractionClient('/api', { fetch: backend.fetch, cache: false, retries: 0 });
+  backend.fail(request => request.path === '/api/batch_extract' && request.body.texts.includes('#two'), { status: 503 });
+
+  const texts = ['#one', '#two', '#three', '#four', '#five'];
+  const report = await client.batchExtractChunked(texts, {}, { chunkSize: 2, concurrency: 2 });
+
+  assert.deepEqual([report.total, report.succeeded, report.failed], [5, 3, 2]);
+  assert.deepEqual(report.failures.map(failure => [failure.index, failure.text, failure.error.status]), [[0, '#one', 503], [1, '#two', 503]]);
+  assert.deepEqual(report.results.slice(0, 2), [null, null]);
+  assert.deepEqual(report.results.slice(2).map(result => result.data.hashtags), [['#three'], ['#four'], ['#five']]);
+  assert.equal(backend.requests.length, 3);
+});
+
+test('streamBatchExtract runs DEFAULT_BATCH_OPTIONS.concurrency chunks at once when no options are given', async () => {
+  const backend = createFakeBackend();
+  let active = 0;
+  let peak = 0;
+  const fetch = async (url, init) => {
+    active += 1;
+    peak = Math.max(peak, active);
+    await delay(5);
+    active -= 1;
+    return backend.fetch(url, init);
+  };
+  const client = new RichTextExtractionClient('/api', { fetch, cache: false, retries: 0 });
+  const texts = Array.from({ length: DEFAULT_BATCH_OPTIONS.chunkSize * 6 }, (_, i) => `#tag${i}`);
+
+  const outcomes = await collect(client.streamBatchExtract(texts));
+  assert.equal(outcomes.length, texts.length);
+  assert.equal(peak, DEFAULT_BATCH_OPTIONS.concurrency);
+
+  peak = 0;
+  const report = await client.batchExtractChunked(texts);
+  assert.equal(report.succeeded, texts.length);
+  assert.equal(peak, 4);
+});
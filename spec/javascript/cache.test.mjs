@@ -0,0 +1,192 @@
+// ResultCache LRU eviction and TTL, the IndexedDB store, and in-flight sharing
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ResultCache, IndexedDBCacheStore, stableStringify } from '../../app/javascript/rich_text_extraction/cache.js';
+import { createFakeBackend } from '../../app/javascript/rich_text_extraction/fake_backend.js';
+import { RichTextExtractionClient } from '../../app/javascript/rich_text_extraction/universal_client.js';
+
+let now = 0;
+mock.method(Date, 'now', () => now);
+
+afterEach(() => {
+  now = 0;
+  delete globalThis.indexedDB;
+});
+
+// Just enough of the IndexedDB API for IndexedDBCacheStore: requests settle in
+// microtasks and transactions complete on the next macrotask, as in browsers
+function fakeIndexedDB() {
+  const records = new Map();
+  const settle = (request, result) => {
+    request.result = result;
+    queueMicrotask(() => request.onsuccess?.({ target: request }));
+    return request;
+  };
+
+  const objectStore = {
+    get: key => settle({}, records.get(key)),
+    put: record => settle({}, records.set(record.key, structuredClone(record)) && record.key),
+    delete: key => settle({}, records.delete(key) && undefined),
+    clear: () => settle({}, records.clear()),
+    count: () => settle({}, records.size),
+    index: () => ({
+      openCursor() {
+        const ordered = [...records.values()].sort((a, b) => a.lastAccess - b.lastAccess);
+        const request = {};
+        const advance = position => settle(request, position < ordered.length ? {
+          value: ordered[position],
+          delete: () => records.delete(ordered[position].key),
+          continue: () => advance(position + 1)
+        } : null);
+        return advance(0);
+      }
+    })
+  };
+
+  const db = {
+    transaction() {
+      const tx = { objectStore: () => objectStore };
+      setTimeout(() => tx.oncomplete?.());
+      return tx;
+    }
+  };
+
+  return {
+    records,
+    open() {
+      const request = { result: { ...db, createObjectStore: () => ({ createIndex() {} }) } };
+      setTimeout(() => {
+        request.onupgradeneeded?.();
+        request.result = db;
+        request.onsuccess?.();
+      });
+      return request;
+    }
+  };
+}
+
+test('the memory store evicts the least recently used entry', async () => {
+  const cache = new ResultCache({ maxEntries: 2 });
+  await cache.set('a', 1);
+  await cache.set('b', 2);
+  assert.equal(await cache.get('a'), 1);
+  await cache.set('c', 3);
+
+  assert.equal(await cache.get('b'), undefined);
+  assert.equal(await cache.get('a'), 1);
+  assert.equal(await cache.get('c'), 3);
+  assert.equal((await cache.getStats()).size, 2);
+});
+
+test('entries expire after the TTL but stay readable with allowStale', async () => {
+  const cache = new ResultCache({ ttl: 1000 });
+  await cache.set('key', 'value');
+
+  now = 1000;
+  assert.equal(await cache.get('key'), 'value');
+
+  now = 1001;
+  assert.equal(await cache.get('key'), undefined);
+  assert.equal(await cache.get('key', { allowStale: true }), 'value');
+
+  const stats = await cache.getStats();
+  assert.deepEqual([stats.hits, stats.misses, stats.staleHits], [1, 1, 1]);
+});
+
+test('a TTL of 0 never expires', async () => {
+  const cache = new ResultCache({ ttl: 0 });
+  await cache.set('key', 'value');
+  now = Number.MAX_SAFE_INTEGER;
+  assert.equal(await cache.get('key'), 'value');
+});
+
+test('invalidate drops one entry, or all of them without a key', async () => {
+  const cache = new ResultCache();
+  await cache.set('a', 1);
+  await cache.set('b', 2);
+
+  await cache.invalidate('a');
+  assert.equal(await cache.get('a'), undefined);
+  assert.equal(await cache.get('b'), 2);
+
+  await cache.invalidate();
+  assert.equal((await cache.getStats()).size, 0);
+});
+
+test('store: "indexeddb" keeps entries in IndexedDB and evicts by last access', async () => {
+  const idb = fakeIndexedDB();
+  globalThis.indexedDB = idb;
+  const cache = new ResultCache({ store: 'indexeddb', maxEntries: 2, ttl: 1000 });
+  assert.ok(cache.store instanceof IndexedDBCacheStore);
+
+  now = 1;
+  await cache.set('a', { hashtags: ['one'] });
+  now = 2;
+  await cache.set('b', { hashtags: ['two'] });
+  now = 3;
+  assert.deepEqual(await cache.get('a'), { hashtags: ['one'] });
+  now = 4;
+  await cache.set('c', { hashtags: ['three'] });
+
+  assert.deepEqual([...idb.records.keys()].sort(), ['a', 'c']);
+  assert.equal(await cache.get('b'), undefined);
+
+  now = 2000;
+  assert.equal(await cache.get('c'), undefined);
+  assert.deepEqual(await cache.get('c', { allowStale: true }), { hashtags: ['three'] });
+
+  await cache.invalidate();
+  assert.equal(idb.records.size, 0);
+});
+
+test('store: "indexeddb" falls back to memory where IndexedDB is unavailable', async () => {
+  const cache = new ResultCache({ store: 'indexeddb' });
+  assert.equal(cache.store instanceof IndexedDBCacheStore, false);
+  await cache.set('key', 'value');
+  assert.equal(await cache.get('key'), 'value');
+});
+
+test('a custom store object is used as is', async () => {
+  const entries = new Map();
+  const store = {
+    get: async key => entries.get(key),
+    set: async (key, entry) => entries.set(key, entry),
+    delete: async key => entries.delete(key),
+    clear: async () => entries.clear(),
+    size: async () => entries.size
+  };
+  const cache = new ResultCache({ store });
+  await cache.set('key', 'value');
+  assert.deepEqual(entries.get('key'), { value: 'value', storedAt: 0 });
+});
+
+test('stableStringify ignores key order', () => {
+  assert.equal(stableStringify({ b: 1, a: [{ d: 2, c: undefined }] }), stableStringify({ a: [{ c: null, d: 2 }], b: 1 }));
+});
+
+test('identical concurrent extractions share one request, then the cache answers', async () => {
+  const backend = createFakeBackend({ latency: 20 });
+  const client = new RichTextExtractionClient('/api', { fetch: backend.fetch, cache: true, retries: 0 });
+
+  const [first, second] = await Promise.all([client.extractText('#ruby'), client.extractText('#ruby')]);
+  assert.deepEqual(first, second);
+  assert.equal(backend.requests.length, 1);
+
+  await client.extractText('#ruby');
+  assert.equal(backend.requests.length, 1);
+
+  const stats = await client.cacheStats();
+  assert.deepEqual([stats.deduped, stats.inflight, stats.hits, stats.writes], [1, 0, 1, 1]);
+});
+
+test('dedupe: false and per-call signals send their own requests', async () => {
+  const backend = createFakeBackend();
+  const client = new RichTextExtractionClient('/api', { fetch: backend.fetch, cache: false, retries: 0, dedupe: false });
+  await Promise.all([client.extractText('#ruby'), client.extractText('#ruby')]);
+  assert.equal(backend.requests.length, 2);
+
+  const shared = new RichTextExtractionClient('/api', { fetch: backend.fetch, cache: false, retries: 0 });
+  const signal = new AbortController().signal;
+  await Promise.all([shared.extractText('#ruby', {}, { signal }), shared.extractText('#ruby', {}, { signal })]);
+  assert.equal(backend.requests.length, 4);
+});
@@ -0,0 +1,36 @@
+// Trigger detection of the entity-autocomplete controller (tagAtCaret), which
+// follows the hashtags and mentions extractors
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tagAtCaret, findEntities, EXTRACTION_PATTERNS } from '../../app/javascript/rich_text_extraction/extraction_patterns.js';
+
+const atEnd = text => tagAtCaret(text, text.length);
+
+test('finds the mention or hashtag being typed at the caret', () => {
+  assert.deepEqual(atEnd('Hi @jo'), { char: '@', query: 'jo', start: 3, end: 6 });
+  assert.deepEqual(atEnd('#'), { char: '#', query: '', start: 0, end: 1 });
+  assert.deepEqual(tagAtCaret('Hi @jo there', 6), { char: '@', query: 'jo', start: 3, end: 6 });
+  assert.equal(tagAtCaret('Hi @jo there', 9), null);
+});
+
+test('accepts the same Unicode tag characters as the extractors', () => {
+  assert.equal(atEnd('¡Hola @José').query, 'José');
+  assert.equal(atEnd('Probando #日本語').query, '日本語');
+  assert.equal(atEnd('#Москва').query, 'Москва');
+  assert.equal(atEnd('東京@太郎').query, '太郎');
+});
+
+test('ignores @ and # inside emails, words, entities and URLs', () => {
+  ['mail ana@exa', 'C#', '&#39', 'https://example.com/#top', 'https://social.example/@ana'].forEach(text => {
+    assert.equal(atEnd(text), null, text);
+  });
+});
+
+test('agrees with the extractors on complete tags', () => {
+  const extractors = { hashtags: EXTRACTION_PATTERNS.hashtags, mentions: EXTRACTION_PATTERNS.mentions };
+  ['see @José', 'Probando #café', 'ana@example', 'x#y', 'https://example.com/#top', '東京@太郎'].forEach(text => {
+    const [entity] = findEntities(text, extractors);
+    const trigger = atEnd(text);
+    assert.deepEqual(trigger && { start: trigger.start, end: trigger.end }, entity ? { start: entity.start, end: entity.end } : null, text);
+  });
+});
@@ -0,0 +1,155 @@
+// The entity-autocomplete controller in a jsdom page: keyboard navigation,
+// suggestion normalization, validator rejection and completing the trigger
+// that is at the caret when Enter is pressed
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+const dom = new JSDOM('<!doctype html><html><body></body></html>', { url: 'http://localhost/' });
+['window', 'document', 'Event', 'CustomEvent', 'KeyboardEvent', 'MutationObserver', 'Element', 'Node', 'HTMLElement'].forEach(name => {
+  globalThis[name] = name === 'window' ? dom.window : dom.window[name];
+});
+
+const { Application } = await import('@hotwired/stimulus');
+const { default: EntityAutocompleteController } = await import(
+  '../../app/javascript/rich_text_extraction/controllers/entity_autocomplete_controller.js'
+);
+
+const application = Application.start(document.documentElement);
+application.register('entity-autocomplete', EntityAutocompleteController);
+after(() => application.stop());
+
+const settle = (ms = 5) => new Promise(resolve => setTimeout(resolve, ms));
+let suggestions;
+let events;
+['entity-completed', 'entity-rejected'].forEach(name => {
+  document.addEventListener(`rich-text-extraction:${name}`, event => events.push({ name, detail: event.detail }));
+});
+
+beforeEach(async () => {
+  suggestions = [];
+  events = [];
+  window.suggest = () => suggestions;
+  document.body.innerHTML = `
+    <div data-controller="entity-autocomplete" data-entity-autocomplete-source-value="suggest"
+         data-entity-autocomplete-delay-value="0" data-entity-autocomplete-limit-value="3">
+      <textarea data-entity-autocomplete-target="input"></textarea>
+    </div>`;
+  await settle();
+});
+
+function elements() {
+  const input = document.querySelector('textarea');
+  const listbox = document.querySelector('[role="listbox"]');
+  const controller = application.getControllerForElementAndIdentifier(input.parentElement, 'entity-autocomplete');
+  return { input, listbox, controller };
+}
+
+async function type(value, caret = value.length, { wait = true } = {}) {
+  const { input } = elements();
+  input.value = value;
+  input.setSelectionRange(caret, caret);
+  input.dispatchEvent(new Event('input', { bubbles: true }));
+  if (wait) await settle();
+}
+
+function press(key) {
+  const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+  elements().input.dispatchEvent(event);
+  return event;
+}
+
+const options = () => Array.from(elements().listbox.children).map(option => option.textContent);
+const selected = () => Array.from(elements().listbox.children).map(option => option.getAttribute('aria-selected') === 'true');
+
+test('arrow keys move the active suggestion, wrapping at both ends', async () => {
+  suggestions = ['john', 'joan', 'jo'];
+  await type('Hi @jo');
+  const { input, listbox } = elements();
+
+  assert.equal(listbox.hidden, false);
+  assert.equal(input.getAttribute('aria-expanded'), 'true');
+  assert.deepEqual(selected(), [true, false, false]);
+
+  assert.equal(press('ArrowDown').defaultPrevented, true);
+  assert.deepEqual(selected(), [false, true, false]);
+  assert.equal(input.getAttribute('aria-activedescendant'), listbox.children[1].id);
+
+  press('ArrowUp');
+  press('ArrowUp');
+  assert.deepEqual(selected(), [false, false, true]);
+  press('ArrowDown');
+  assert.deepEqual(selected(), [true, false, false]);
+});
+
+test('Enter or Tab inserts the active suggestion and reports it', async () => {
+  suggestions = ['john', 'joan'];
+  await type('Hi @jo');
+  press('ArrowDown');
+  assert.equal(press('Enter').defaultPrevented, true);
+
+  const { input, listbox } = elements();
+  assert.equal(input.value, 'Hi @joan ');
+  assert.equal(listbox.hidden, true);
+  assert.deepEqual(events, [{ name: 'entity-completed', detail: { type: 'mention', value: 'joan', entity: '@joan' } }]);
+
+  suggestions = ['ruby', 'rails'];
+  await type('Hi @joan #r');
+  press('Tab');
+  assert.equal(elements().input.value, 'Hi @joan #ruby ');
+});
+
+test('Escape closes the list and leaves the text alone', async () => {
+  suggestions = ['john'];
+  await type('Hi @jo');
+  press('Escape');
+
+  const { input, listbox } = elements();
+  assert.equal(listbox.hidden, true);
+  assert.equal(input.getAttribute('aria-expanded'), 'false');
+  assert.equal(press('Enter').defaultPrevented, false);
+  assert.equal(input.value, 'Hi @jo');
+});
+
+test('suggestions are normalized before they are listed and inserted', async () => {
+  suggestions = ['@john', { value: '@ann', label: 'Ann Lee' }, 'john', 'not valid!', { label: 'no value' }, 'joe', 'jim'];
+  await type('Hi @j');
+
+  assert.deepEqual(options(), ['@john', 'Ann Lee', '@joe']);
+  press('ArrowDown');
+  press('Enter');
+  assert.equal(elements().input.value, 'Hi @ann ');
+  assert.deepEqual(events.map(event => event.detail.entity), ['@ann']);
+});
+
+test('a suggestion failing the trigger validator is rejected, not inserted', async () => {
+  suggestions = ['john'];
+  await type('Hi @jo');
+  const { input, controller } = elements();
+
+  controller.complete({ value: 'not valid!' });
+  assert.equal(input.value, 'Hi @jo');
+  assert.equal(elements().listbox.hidden, true);
+  assert.deepEqual(events, [{ name: 'entity-rejected', detail: { entity: '@not valid!' } }]);
+});
+
+test('characters typed after the lookup are replaced with the suggestion', async () => {
+  suggestions = ['john'];
+  await type('Hi @jo');
+  await type('Hi @joh', 7, { wait: false });
+  press('Enter');
+
+  assert.equal(elements().input.value, 'Hi @john ');
+});
+
+test('completion is cancelled when the caret has left the trigger', async () => {
+  suggestions = ['john'];
+  await type('Hi @jo');
+  await type('Hi @jo and more', 15, { wait: false });
+  press('Enter');
+
+  const { input, listbox } = elements();
+  assert.equal(input.value, 'Hi @jo and more');
+  assert.equal(listbox.hidden, true);
+  assert.deepEqual(events, []);
+});
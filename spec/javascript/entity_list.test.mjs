@@ -0,0 +1,60 @@
+// The trix-extraction controller's entity list (the controller itself needs Stimulus)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  entityKey, editorEntities, uniqueEntities, sameEntities, chipLabel, entitySummaries
+} from '../../app/javascript/rich_text_extraction/entity_list.js';
+import { RichTextExtractionClient } from '../../app/javascript/rich_text_extraction/universal_client.js';
+
+const TYPES = ['links', 'mentions', 'hashtags', 'emails'];
+const client = new RichTextExtractionClient('/api', { mode: 'local' });
+
+const textNode = value => ({ nodeType: 3, nodeName: '#text', nodeValue: value, childNodes: [] });
+const h = (tag, ...children) => ({
+  nodeType: 1,
+  nodeName: tag.toUpperCase(),
+  tagName: tag.toUpperCase(),
+  childNodes: children.map(child => (typeof child === 'string' ? textNode(child) : child)),
+  getAttribute: () => null
+});
+
+test('textareas and inputs are read from their value', () => {
+  const entities = editorEntities(client, { tagName: 'TEXTAREA', value: '#ruby by @alice, 555-123-4567' }, TYPES);
+  assert.deepEqual(entities.map(entityKey), ['hashtag:ruby', 'mention:alice']);
+  assert.deepEqual(editorEntities(client, { tagName: 'INPUT', value: 'bob@example.com' }, TYPES).map(entityKey), ['email:bob@example.com']);
+});
+
+test('Trix content is read from the DOM without code blocks', () => {
+  const editor = h('trix-editor', h('div', 'Ping @alice'), h('pre', '#notATag'));
+  assert.deepEqual(editorEntities(client, editor, TYPES).map(entityKey), ['mention:alice']);
+});
+
+test('uniqueEntities keeps the first entity per type and normalized value', () => {
+  const entities = editorEntities(client, { tagName: 'TEXTAREA', value: '#Ruby #ruby @ruby #rails' }, TYPES);
+  assert.deepEqual(uniqueEntities(entities).map(entity => entity.value), ['#Ruby', '@ruby', '#rails']);
+});
+
+test('dismissed keys are left out', () => {
+  const entities = editorEntities(client, { tagName: 'TEXTAREA', value: '#ruby #rails' }, TYPES);
+  const dismissed = new Set(['hashtag:ruby']);
+  assert.deepEqual(uniqueEntities(entities, dismissed).map(entityKey), ['hashtag:rails']);
+  assert.deepEqual([...dismissed], ['hashtag:ruby']);
+});
+
+test('sameEntities compares keys in order', () => {
+  const a = { type: 'hashtag', normalized: 'ruby', value: '#ruby' };
+  const b = { type: 'hashtag', normalized: 'ruby', value: '#Ruby' };
+  const c = { type: 'mention', normalized: 'ruby', value: '@ruby' };
+
+  assert.equal(sameEntities([a, c], [b, c]), true);
+  assert.equal(sameEntities([a, c], [c, a]), false);
+  assert.equal(sameEntities([a], [a, c]), false);
+  assert.equal(sameEntities([], []), true);
+});
+
+test('chip labels and event details', () => {
+  const markdownLink = { type: 'markdown_link', value: { text: 'docs', url: 'https://example.com' }, normalized: 'https://example.com', start: 0, end: 27, node: {} };
+  assert.equal(chipLabel(markdownLink), 'https://example.com');
+  assert.equal(chipLabel({ type: 'hashtag', value: '#ruby', normalized: 'ruby' }), '#ruby');
+  assert.deepEqual(entitySummaries([markdownLink]), [{ type: 'markdown_link', value: { text: 'docs', url: 'https://example.com' }, normalized: 'https://example.com' }]);
+});
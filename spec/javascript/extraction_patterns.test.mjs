@@ -0,0 +1,105 @@
+// Local extraction patterns and the position-aware entities built from them
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EXTRACTION_PATTERNS, findEntities } from '../../app/javascript/rich_text_extraction/extraction_patterns.js';
+import { RichTextExtractionClient } from '../../app/javascript/rich_text_extraction/universal_client.js';
+
+const localClient = () => new RichTextExtractionClient('/api', { mode: 'local' });
+const spans = entities => entities.map(({ type, start, end }) => [type, start, end]);
+
+test('repeated values get one entity per occurrence, each with its own offsets', () => {
+  const text = 'Mail a@b.co, then A@B.co again';
+  const entities = findEntities(text, { emails: EXTRACTION_PATTERNS.emails });
+
+  assert.deepEqual(entities.map(({ value, normalized, start, end }) => ({ value, normalized, start, end })), [
+    { value: 'a@b.co', normalized: 'a@b.co', start: 5, end: 11 },
+    { value: 'A@B.co', normalized: 'a@b.co', start: 18, end: 24 }
+  ]);
+});
+
+test('start and end slice out exactly the value, in every category', () => {
+  const text = 'See [docs](https://example.com/x), https://x.io/a.png and https://x.io/plan.pdf, ' +
+    'mail bob@example.com or ping @alice about #ruby on 2024-01-05 at (212) 555-0100.';
+  const entities = localClient().extractEntities(text);
+
+  assert.deepEqual([...new Set(entities.map(entity => entity.type))].sort(), [
+    'attachment', 'date', 'email', 'hashtag', 'image', 'link', 'markdown_link', 'mention', 'phone', 'twitter_handle'
+  ]);
+  entities.forEach(entity => {
+    // A Markdown link's value is its { text, url } pair
+    const expected = entity.type === 'markdown_link' ? `[${entity.value.text}](${entity.value.url})` : entity.value;
+    assert.equal(text.slice(entity.start, entity.end), expected, entity.type);
+  });
+});
+
+test('overlapping matches are all kept and sorted by start, then end', () => {
+  const text = 'See [docs](https://x.io/a.png) @alice';
+  assert.deepEqual(spans(localClient().extractEntities(text)), [
+    ['markdown_link', 4, 30],
+    ['link', 11, 29],
+    ['image', 11, 29],
+    ['mention', 31, 37],
+    ['twitter_handle', 32, 37]
+  ]);
+});
+
+test('offsets count UTF-16 code units, like String#slice', () => {
+  const text = '🎉 #ruby 😀 bob@x.io';
+  const [hashtag, email] = localClient().extractEntities(text, { types: ['hashtags', 'emails'] });
+
+  assert.deepEqual([hashtag.start, hashtag.end], [3, 8]);
+  assert.equal(text.slice(hashtag.start, hashtag.end), '#ruby');
+  assert.deepEqual([email.start, email.end], [12, 20]);
+});
+
+test('an email hides the mention inside it', () => {
+  const text = 'write to bob@example.com';
+  assert.deepEqual(spans(localClient().extractEntities(text)), [['email', 9, 24]]);
+});
+
+test('types limits the extractors and positions adds entities to local results', () => {
+  const client = localClient();
+  const text = '#ruby by @alice';
+
+  assert.deepEqual(spans(client.extractEntities(text, { types: ['hashtags'] })), [['hashtag', 0, 5]]);
+  assert.deepEqual(spans(client.processTextLocally(text, { positions: true }).entities), [['hashtag', 0, 5], ['mention', 9, 15], ['twitter_handle', 10, 15]]);
+  assert.equal(client.processTextLocally(text).entities, undefined);
+});
+
+test('local results have the same categories as the Ruby extractor', () => {
+  assert.deepEqual(Object.keys(localClient().processTextLocally('').data).sort(), [
+    'attachments', 'dates', 'emails', 'hashtags', 'images', 'links', 'markdownLinks', 'mentions', 'phones', 'twitterHandles'
+  ]);
+});
+
+test('mentions and twitter handles start at a word boundary', () => {
+  const { mentions, twitterHandles } = localClient().extractAllPatterns('(@alice) "@bob", @carol. foo@bar me@alice.dev https://x.com/@erin');
+  assert.deepEqual(mentions, ['@alice', '@bob', '@carol']);
+  assert.deepEqual(twitterHandles, ['alice', 'bob', 'carol']);
+});
+
+test('mentions accept any script and compare composed and decomposed accents', () => {
+  const client = localClient();
+  assert.deepEqual(client.extractAllPatterns('@Zoë and @محمد').mentions, ['@Zoë', '@محمد']);
+
+  const [composed, decomposed] = client.extractEntities('@Zo\u00eb @Zoe\u0308', { types: ['mentions'] });
+  assert.notEqual(composed.value, decomposed.value);
+  assert.equal(composed.normalized, decomposed.normalized);
+});
+
+test('twitter handles keep the ASCII name and normalize to lowercase', () => {
+  const [handle] = localClient().extractEntities('cc @Jack_Dorsey', { types: ['twitterHandles'] });
+  assert.deepEqual([handle.value, handle.normalized], ['Jack_Dorsey', 'jack_dorsey']);
+});
+
+test('images, attachments, markdown links and dates are extracted like the server', () => {
+  const data = localClient().extractAllPatterns('On 2024-01-05 see [the plan](https://x.io/plan.pdf) and https://x.io/a.png');
+  assert.deepEqual(data.dates, ['2024-01-05']);
+  assert.deepEqual(data.markdownLinks, [{ text: 'the plan', url: 'https://x.io/plan.pdf' }]);
+  assert.deepEqual(data.attachments, ['https://x.io/plan.pdf']);
+  assert.deepEqual(data.images, ['https://x.io/a.png']);
+});
+
+test('phones match formatted numbers', () => {
+  assert.deepEqual(localClient().extractAllPatterns('Call (555) 234-5678 or +1 555.765.4321').phones, ['(555) 234-5678', '+1 555.765.4321']);
+});
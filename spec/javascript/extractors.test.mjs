@@ -0,0 +1,49 @@
+// Registering, replacing and removing extractors on the client
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RichTextExtractionClient } from '../../app/javascript/rich_text_extraction/universal_client.js';
+
+const localClient = () => new RichTextExtractionClient('/api', { mode: 'local' });
+
+test('unregisterExtractor reports whether the extractor existed', () => {
+  const client = localClient().registerExtractor('tickets', { pattern: /\bTICKET-\d+\b/g });
+
+  assert.equal(client.unregisterExtractor('tickets'), true);
+  assert.equal(client.unregisterExtractor('tickets'), false);
+  assert.equal(client.unregisterExtractor('nonexistent'), false);
+  assert.equal(client.unregisterExtractor('hashtags'), true);
+  assert.equal(client.processTextLocally('see #ruby').data.hashtags, undefined);
+});
+
+test('setDefaultRegion keeps a custom phones extractor', () => {
+  const client = localClient().registerExtractor('phones', { pattern: /\bext\.\s?\d+\b/g });
+  client.setDefaultRegion('GB');
+
+  assert.equal(client.defaultRegion, 'GB');
+  assert.equal(client.listExtractors().find(({ name }) => name === 'phones').custom, true);
+  assert.deepEqual(client.processTextLocally('call ext. 42').data.phones, ['ext. 42']);
+});
+
+test('setDefaultRegion replaces the built-in phones extractor', () => {
+  const client = localClient();
+  assert.deepEqual(client.processTextLocally('Call 020 7946 0958').data.phones, []);
+
+  client.setDefaultRegion('GB');
+  assert.deepEqual(client.processTextLocally('Call 020 7946 0958').data.phones, ['020 7946 0958']);
+});
+
+test('setUrlMode keeps a custom links extractor', () => {
+  const client = localClient().registerExtractor('links', { pattern: /\bgo\/[\w-]+/g });
+  client.setUrlMode('canonical', { stripTracking: true });
+
+  assert.equal(client.urlMode, 'canonical');
+  assert.equal(client.listExtractors().find(({ name }) => name === 'links').custom, true);
+  assert.deepEqual(client.processTextLocally('see go/docs').data.links, ['go/docs']);
+});
+
+test('setUrlMode replaces the built-in links extractor', () => {
+  const client = localClient();
+  client.setUrlMode('canonical', { stripTracking: true });
+
+  assert.deepEqual(client.processTextLocally('see HTTPS://Example.com/a?utm_source=x').data.links, ['https://example.com/a']);
+});
@@ -0,0 +1,185 @@
+// The fake backend answers like the Rails endpoints, including scripted failures
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VALIDATOR_EXAMPLES } from '../../app/javascript/rich_text_extraction/validator_examples.js';
+import { createFakeBackend } from '../../app/javascript/rich_text_extraction/fake_backend.js';
+import { RichTextExtractionClient } from '../../app/javascript/rich_text_extraction/universal_client.js';
+
+function setup(options = {}) {
+  const backend = createFakeBackend();
+  const client = new RichTextExtractionClient('/api', { fetch: backend.fetch, cache: false, retries: 0, ...options });
+  return { backend, client };
+}
+
+test('GET /validators/:id/regex serves Regexp#to_s like the Ruby server', async () => {
+  const { backend } = setup();
+  for (const { symbol, regex } of VALIDATOR_EXAMPLES) {
+    const response = await backend.fetch(`/validators/${symbol}/regex`);
+    if (regex === null) {
+      assert.equal(response.status, 404, symbol);
+    } else {
+      assert.deepEqual(await response.json(), { regex }, symbol);
+    }
+  }
+});
+
+test('validator metadata names the regex constant', async () => {
+  const { backend } = setup();
+  const entry = await (await backend.fetch('/validators/hashtag')).json();
+  assert.equal(entry.regex, 'HASHTAG_PATTERN');
+  assert.equal((await (await backend.fetch('/validators/isbn')).json()).regex, null);
+});
+
+test('validator metadata comes from the generated VALIDATOR_EXAMPLES, keyed by symbol', async () => {
+  const { backend } = setup();
+  const entries = await (await backend.fetch('/validators')).json();
+
+  assert.deepEqual(entries, Object.fromEntries(VALIDATOR_EXAMPLES.map(({ symbol, schema_type, schema_property, description, regex_constant, valid, invalid }) => (
+    [symbol, { symbol, schema_type, schema_property, description, regex: regex_constant, valid, invalid }]
+  ))));
+});
+
+test('POST /validators/:id/batch_validate answers { results, metadata }', async () => {
+  const { backend } = setup();
+  const response = await backend.fetch('/validators/isbn/batch_validate', {
+    method: 'POST',
+    body: JSON.stringify({ values: ['978-3-16-148410-0', '123'] })
+  });
+  const { results, metadata } = await response.json();
+
+  assert.deepEqual(results.map(({ value, valid }) => [value, valid]), [['978-3-16-148410-0', true], ['123', false]]);
+  assert.equal(metadata.symbol, 'isbn');
+  assert.equal(metadata.schema_type, 'Book');
+});
+
+test('POST /api/validate answers a bare boolean like InterfaceAdapter.handle_request', async () => {
+  const { backend } = setup();
+  const validate = async body => (await backend.fetch('/api/validate', { method: 'POST', body: JSON.stringify(body) })).json();
+
+  assert.equal(await validate({ value: 'https://example.com' }), true);
+  assert.equal(await validate({ value: 'not a url' }), false);
+  assert.equal(await validate({ value: '' }), false);
+  assert.equal(await validate({ value: '#fff', validator: 'hex_color_validator' }), true);
+  assert.equal(await validate({ value: '#fff', validator: 'NoSuchValidator' }), false);
+
+  const { client } = setup();
+  assert.equal(await client.api.validateText({ body: { value: 'https://example.com' } }), true);
+  assert.equal(await client.api.validateText({ body: { value: 'not a url' } }), false);
+});
+
+test('hashtags and mentions still extract after loadRemotePatterns()', async () => {
+  const { client } = setup({ mode: 'local' });
+  const report = await client.loadRemotePatterns();
+
+  assert.deepEqual(report.untranslated, []);
+  assert.deepEqual(report.failed, []);
+  const { data } = client.processTextLocally('Thanks @josé for #café and #日本語 #tags');
+  assert.deepEqual(data.hashtags, ['#café', '#日本語', '#tags']);
+  assert.deepEqual(data.mentions, ['@josé']);
+  assert.equal(client.validateLocally('luhn', '4111 1111 1111 1111').valid, true);
+});
+
+test('install() reads the method, headers and body of a Request', async () => {
+  const backend = createFakeBackend();
+  const passedThrough = [];
+  const target = { location: { origin: 'http://app.test' }, fetch: (...args) => { passedThrough.push(args); return Promise.resolve(new Response('{}')); } };
+  const uninstall = backend.install(target);
+
+  const response = await target.fetch(new Request('http://app.test/api/extract', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Trace': 'abc' },
+    body: JSON.stringify({ text: 'see #ruby' })
+  }));
+  assert.equal(response.status, 200);
+  assert.deepEqual((await response.json()).data.hashtags, ['#ruby']);
+  assert.deepEqual(backend.requests[0].body, { text: 'see #ruby' });
+  assert.equal(backend.requests[0].headers['x-trace'], 'abc');
+
+  // init still wins over the Request
+  const validation = await target.fetch(new Request('http://app.test/api/validate', { method: 'POST', body: '{"value":"x"}' }), {
+    body: JSON.stringify({ value: '#fff', validator: 'HexColorValidator' })
+  });
+  assert.equal(await validation.json(), true);
+
+  await target.fetch(new Request('http://elsewhere.test/api/extract', { method: 'POST', body: '{}' }));
+  assert.equal(passedThrough.length, 1);
+  uninstall();
+});
+
+test('a scripted timeout ends with the client timeout', async () => {
+  const { backend, client } = setup({ timeout: 20 });
+  backend.fail('POST /api/extract', { type: 'timeout' });
+  await assert.rejects(client.extractText('hello'), { code: 'timeout' });
+});
+
+test('a scripted timeout settles on its own without a client timeout or signal', async () => {
+  const { backend, client } = setup({ timeout: 0 });
+  backend.fail('POST /api/extract', { type: 'timeout', timeoutAfter: 10 });
+  await assert.rejects(client.extractText('hello'), error => error.code === 'network' && error.cause.name === 'TimeoutError');
+});
+
+test('a scripted status failure keeps the status and payload', async () => {
+  const { backend, client } = setup();
+  backend.fail('POST /api/extract', { type: 'status', status: 422, body: { error: 'Text too long' } });
+  await assert.rejects(client.extractText('hello'), { code: 'http', status: 422, message: 'Extraction failed: Text too long' });
+});
+
+test('a scripted malformed response is a parse error', async () => {
+  const { backend, client } = setup();
+  backend.fail('POST /api/extract', { type: 'malformed' });
+  await assert.rejects(client.extractText('hello'), { code: 'parse' });
+});
+
+test('an extraction POST network failure is retried by default, then reported', async () => {
+  const { backend, client } = setup({ retries: 1, retryDelay: 1 });
+  backend.fail('POST /api/extract', { type: 'network', times: 2 });
+  await assert.rejects(client.extractText('hello'), { code: 'network', attempts: 2 });
+
+  backend.fail('POST /api/extract', { type: 'network' });
+  assert.equal((await client.extractText('see #ruby')).data.hashtags[0], '#ruby');
+});
+
+test('a request marked idempotent: false is reported without a retry', async () => {
+  const { backend, client } = setup({ retries: 1, retryDelay: 1 });
+  backend.fail('POST /api/extract', { type: 'network' });
+  await assert.rejects(client.extractText('hello', {}, { idempotent: false }), { code: 'network', attempts: 1 });
+});
+
+test('auto mode falls back to local extraction when the fake is down', async () => {
+  const { backend, client } = setup({ mode: 'auto' });
+  backend.fail('POST /api/extract', { type: 'status', status: 503 });
+  const result = await client.extract('see #ruby');
+  assert.equal(result.source, 'local');
+  assert.match(result.fallbackReason, /Service Unavailable|Internal Server Error|failed/);
+});
+
+test('the deprecated sacredGeometryAnalysis and universalConsistencyCheck delegate to the new API', async () => {
+  const { client } = setup();
+  const analysis = await client.sacredGeometryAnalysis('see #ruby');
+  assert.equal(analysis.source, 'server');
+  assert.deepEqual(analysis.data.hashtags, ['#ruby']);
+
+  const check = await client.universalConsistencyCheck('see #ruby');
+  assert.deepEqual(check, client.validateSacredGeometry(client.processTextLocally('see #ruby')));
+});
+
+test('GET /validators/:id/examples serves VALIDATOR_EXAMPLES', async () => {
+  const { backend } = setup();
+  for (const { symbol, valid, invalid } of VALIDATOR_EXAMPLES) {
+    assert.deepEqual(await (await backend.fetch(`/validators/${symbol}/examples`)).json(), { examples: { valid, invalid } }, symbol);
+  }
+});
+
+test('latency waits remove their abort listener once they finish', async () => {
+  const backend = createFakeBackend({ latency: 1 });
+  const listeners = new Set();
+  const signal = new EventTarget();
+  signal.aborted = false;
+  const add = signal.addEventListener.bind(signal);
+  const remove = signal.removeEventListener.bind(signal);
+  signal.addEventListener = (type, listener, options) => { listeners.add(listener); add(type, listener, options); };
+  signal.removeEventListener = (type, listener, options) => { listeners.delete(listener); remove(type, listener, options); };
+
+  for (let i = 0; i < 3; i++) await backend.fetch('/health', { signal });
+  assert.equal(listeners.size, 0);
+});
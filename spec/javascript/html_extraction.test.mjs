@@ -0,0 +1,124 @@
+// extractFromHTML: flattened text, DOM positions and attribute entities
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { collectText, parseHTML } from '../../app/javascript/rich_text_extraction/html_extraction.js';
+import { RichTextExtractionClient } from '../../app/javascript/rich_text_extraction/universal_client.js';
+
+// A bare-bones element tree: just the node properties collectText reads
+const textNode = value => ({ nodeType: 3, nodeName: '#text', nodeValue: value, childNodes: [] });
+const h = (tag, attributes = {}, ...children) => ({
+  nodeType: 1,
+  nodeName: tag.toUpperCase(),
+  childNodes: children.map(child => (typeof child === 'string' ? textNode(child) : child)),
+  getAttribute: name => attributes[name] ?? null
+});
+
+const client = () => new RichTextExtractionClient('/api', { mode: 'local' });
+const summary = entities => entities.map(({ type, start, end, normalized, source }) => ({ type, start, end, normalized, source }));
+
+test('block elements become line breaks and skipped elements are left out', () => {
+  const root = h('div', {},
+    h('h1', {}, 'Title'),
+    h('p', {}, 'one ', h('strong', {}, 'two')),
+    h('script', {}, 'alert(1)'),
+    h('ul', {}, h('li', {}, 'a'), h('li', {}, 'b')),
+    h('pre', {}, 'code')
+  );
+
+  assert.equal(collectText(root).text, 'Title\none two\na\nb\ncode\n');
+  assert.equal(collectText(root, { skipCode: true }).text, 'Title\none two\na\nb\n');
+  assert.equal(collectText(root, { skip: [] }).text, 'Title\none two\nalert(1)\na\nb\ncode\n');
+});
+
+test('text entities point at the text node and offsets that hold them', () => {
+  const mention = textNode('Hi @alice, ');
+  const tag = textNode('#ruby');
+  const root = h('p', {}, mention, h('em', {}, tag), ' rocks');
+
+  const { text, entities } = client().extractFromHTML(root, { types: ['mentions', 'hashtags'] });
+  assert.equal(text, 'Hi @alice, #ruby rocks\n');
+
+  const [alice, ruby] = entities;
+  assert.deepEqual([alice.type, alice.node, alice.range], ['mention', mention, { startContainer: mention, startOffset: 3, endContainer: mention, endOffset: 9 }]);
+  assert.deepEqual([ruby.type, ruby.node, ruby.range], ['hashtag', tag, { startContainer: tag, startOffset: 0, endContainer: tag, endOffset: 5 }]);
+});
+
+test('entities spanning several text nodes get a range across them', () => {
+  const first = textNode('write to bob@');
+  const second = textNode('example.com today');
+  const { entities } = client().extractFromHTML(h('p', {}, first, h('b', {}, second)), { types: ['emails'] });
+
+  assert.deepEqual(entities[0].range, { startContainer: first, startOffset: 9, endContainer: second, endOffset: 11 });
+});
+
+test('link, image and attachment URLs are read from attributes', () => {
+  const link = h('a', { href: 'https://example.com/docs' }, 'the docs');
+  const root = h('div', {},
+    h('p', {}, 'See ', link, '.'),
+    h('img', { src: 'https://cdn.example.com/a.png' }),
+    h('action-text-attachment', { url: 'https://cdn.example.com/b.jpg', 'content-type': 'image/jpeg' }),
+    h('action-text-attachment', { url: 'https://cdn.example.com/c.pdf', 'content-type': 'application/pdf' })
+  );
+
+  const { text, entities, patterns } = client().extractFromHTML(root);
+  assert.equal(text, 'See the docs.\n');
+  assert.deepEqual(summary(entities), [
+    { type: 'link', start: 4, end: 12, normalized: 'https://example.com/docs', source: 'attribute' },
+    { type: 'image', start: 14, end: 14, normalized: 'https://cdn.example.com/a.png', source: 'attribute' },
+    { type: 'image', start: 14, end: 14, normalized: 'https://cdn.example.com/b.jpg', source: 'attribute' },
+    { type: 'attachment', start: 14, end: 14, normalized: 'https://cdn.example.com/c.pdf', source: 'attribute' }
+  ]);
+  assert.equal(entities[0].node, link);
+  assert.deepEqual(patterns.links, ['https://example.com/docs']);
+  assert.deepEqual(patterns.images, ['https://cdn.example.com/a.png', 'https://cdn.example.com/b.jpg']);
+  assert.deepEqual(patterns.attachments, ['https://cdn.example.com/c.pdf']);
+});
+
+test('mailto: and tel: hrefs count, unless the visible text already has them', () => {
+  const root = h('p', {},
+    h('a', { href: 'mailto:Bob@Example.com' }, 'Bob@Example.com'),
+    ' ',
+    h('a', { href: 'mailto:carol@example.com?subject=hi' }, 'Carol'),
+    ' ',
+    h('a', { href: 'tel:+1%20555%20234%205678' }, 'call us'),
+    ' ',
+    h('a', { href: 'javascript:alert(1)' }, 'click')
+  );
+
+  const { entities } = client().extractFromHTML(root);
+  assert.deepEqual(summary(entities), [
+    { type: 'email', start: 0, end: 15, normalized: 'bob@example.com', source: 'text' },
+    { type: 'email', start: 16, end: 21, normalized: 'carol@example.com', source: 'attribute' },
+    { type: 'phone', start: 22, end: 29, normalized: '+15552345678', source: 'attribute' }
+  ]);
+});
+
+test('malformed escapes in mailto: and tel: hrefs are kept as written', () => {
+  const root = h('p', {},
+    h('a', { href: 'mailto:100%' }, 'Mail'),
+    ' ',
+    h('a', { href: 'tel:%zz' }, 'Call'),
+    ' ',
+    h('a', { href: 'tel:+1%20555%20234%205678%' }, 'Office')
+  );
+
+  const { entities } = client().extractFromHTML(root);
+  assert.deepEqual(entities.map(({ type, value }) => ({ type, value })), [
+    { type: 'email', value: '100%' },
+    { type: 'phone', value: '%zz' },
+    { type: 'phone', value: '+1%20555%20234%205678%' }
+  ]);
+});
+
+test('types limits both text and attribute entities', () => {
+  const root = h('p', {}, '#ruby by @alice ', h('a', { href: 'https://example.com' }, 'site'), h('img', { src: 'https://example.com/a.png' }));
+  const { entities, patterns } = client().extractFromHTML(root, { types: ['links'] });
+
+  assert.deepEqual(summary(entities).map(entity => entity.type), ['link']);
+  assert.deepEqual(patterns, { links: ['https://example.com'] });
+});
+
+test('markup needs a DOMParser or a document to parse', () => {
+  assert.throws(() => parseHTML('<p>#ruby</p>'), /A DOMParser or document is required/);
+  assert.throws(() => client().extractFromHTML('<p>#ruby</p>'), /A DOMParser or document is required/);
+});
@@ -0,0 +1,171 @@
+// performRequest timeouts and aborts, including while the body is being read,
+// retries with backoff and Retry-After, and the errors it raises
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { performRequest } from '../../app/javascript/rich_text_extraction/http.js';
+import { RichTextExtractionClient } from '../../app/javascript/rich_text_extraction/universal_client.js';
+
+// Headers arrive at once; the body never finishes unless the request is aborted
+function stallingBody({ honorSignal = true } = {}) {
+  return (url, init) => Promise.resolve({
+    ok: true,
+    status: 200,
+    statusText: 'OK',
+    headers: new Headers(),
+    text: () => new Promise((_, reject) => {
+      if (honorSignal) init.signal.addEventListener('abort', () => reject(init.signal.reason), { once: true });
+    })
+  });
+}
+
+test('a body that stalls past the timeout fails with a timeout error', async () => {
+  await assert.rejects(
+    performRequest(stallingBody(), '/api/extract', { timeout: 20, retries: 0 }),
+    { code: 'timeout', attempts: 1 }
+  );
+});
+
+test('the timeout settles body reads that ignore the abort signal', async () => {
+  await assert.rejects(
+    performRequest(stallingBody({ honorSignal: false }), '/api/extract', { timeout: 20, retries: 0 }),
+    { code: 'timeout' }
+  );
+});
+
+test('a caller abort during the body read fails with an aborted error', async () => {
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 10);
+  await assert.rejects(
+    performRequest(stallingBody({ honorSignal: false }), '/api/extract', { timeout: 0, retries: 0, signal: controller.signal }),
+    { code: 'aborted' }
+  );
+});
+
+test('a body that fails to read is a parse error', async () => {
+  const fetchImpl = () => Promise.resolve({
+    ok: true, status: 200, headers: new Headers(), text: () => Promise.reject(new TypeError('terminated'))
+  });
+  await assert.rejects(performRequest(fetchImpl, '/api/extract', { retries: 0 }), { code: 'parse', status: 200 });
+});
+
+test('a JSON body read in time is returned', async () => {
+  const fetchImpl = () => Promise.resolve(new Response('{"ok":true}', { status: 200 }));
+  assert.deepEqual(await performRequest(fetchImpl, '/api/extract', { timeout: 1000 }), { ok: true });
+});
+
+// Answers each call with the next scripted reply: [status, body, headers] or an Error
+function scripted(...replies) {
+  const calls = [];
+  const fetchImpl = (url, init) => {
+    calls.push({ url, method: init.method, at: Date.now() });
+    const reply = replies[Math.min(calls.length, replies.length) - 1];
+    if (reply instanceof Error) return Promise.reject(reply);
+    const [status, body = null, headers = {}] = reply;
+    return Promise.resolve(new Response(body === null ? '' : JSON.stringify(body), { status, headers }));
+  };
+  return { fetchImpl, calls };
+}
+
+test('5xx and 429 responses are retried until one succeeds', async () => {
+  const { fetchImpl, calls } = scripted([503], [429], [200, { ok: true }]);
+  assert.deepEqual(await performRequest(fetchImpl, '/validators', { retries: 2, retryDelay: 1 }), { ok: true });
+  assert.equal(calls.length, 3);
+});
+
+test('the last failure is raised once the retries run out', async () => {
+  const { fetchImpl, calls } = scripted([500, { error: 'boom' }]);
+  await assert.rejects(
+    performRequest(fetchImpl, '/validators', { retries: 2, retryDelay: 1 }),
+    { code: 'http', status: 500, attempts: 3, payload: { error: 'boom' }, message: 'Request failed: boom' }
+  );
+  assert.equal(calls.length, 3);
+});
+
+test('other 4xx responses are not retried', async () => {
+  const { fetchImpl, calls } = scripted([404, { error: 'Validator not found' }]);
+  await assert.rejects(performRequest(fetchImpl, '/validators/nope', { retries: 2, retryDelay: 1 }), { status: 404, attempts: 1 });
+  assert.equal(calls.length, 1);
+});
+
+test('retries back off exponentially, up to maxRetryDelay', async () => {
+  const slow = scripted([503]);
+  await assert.rejects(performRequest(slow.fetchImpl, '/validators', { retries: 2, retryDelay: 20 }), { attempts: 3 });
+  assert.ok(slow.calls[1].at - slow.calls[0].at >= 15);
+  assert.ok(slow.calls[2].at - slow.calls[1].at >= 35);
+
+  const capped = scripted([503]);
+  const started = Date.now();
+  await assert.rejects(performRequest(capped.fetchImpl, '/validators', { retries: 2, retryDelay: 5000, maxRetryDelay: 10 }), { attempts: 3 });
+  assert.ok(Date.now() - started < 1000);
+});
+
+test('Retry-After in seconds sets the delay', async () => {
+  const { fetchImpl, calls } = scripted([503, null, { 'Retry-After': '0.05' }], [200, { ok: true }]);
+  assert.deepEqual(await performRequest(fetchImpl, '/validators', { retries: 1, retryDelay: 1 }), { ok: true });
+  assert.ok(calls[1].at - calls[0].at >= 40);
+});
+
+test('Retry-After as an HTTP date sets the delay', async () => {
+  const past = scripted([429, null, { 'Retry-After': new Date(Date.now() - 60000).toUTCString() }], [200, { ok: true }]);
+  assert.deepEqual(await performRequest(past.fetchImpl, '/validators', { retries: 1, retryDelay: 5000 }), { ok: true });
+  assert.ok(past.calls[1].at - past.calls[0].at < 1000);
+});
+
+test('a Retry-After beyond maxRetryDelay gives up at once', async () => {
+  const seconds = scripted([503, null, { 'Retry-After': '120' }]);
+  await assert.rejects(performRequest(seconds.fetchImpl, '/validators', { retries: 2, maxRetryDelay: 1000 }), { status: 503, attempts: 1 });
+
+  const date = scripted([429, null, { 'Retry-After': new Date(Date.now() + 3600000).toUTCString() }]);
+  await assert.rejects(performRequest(date.fetchImpl, '/validators', { retries: 2, maxRetryDelay: 1000 }), { status: 429, attempts: 1 });
+});
+
+test('errors carry the request id from X-Request-Id or the payload', async () => {
+  const header = scripted([422, { error: 'Text too long' }, { 'X-Request-Id': 'req-1' }]);
+  await assert.rejects(
+    performRequest(header.fetchImpl, '/api/extract', { method: 'POST', body: { text: 'x' }, label: 'Extraction' }),
+    { code: 'http', status: 422, requestId: 'req-1', method: 'POST', url: '/api/extract', message: 'Extraction failed: Text too long' }
+  );
+
+  const payload = scripted([500, { message: 'Internal error', request_id: 'req-2' }]);
+  await assert.rejects(performRequest(payload.fetchImpl, '/validators', { retries: 0 }), { requestId: 'req-2', message: 'Request failed: Internal error' });
+});
+
+test('only idempotent methods are retried unless retryNonIdempotent is set', async () => {
+  const get = scripted(new TypeError('fetch failed'), [200, { ok: true }]);
+  assert.deepEqual(await performRequest(get.fetchImpl, '/validators', { retries: 1, retryDelay: 1 }), { ok: true });
+
+  const post = scripted(new TypeError('fetch failed'), [200, { ok: true }]);
+  await assert.rejects(performRequest(post.fetchImpl, '/api/extract', { method: 'POST', retries: 1, retryDelay: 1 }), { code: 'network', attempts: 1 });
+  assert.equal(post.calls.length, 1);
+
+  const post503 = scripted([503], [200, { ok: true }]);
+  await assert.rejects(performRequest(post503.fetchImpl, '/api/extract', { method: 'POST', retries: 1, retryDelay: 1 }), { status: 503, attempts: 1 });
+
+  const optedIn = scripted(new TypeError('fetch failed'), [200, { ok: true }]);
+  const options = { method: 'POST', retries: 1, retryDelay: 1, retryNonIdempotent: true };
+  assert.deepEqual(await performRequest(optedIn.fetchImpl, '/api/extract', options), { ok: true });
+  assert.equal(optedIn.calls.length, 2);
+
+  const marked = scripted([503], [200, { ok: true }]);
+  const idempotent = { method: 'POST', retries: 1, retryDelay: 1, idempotent: true };
+  assert.deepEqual(await performRequest(marked.fetchImpl, '/api/extract', idempotent), { ok: true });
+  assert.equal(marked.calls.length, 2);
+});
+
+test('a default client retries extraction and validation POSTs on 503 with Retry-After', async () => {
+  const extraction = { links: [], tags: ['ruby'] };
+  const extract = scripted([503, null, { 'Retry-After': '0' }], [200, extraction]);
+  const client = new RichTextExtractionClient('/api', { fetch: extract.fetchImpl });
+  assert.deepEqual(await client.extractText('#ruby'), extraction);
+  assert.deepEqual(extract.calls.map(call => call.method), ['POST', 'POST']);
+
+  const batch = scripted([503, null, { 'Retry-After': '0' }], [200, { results: [extraction] }]);
+  const batchClient = new RichTextExtractionClient('/api', { fetch: batch.fetchImpl });
+  assert.deepEqual(await batchClient.batchExtract(['#ruby']), { results: [extraction] });
+  assert.equal(batch.calls.length, 2);
+
+  const validate = scripted([503, null, { 'Retry-After': '0' }], [200, { valid: true, errors: [] }]);
+  const validateClient = new RichTextExtractionClient('/api', { fetch: validate.fetchImpl });
+  assert.deepEqual(await validateClient.api.validateValue({ id: 'isbn', body: { value: '0-306-40615-2' } }), { valid: true, errors: [] });
+  assert.equal(validate.calls.length, 2);
+});
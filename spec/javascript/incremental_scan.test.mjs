@@ -0,0 +1,77 @@
+// scanIncrementally finds the same entities whatever the chunk size, and
+// processLargeText only uses it when asked to chunk
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EXTRACTION_PATTERNS, MAX_MATCH_LENGTH, findEntities, scanIncrementally } from '../../app/javascript/rich_text_extraction/extraction_patterns.js';
+import { createLinkExtractor } from '../../app/javascript/rich_text_extraction/urls.js';
+import { RichTextExtractionClient } from '../../app/javascript/rich_text_extraction/universal_client.js';
+
+const SAMPLE = 'Mail ana@example.com about #release and @bob at https://example.com/guide#install, ' +
+  'see [docs](https://example.com/docs) and https://cdn.example.com/a/shot.png on 2025-06-24. ';
+
+async function scan(text, chunkSize) {
+  return scanIncrementally(text, EXTRACTION_PATTERNS, {}, { chunkSize });
+}
+
+test('chunked scans match a whole-text scan', async () => {
+  const text = SAMPLE.repeat(20);
+  const expected = await scan(text, Infinity);
+
+  assert.deepEqual(expected.entities, findEntities(text));
+  for (const chunkSize of [1, 7, 64, 333]) {
+    assert.deepEqual(await scan(text, chunkSize), expected, `chunkSize ${chunkSize}`);
+  }
+});
+
+test('lookbehinds see past the chunk boundary', async () => {
+  const url = `https://example.com/${'a'.repeat(MAX_MATCH_LENGTH * 2)}#fragment`;
+  const { patterns } = await scan(`${url} #tag`, 100);
+
+  assert.deepEqual(patterns.hashtags, ['#tag']);
+});
+
+test('text without whitespace is scanned in linear time', { timeout: 5000 }, async () => {
+  // Each window used to walk back to the previous whitespace, i.e. to the start
+  const text = `${'x'.repeat(1 << 20)},#tag,ana@example.com`;
+  const { entities, patterns } = await scan(text, 4096);
+
+  assert.deepEqual(entities, findEntities(text));
+  assert.deepEqual([patterns.hashtags, patterns.emails], [['#tag'], ['ana@example.com']]);
+});
+
+test('matches crossing a chunk boundary are found whole', async () => {
+  const image = `https://example.com/${'b'.repeat(MAX_MATCH_LENGTH / 2)}.png`;
+  const { patterns } = await scan(`see ${image} now`, 100);
+
+  assert.deepEqual(patterns.images, [image]);
+});
+
+test('a match running past the overlap is redone against the whole text', async () => {
+  const url = `https://example.com/${'c'.repeat(MAX_MATCH_LENGTH * 2)}`;
+  const { patterns } = await scanIncrementally(`see ${url} now`, { links: createLinkExtractor() }, {}, { chunkSize: 100 });
+
+  assert.deepEqual(patterns.links, [url]);
+});
+
+test('progress reaches the end of the text', async () => {
+  const text = SAMPLE.repeat(5);
+  const progress = [];
+  await scanIncrementally(text, EXTRACTION_PATTERNS, {}, { chunkSize: 100, onProgress: update => progress.push(update) });
+
+  assert.equal(progress.length, Math.ceil(text.length / 100));
+  assert.deepEqual(progress.at(-1), { processed: text.length, total: text.length });
+});
+
+test('processLargeText is the single pass unless asked to chunk', async () => {
+  const client = new RichTextExtractionClient();
+  const text = SAMPLE.repeat(5);
+  const withoutTimestamp = ({ timestamp, ...result }) => result;
+  const progress = [];
+
+  const single = await client.processLargeText(text);
+  const chunked = await client.processLargeText(text, { chunkSize: 100, onProgress: update => progress.push(update) });
+
+  assert.deepEqual(withoutTimestamp(single), withoutTimestamp(client.processTextLocally(text)));
+  assert.deepEqual(withoutTimestamp(chunked), withoutTimestamp(single));
+  assert.equal(progress.length, Math.ceil(text.length / 100));
+});
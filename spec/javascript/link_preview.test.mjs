@@ -0,0 +1,93 @@
+// client.linkPreview against bin/opengraph_stub_server.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { RichTextExtractionClient } from '../../app/javascript/rich_text_extraction/universal_client.js';
+
+const SERVER_PATH = fileURLToPath(new URL('../../bin/opengraph_stub_server.js', import.meta.url));
+let server;
+let opengraphUrl;
+
+before(async () => {
+  server = spawn(process.execPath, [SERVER_PATH, '0'], { stdio: ['ignore', 'pipe', 'inherit'] });
+  opengraphUrl = await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.once('exit', code => reject(new Error(`stub server exited with ${code}`)));
+    server.stdout.on('data', chunk => {
+      const match = String(chunk).match(/(http:\/\/\S+\/opengraph)/);
+      if (match) resolve(match[1]);
+    });
+  });
+});
+
+after(() => {
+  server.removeAllListeners('exit');
+  server.kill();
+});
+
+// A client whose fetch calls are counted
+function setup(options = {}) {
+  const calls = [];
+  const client = new RichTextExtractionClient('/api', {
+    opengraphUrl,
+    retries: 0,
+    fetch: (url, init) => { calls.push(String(url)); return fetch(url, init); },
+    ...options
+  });
+  return { client, calls };
+}
+
+test('returns the normalized OpenGraph card', async () => {
+  const { client } = setup();
+  const preview = await client.linkPreview('https://example.com/article');
+
+  assert.equal(preview.title, 'Example Article');
+  assert.equal(preview.siteName, 'Example');
+  assert.equal(preview.type, 'article');
+  assert.equal(preview.image, 'https://example.com/images/article.png');
+  assert.equal(preview.empty, false);
+});
+
+test('pages without OpenGraph data give an empty card', async () => {
+  const { client } = setup();
+  assert.equal((await client.linkPreview('https://example.com/nothing-here')).empty, true);
+});
+
+test('error statuses and { error } payloads reject', async () => {
+  const { client } = setup();
+  await assert.rejects(client.linkPreview('https://broken.test/'), { code: 'http', status: 500 });
+  await assert.rejects(client.linkPreview('https://error.test/'), { message: /ENOTFOUND error\.test/ });
+  await assert.rejects(client.linkPreview('ftp://example.com/'), /only http\(s\) URLs/);
+});
+
+test('previews are cached per URL', async () => {
+  const { client, calls } = setup();
+  const first = await client.linkPreview('https://example.com/');
+  const second = await client.linkPreview('https://example.com/');
+
+  assert.deepEqual(second, first);
+  assert.equal(calls.length, 1);
+  await client.linkPreview('https://example.com/', { cache: false });
+  assert.equal(calls.length, 2);
+});
+
+test('failed previews are not cached', async () => {
+  const { client, calls } = setup();
+  await assert.rejects(client.linkPreview('https://broken.test/'));
+  await assert.rejects(client.linkPreview('https://broken.test/'));
+  assert.equal(calls.length, 2);
+});
+
+test('concurrent previews of one URL share a request', async () => {
+  const { client, calls } = setup({ previewCache: false });
+  const previews = await Promise.all([
+    client.linkPreview('https://example.com/article'),
+    client.linkPreview('https://example.com/article'),
+    client.linkPreview('https://example.com/article')
+  ]);
+
+  assert.equal(calls.length, 1);
+  assert.equal(client.dedupedRequests, 2);
+  previews.forEach(preview => assert.equal(preview.title, 'Example Article'));
+});
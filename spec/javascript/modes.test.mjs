@@ -0,0 +1,108 @@
+// Remote, local and auto modes, and auto mode's fallback when the server is unreachable
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeBackend } from '../../app/javascript/rich_text_extraction/fake_backend.js';
+import { RichTextExtractionClient } from '../../app/javascript/rich_text_extraction/universal_client.js';
+
+function setup(options = {}) {
+  const backend = createFakeBackend();
+  const client = new RichTextExtractionClient('/api', { fetch: backend.fetch, cache: false, retries: 0, ...options });
+  const paths = () => backend.requests.map(request => `${request.method} ${request.path}`);
+  return { backend, client, paths };
+}
+
+test('auto mode extracts locally without calling the API when /health is unreachable', async () => {
+  const { backend, client, paths } = setup({ mode: 'auto' });
+  backend.fail('GET /health', { type: 'network' });
+
+  const result = await client.extract('see #ruby');
+  assert.equal(result.source, 'local');
+  assert.equal(result.approximate, true);
+  assert.deepEqual(result.data.hashtags, ['#ruby']);
+  assert.deepEqual(paths(), ['GET /health']);
+});
+
+test('auto mode treats a /health timeout or error status as unreachable', async () => {
+  const timedOut = setup({ mode: 'auto', healthTimeout: 20 });
+  timedOut.backend.fail('GET /health', { type: 'timeout' });
+  assert.equal((await timedOut.client.extract('see #ruby')).source, 'local');
+
+  const failing = setup({ mode: 'auto' });
+  failing.backend.fail('GET /health', { type: 'status', status: 500 });
+  assert.equal((await failing.client.extract('see #ruby')).source, 'local');
+});
+
+test('auto mode uses the server when /health answers ok', async () => {
+  const { client, paths } = setup({ mode: 'auto' });
+  const result = await client.extract('see #ruby');
+  assert.equal(result.source, 'server');
+  assert.equal(result.approximate, false);
+  assert.deepEqual(paths(), ['GET /health', 'POST /api/extract']);
+});
+
+test('the /health answer is reused for healthTtl', async () => {
+  const { backend, client, paths } = setup({ mode: 'auto', healthTtl: 60000 });
+  backend.fail('GET /health', { type: 'network' });
+
+  await client.extract('one');
+  await client.extract('two');
+  assert.deepEqual(paths(), ['GET /health']);
+
+  assert.equal(await client.isServerReachable({ force: true }), true);
+  assert.equal((await client.extract('three')).source, 'server');
+  assert.deepEqual(paths(), ['GET /health', 'GET /health', 'POST /api/extract']);
+});
+
+test('auto mode falls back when the API fails after a healthy check, and remembers it', async () => {
+  const { backend, client, paths } = setup({ mode: 'auto' });
+  backend.fail('POST /api/extract', { type: 'network' });
+
+  const result = await client.extract('see #ruby');
+  assert.equal(result.source, 'local');
+  assert.match(result.fallbackReason, /network|fetch/i);
+  assert.equal(client.health.reachable, false);
+
+  await client.extract('again');
+  assert.deepEqual(paths(), ['GET /health', 'POST /api/extract']);
+});
+
+test('auto mode rethrows errors that are not about connectivity', async () => {
+  const { backend, client } = setup({ mode: 'auto' });
+  backend.fail('POST /api/extract', { type: 'status', status: 422, body: { error: 'Text too long' } });
+  await assert.rejects(client.extract('see #ruby'), { status: 422 });
+});
+
+test('remote mode never falls back and local mode never calls the server', async () => {
+  const remote = setup({ mode: 'remote' });
+  remote.backend.fail('POST /api/extract', { type: 'network' });
+  await assert.rejects(remote.client.extract('see #ruby'), { code: 'network' });
+  assert.deepEqual(remote.paths(), ['POST /api/extract']);
+
+  const local = setup({ mode: 'local' });
+  assert.equal((await local.client.extract('see #ruby')).source, 'local');
+  assert.deepEqual(local.paths(), []);
+});
+
+test('requestOptions.mode overrides the client mode for one call', async () => {
+  const { client, paths } = setup({ mode: 'remote' });
+  assert.equal((await client.extract('see #ruby', {}, { mode: 'local' })).source, 'local');
+  assert.deepEqual(paths(), []);
+});
+
+test('auto mode skips /health while the browser is offline', async t => {
+  const { client, paths } = setup({ mode: 'auto' });
+  const descriptor = Object.getOwnPropertyDescriptor(globalThis, 'navigator');
+  Object.defineProperty(globalThis, 'navigator', { value: { onLine: false }, configurable: true });
+  t.after(() => {
+    if (descriptor) Object.defineProperty(globalThis, 'navigator', descriptor);
+    else delete globalThis.navigator;
+  });
+
+  assert.equal((await client.extract('see #ruby')).source, 'local');
+  assert.deepEqual(paths(), []);
+});
+
+test('setMode rejects unknown modes', () => {
+  const { client } = setup();
+  assert.throws(() => client.setMode('offline'), /Unknown mode "offline"/);
+});
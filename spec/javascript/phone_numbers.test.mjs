@@ -0,0 +1,73 @@
+// Offline phone parsing, E.164 normalization and the phones extractor
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePhoneNumber, createPhoneExtractor } from '../../app/javascript/rich_text_extraction/phone_numbers.js';
+import { findEntities } from '../../app/javascript/rich_text_extraction/extraction_patterns.js';
+
+test('parsePhoneNumber accepts common North American formats', () => {
+  ['(555) 234-5678', '555-234-5678', '555.234.5678', '5552345678', '+1-555-234-5678', '1 (555) 234-5678'].forEach(input => {
+    const phone = parsePhoneNumber(input);
+    assert.equal(phone?.e164, '+15552345678', input);
+    assert.equal(phone.nationalNumber, '5552345678');
+    assert.equal(phone.region, 'US');
+  });
+});
+
+test('parsePhoneNumber checks the North American area code but not the exchange', () => {
+  assert.equal(parsePhoneNumber('(555) 123-4567').e164, '+15551234567');
+  assert.equal(parsePhoneNumber('555-012-3456').e164, '+15550123456');
+  ['(055) 234-5678', '(155) 234-5678'].forEach(input => assert.equal(parsePhoneNumber(input), null, input));
+});
+
+test('parsePhoneNumber normalizes international numbers to E.164', () => {
+  assert.equal(parsePhoneNumber('+44 20 7946 0958').e164, '+442079460958');
+  assert.equal(parsePhoneNumber('+44 (0)20 7946 0958').e164, '+442079460958');
+  assert.equal(parsePhoneNumber('011 44 20 7946 0958').e164, '+442079460958');
+  assert.equal(parsePhoneNumber('+39 06 1234 5678').e164, '+390612345678');
+  assert.equal(parsePhoneNumber('020 7946 0958', { defaultRegion: 'GB' }).e164, '+442079460958');
+  assert.equal(parsePhoneNumber('00 1 212 555 0100', { defaultRegion: 'GB' }).e164, '+12125550100');
+});
+
+test('parsePhoneNumber reads extensions', () => {
+  const phone = parsePhoneNumber('+44 20 7946 0958 ext. 12');
+  assert.deepEqual(phone, { e164: '+442079460958', countryCode: '44', nationalNumber: '2079460958', extension: '12', region: 'GB' });
+
+  assert.equal(parsePhoneNumber('(212) 555-0100 x7').extension, '7');
+  assert.equal(parsePhoneNumber('212-555-0100 extension 301').extension, '301');
+  assert.equal(parsePhoneNumber('+12125550100;ext=9').extension, '9');
+});
+
+test('parsePhoneNumber rejects numbers that cannot be dialed', () => {
+  ['(055) 234-5678', '123456789012345', '+999 1234567', '212) 555-0100', '+1 212 +555 0100', 'SKU5551234567', 42].forEach(input => {
+    assert.equal(parsePhoneNumber(input), null, String(input));
+  });
+  assert.equal(parsePhoneNumber('020 7946 0958'), null);
+});
+
+test('the phones extractor describes the country code, extension and region', () => {
+  const phones = createPhoneExtractor({ defaultRegion: 'GB' });
+  const entities = findEntities('Call 020 7946 0958 ext. 12, order 123456789012345.', { phones });
+
+  assert.deepEqual(entities.map(({ value, normalized, countryCode, extension, region }) => ({ value, normalized, countryCode, extension, region })), [
+    { value: '020 7946 0958 ext. 12', normalized: '+442079460958', countryCode: '44', extension: '12', region: 'GB' }
+  ]);
+
+  const us = findEntities('Call +1 (555) 234-5678 x89 today', { phones: createPhoneExtractor() });
+  assert.equal(us.length, 1);
+  assert.deepEqual([us[0].normalized, us[0].countryCode, us[0].extension, us[0].region], ['+15552345678', '1', '89', 'US']);
+});
+
+test('parsePhoneNumber rejects IP addresses, netmasks and version numbers', () => {
+  ['192.168.100.200', '255.255.255.0', '10.0.0.1', '203.0.113.254', '1.2.3', '10.0.19041.1', '2.10.4321.5678'].forEach(input => {
+    assert.equal(parsePhoneNumber(input), null, input);
+  });
+  assert.equal(parsePhoneNumber('212.555.0100').e164, '+12125550100');
+  assert.equal(parsePhoneNumber('1.800.555.0199').e164, '+18005550199');
+  assert.equal(parsePhoneNumber('1.212.555.0100').e164, '+12125550100');
+  assert.equal(parsePhoneNumber('06.12.34.56.78', { defaultRegion: 'FR' }).e164, '+33612345678');
+});
+
+test('the phones extractor skips IP addresses, netmasks and version numbers', () => {
+  const text = 'Host 192.168.100.200, mask 255.255.255.0, build 10.0.19041.1 and v2.10.4321.5678; call 212.555.0100 or 1.800.555.0199.';
+  assert.deepEqual(findEntities(text, { phones: createPhoneExtractor() }).map(entity => entity.normalized), ['+12125550100', '+18005550199']);
+});
@@ -0,0 +1,110 @@
+// Server regexes (GET /validators/:id/regex) overriding the bundled patterns
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VALIDATOR_EXAMPLES } from '../../app/javascript/rich_text_extraction/validator_examples.js';
+import { translateRubyRegex, toScanningPattern } from '../../app/javascript/rich_text_extraction/regex_translator.js';
+import { RichTextExtractionClient } from '../../app/javascript/rich_text_extraction/universal_client.js';
+
+const rubyRegex = symbol => VALIDATOR_EXAMPLES.find(fixture => fixture.symbol === symbol).regex;
+
+function clientWithPatterns(sources) {
+  const client = new RichTextExtractionClient('/api', { mode: 'local' });
+  Object.entries(sources).forEach(([symbol, source]) => assert.ok(client.applyRemotePattern(symbol, source)));
+  client.rebuildPatternOverrides();
+  return client;
+}
+
+test('method-based validators keep their checks after loading their server regex', () => {
+  const client = clientWithPatterns({ luhn: rubyRegex('luhn'), vin: rubyRegex('vin'), url: rubyRegex('url') });
+
+  assert.equal(client.validateLocally('luhn', '79927398713').valid, true);
+  assert.deepEqual(Object.keys(client.validatorOverrides), []);
+  assert.equal(client.extractionOverrides.links, undefined);
+});
+
+test('regex-only validators use the server regex', () => {
+  const client = clientWithPatterns({ uuid: '(?-mix:\\A[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\\z)' });
+
+  assert.equal(client.validateLocally('uuid', '550e8400-e29b-41d4-a716-446655440000').valid, true);
+  assert.equal(client.validateLocally('uuid', '550E8400-E29B-41D4-A716-446655440000').valid, false);
+});
+
+test('hashtags and mentions still extract with the Ruby patterns loaded', () => {
+  const client = clientWithPatterns({ hashtag: rubyRegex('hashtag'), mention: rubyRegex('mention') });
+  const { data } = client.processTextLocally('Hi @josé, see #café and #日本語');
+
+  assert.deepEqual(data.hashtags, ['#café', '#日本語']);
+  assert.deepEqual(data.mentions, ['@josé']);
+});
+
+test('toScanningPattern drops \\A/\\z and ^/$ anchors at the ends', () => {
+  assert.equal(toScanningPattern(translateRubyRegex('\\A\\w+\\z'), '#').source, '#\\w+');
+  assert.equal(toScanningPattern(translateRubyRegex('^\\w+$'), '#').source, '#\\w+');
+  assert.deepEqual('#one #two'.match(toScanningPattern(translateRubyRegex('/^\\w+$/'), '#')), ['#one', '#two']);
+  assert.equal(toScanningPattern(translateRubyRegex('^\\w+\\$'), '$').source, '\\$\\w+\\$');
+});
+
+test('toScanningPattern refuses patterns anchored elsewhere', () => {
+  assert.throws(() => toScanningPattern(translateRubyRegex('(?:^a|b)c'), '#'), /anchors/);
+  assert.doesNotThrow(() => toScanningPattern(translateRubyRegex('[$^]+'), '#'));
+});
+
+test('an override that cannot be unanchored keeps the bundled extractor', () => {
+  const client = clientWithPatterns({ hashtag: '(?:^a|b)\\w+' });
+
+  assert.equal(client.extractionOverrides.hashtags, undefined);
+  assert.deepEqual(client.processTextLocally('see #ruby').data.hashtags, ['#ruby']);
+});
+
+// A localStorage stand-in; `fail` names the methods that throw
+function fakeStorage(entries = {}, fail = {}) {
+  const store = new Map(Object.entries(entries));
+  const guard = (method, error) => {
+    if (fail[method]) throw Object.assign(new Error(error), { name: error });
+  };
+  return {
+    store,
+    getItem: key => { guard('getItem', 'SecurityError'); return store.has(key) ? store.get(key) : null; },
+    setItem: (key, value) => { guard('setItem', 'QuotaExceededError'); store.set(key, String(value)); },
+    removeItem: key => { guard('removeItem', 'SecurityError'); store.delete(key); }
+  };
+}
+
+function withStorage(storage, fn) {
+  globalThis.localStorage = storage;
+  try {
+    return fn();
+  } finally {
+    delete globalThis.localStorage;
+  }
+}
+
+test('cached patterns are restored by the constructor', () => {
+  const storage = fakeStorage({ richTextExtractionRegexCache: JSON.stringify({ uuid: '(?-mix:\\A[0-9a-f-]{36}\\z)' }) });
+  const client = withStorage(storage, () => new RichTextExtractionClient('/api', { mode: 'local' }));
+
+  assert.deepEqual(Object.keys(client.validatorOverrides), ['uuid']);
+});
+
+test('a corrupt cache entry is dropped instead of breaking the constructor', () => {
+  ['{not json', 'null', '[1, 2]'].forEach(value => {
+    const storage = fakeStorage({ richTextExtractionRegexCache: value });
+    const client = withStorage(storage, () => new RichTextExtractionClient('/api', { mode: 'local' }));
+
+    assert.deepEqual(client.remotePatterns, {}, value);
+    assert.equal(storage.store.has('richTextExtractionRegexCache'), false, value);
+  });
+});
+
+test('storage that throws on read or write leaves the client working', () => {
+  const blocked = fakeStorage({}, { getItem: true, setItem: true, removeItem: true });
+  const client = withStorage(blocked, () => new RichTextExtractionClient('/api', { mode: 'local' }));
+  assert.equal(client.validateLocally('uuid', '550e8400-e29b-41d4-a716-446655440000').valid, true);
+
+  const full = fakeStorage({ richTextExtractionRegexCache: '{}' }, { setItem: true });
+  withStorage(full, () => {
+    assert.ok(client.applyRemotePattern('uuid', '(?-mix:\\A[0-9a-f-]{36}\\z)'));
+    assert.doesNotThrow(() => client.persistRemotePatterns());
+  });
+  assert.equal(full.store.has('richTextExtractionRegexCache'), false);
+});
@@ -0,0 +1,68 @@
+// CSV export escaping, including cells a spreadsheet would run as formulas,
+// and JSON-LD export when the server has no mapping to offer
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCsv } from '../../app/javascript/rich_text_extraction/report_export.js';
+import { createFakeBackend } from '../../app/javascript/rich_text_extraction/fake_backend.js';
+import { RichTextExtractionClient } from '../../app/javascript/rich_text_extraction/universal_client.js';
+
+const csv = rows => toCsv({ columns: ['value'], rows: rows.map(value => ({ value })) }).split('\r\n').slice(1, -1);
+
+test('text starting with =, +, -, @, tab or CR is prefixed with a quote', () => {
+  assert.deepEqual(csv(['=HYPERLINK("http://evil.test")', '+1 555 0100', '-2+3', '@SUM(A1)', '\tcmd', '\rcmd']), [
+    `"'=HYPERLINK(""http://evil.test"")"`,
+    "'+1 555 0100",
+    "'-2+3",
+    "'@SUM(A1)",
+    "'\tcmd",
+    `"'\rcmd"`
+  ]);
+});
+
+test('numbers, including negative ones, are left alone', () => {
+  assert.deepEqual(csv([-1, 0.61803398, 42]), ['-1', '0.618', '42']);
+});
+
+test('quotes, commas, line breaks and edge spaces are quoted', () => {
+  assert.deepEqual(csv(['say "hi"', 'a,b', 'line\nbreak', ' padded', 'plain', null]), [
+    '"say ""hi"""', '"a,b"', '"line\nbreak"', '" padded"', 'plain', ''
+  ]);
+});
+
+function jsonLdSetup() {
+  const backend = createFakeBackend();
+  const client = new RichTextExtractionClient('/api', { fetch: backend.fetch, mode: 'local', retries: 0 });
+  return { backend, client, result: client.processTextLocally('see #ruby') };
+}
+
+test('jsonLdMappingFor reads the mapping from /validators/:id/jsonld', async () => {
+  const { client } = jsonLdSetup();
+  assert.deepEqual(await client.jsonLdMappingFor('hashtags', 'ruby'), { type: 'Thing', property: 'identifier' });
+});
+
+for (const status of [404, 422, 500]) {
+  test(`a ${status} from /validators/:id/jsonld exports without a mapping`, async () => {
+    const { backend, client, result } = jsonLdSetup();
+    backend.fail(/jsonld/, { type: 'status', status });
+
+    assert.equal(await client.jsonLdMappingFor('hashtags', 'ruby'), null);
+    assert.equal(JSON.parse(await client.exportReport(result, 'jsonld'))['@graph'].length, 1);
+  });
+}
+
+test('a 500 is asked again on the next export; a 422 is not', async () => {
+  const { backend, client } = jsonLdSetup();
+  backend.fail(/hashtag\/jsonld/, { type: 'status', status: 500 });
+  backend.fail(/mention\/jsonld/, { type: 'status', status: 422 });
+
+  assert.equal(await client.jsonLdMappingFor('hashtags', 'ruby'), null);
+  assert.equal(await client.jsonLdMappingFor('mentions', 'bob'), null);
+  assert.notEqual(await client.jsonLdMappingFor('hashtags', 'ruby'), null);
+  assert.equal(await client.jsonLdMappingFor('mentions', 'bob'), null);
+});
+
+test('other failures still reject', async () => {
+  const { backend, client } = jsonLdSetup();
+  backend.fail(/jsonld/, { type: 'status', status: 403 });
+  await assert.rejects(client.jsonLdMappingFor('hashtags', 'ruby'), { status: 403 });
+});
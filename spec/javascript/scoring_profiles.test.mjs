@@ -0,0 +1,130 @@
+// Scoring profiles (weights, thresholds, ranges, texts) and custom sacredGeometry metrics
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_SCORING_PROFILE, defineScoringProfile, categoryWeight, recommendationsFor
+} from '../../app/javascript/rich_text_extraction/scoring_profiles.js';
+import { RichTextExtractionClient } from '../../app/javascript/rich_text_extraction/universal_client.js';
+
+const VORTEX_CONSTANT = 2.665144142690225;
+const localClient = options => new RichTextExtractionClient('/api', { mode: 'local', ...options });
+
+test('defineScoringProfile fills in anything left out from the base profile', () => {
+  const strict = defineScoringProfile('strict', { thresholds: { sacredBalanceScore: 0.9, vortexConstantRatio: null }, weights: { hashtags: 2 } });
+
+  assert.equal(strict.name, 'strict');
+  assert.deepEqual(strict.weights, { hashtags: 2 });
+  assert.deepEqual(strict.thresholds, { sacredBalanceScore: 0.9, goldenRatioCompliance: 0.8, vortexConstantRatio: null });
+  assert.deepEqual(strict.goldenRatioRange, DEFAULT_SCORING_PROFILE.goldenRatioRange);
+  assert.equal(strict.recommendations.excellent, DEFAULT_SCORING_PROFILE.recommendations.excellent);
+
+  const derived = defineScoringProfile('derived', { goldenRatioRange: [1, 3] }, strict);
+  assert.deepEqual([derived.weights, derived.thresholds.sacredBalanceScore, derived.goldenRatioRange], [{ hashtags: 2 }, 0.9, [1, 3]]);
+});
+
+test('defineScoringProfile rejects bad ranges and non-numeric weights or thresholds', () => {
+  assert.throws(() => defineScoringProfile('x', { goldenRatioRange: [2, 1] }), /needs goldenRatioRange as \[min, max\]/);
+  assert.throws(() => defineScoringProfile('x', { goldenRatioRange: [1] }), /needs goldenRatioRange/);
+  assert.throws(() => defineScoringProfile('x', { weights: { hashtags: '2' } }), /non-numeric weights\.hashtags \("2"\)/);
+  assert.throws(() => defineScoringProfile('x', { weights: { hashtags: null } }), /non-numeric weights\.hashtags/);
+  assert.throws(() => defineScoringProfile('x', { thresholds: { sacredBalanceScore: NaN } }), /non-numeric thresholds\.sacredBalanceScore/);
+});
+
+test('categoryWeight prefers the profile weight over the extractor weight', () => {
+  const profile = defineScoringProfile('p', { weights: { hashtags: 0 } });
+  assert.equal(categoryWeight(profile, 'hashtags', { weight: 0.3 }), 0);
+  assert.equal(categoryWeight(profile, 'emails', { weight: 0.3 }), 0.3);
+  assert.equal(categoryWeight(profile, 'dates', {}), 0);
+});
+
+test('recommendationsFor lists metrics below their threshold, or the excellent text', () => {
+  const profile = defineScoringProfile('p', {
+    thresholds: { goldenRatioCompliance: null, readability: 0.5 },
+    recommendations: { excellent: 'All good' }
+  });
+
+  assert.deepEqual(recommendationsFor(profile, { sacredBalanceScore: 0.1, goldenRatioCompliance: 0, vortexConstantRatio: 0.6, readability: 0.2 }), [
+    DEFAULT_SCORING_PROFILE.recommendations.sacredBalanceScore,
+    'readability is below 0.5'
+  ]);
+  assert.deepEqual(recommendationsFor(profile, { sacredBalanceScore: 0.7, vortexConstantRatio: 0.6 }), ['All good']);
+});
+
+test('profiles are registered, extended and selected by name', () => {
+  const client = localClient({ scoringProfiles: { strict: { thresholds: { sacredBalanceScore: 0.95 } } } });
+  client.registerScoringProfile('stricter', { extends: 'strict', goldenRatioRange: [1.6, 1.7] });
+
+  assert.equal(client.scoringProfileFor('stricter').thresholds.sacredBalanceScore, 0.95);
+  assert.equal(client.scoringProfile, 'default');
+
+  client.setScoringProfile('stricter');
+  assert.equal(client.processTextLocally('hello').scoringProfile, 'stricter');
+  assert.equal(client.processTextLocally('hello', { profile: 'default' }).scoringProfile, 'default');
+
+  assert.throws(() => client.setScoringProfile('nope'), /Unknown scoring profile "nope" \(expected default, strict, stricter\)/);
+  assert.throws(() => client.registerScoringProfile('x', { extends: 'nope' }), /Unknown scoring profile "nope"/);
+  assert.throws(() => localClient({ scoringProfile: 'nope' }), /Unknown scoring profile/);
+});
+
+test('profile weights change the vortex energy of each category', () => {
+  const client = localClient().registerScoringProfile('tags', { weights: { hashtags: 10 } });
+  const text = 'see #ruby';
+  const hashtagWeight = client.extractors.hashtags.weight;
+
+  const base = client.processTextLocally(text).vortexFlow.energy;
+  const weighted = client.processTextLocally(text, { profile: 'tags' }).vortexFlow.energy;
+  assert.ok(Math.abs(weighted - base - text.length * 0.1 * (10 - hashtagWeight) * VORTEX_CONSTANT) < 1e-9);
+});
+
+test('validateSacredGeometry checks the golden ratio against the profile range', () => {
+  const client = localClient().registerScoringProfile('narrow', { goldenRatioRange: [1.0, 1.1] });
+  const result = client.processTextLocally('hello');
+
+  assert.equal(client.validateSacredGeometry(result).isValid, true);
+  assert.equal(client.validateSacredGeometry(result, { profile: 'narrow' }).isValid, false);
+  assert.equal(client.validateSacredGeometry(client.processTextLocally('hello', { profile: 'narrow' })).isValid, false);
+});
+
+test('custom metrics are added to sacredGeometry with the analysis and profile', () => {
+  const client = localClient();
+  const calls = [];
+  client.registerMetric('hashtagShare', (text, analysis, profile) => {
+    calls.push(profile.name);
+    return analysis.counts.hashtags / text.length;
+  });
+
+  assert.equal(client.processTextLocally('#a #b').sacredGeometry.hashtagShare, 2 / 5);
+  assert.deepEqual(calls, ['default']);
+
+  assert.equal(client.unregisterMetric('hashtagShare'), true);
+  assert.equal('hashtagShare' in client.processTextLocally('#a').sacredGeometry, false);
+});
+
+test('registerMetric rejects built-in names and missing calculators', () => {
+  const client = localClient();
+  assert.throws(() => client.registerMetric('sacredBalanceScore', () => 1), /Metric "sacredBalanceScore" is built in/);
+  assert.throws(() => client.registerMetric('custom', 1), /Metric "custom" needs a calculate function/);
+});
+
+test('batch reports summarize custom metrics and count results below each threshold', () => {
+  const client = localClient()
+    .registerMetric('length', text => text.length)
+    .registerScoringProfile('lengthy', { thresholds: { length: 4 } });
+  const results = ['ab', 'abcdef', 'abcd'].map(text => client.processTextLocally(text, { profile: 'lengthy' }));
+
+  const report = client.generateReport(results);
+  assert.deepEqual(report.metrics, { length: { average: 4, best: 6, worst: 2 } });
+  assert.equal(report.belowThreshold.length, 1);
+  assert.equal(report.belowThreshold.sacredBalanceScore, results.filter(r => r.sacredGeometry.sacredBalanceScore < 0.7).length);
+
+  assert.equal('length' in client.generateReport(results, { profile: 'default' }).belowThreshold, false);
+});
+
+test('single reports take recommendations from the result profile unless overridden', () => {
+  const client = localClient()
+    .registerScoringProfile('lenient', { thresholds: { sacredBalanceScore: null, goldenRatioCompliance: null, vortexConstantRatio: null } });
+  const result = client.processTextLocally('hello', { profile: 'lenient' });
+
+  assert.deepEqual(client.generateReport(result).recommendations, [DEFAULT_SCORING_PROFILE.recommendations.excellent]);
+  assert.notDeepEqual(client.generateReport(result, { profile: 'default' }).recommendations, [DEFAULT_SCORING_PROFILE.recommendations.excellent]);
+});
@@ -0,0 +1,71 @@
+// URL trimming, canonicalization, tracking parameter removal and grouping
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { trimUrl, canonicalizeUrl, groupUrls } from '../../app/javascript/rich_text_extraction/urls.js';
+import { RichTextExtractionClient } from '../../app/javascript/rich_text_extraction/universal_client.js';
+
+test('trimUrl drops sentence punctuation and unbalanced closing brackets', () => {
+  assert.equal(trimUrl('https://example.com/a.'), 'https://example.com/a');
+  assert.equal(trimUrl('https://example.com/a?!'), 'https://example.com/a');
+  assert.equal(trimUrl('https://example.com/a),'), 'https://example.com/a');
+  assert.equal(trimUrl('https://example.com/a"'), 'https://example.com/a');
+  assert.equal(trimUrl('https://en.wikipedia.org/wiki/Ruby_(language)'), 'https://en.wikipedia.org/wiki/Ruby_(language)');
+  assert.equal(trimUrl('https://en.wikipedia.org/wiki/Ruby_(language)).'), 'https://en.wikipedia.org/wiki/Ruby_(language)');
+  assert.equal(trimUrl('https://example.com/[1]]'), 'https://example.com/[1]');
+});
+
+test('canonicalizeUrl lowercases scheme and host and drops the default port', () => {
+  assert.equal(canonicalizeUrl('HTTPS://Example.COM:443'), 'https://example.com/');
+  assert.equal(canonicalizeUrl('http://example.com:80/Path'), 'http://example.com/Path');
+  assert.equal(canonicalizeUrl('https://example.com:8443/'), 'https://example.com:8443/');
+});
+
+test('canonicalizeUrl uses punycode for internationalized domains', () => {
+  assert.equal(canonicalizeUrl('https://bücher.de/katalog'), 'https://xn--bcher-kva.de/katalog');
+  assert.equal(canonicalizeUrl('https://BÜCHER.de'), 'https://xn--bcher-kva.de/');
+});
+
+test('canonicalizeUrl drops the trailing dot of a fully qualified host', () => {
+  assert.equal(canonicalizeUrl('https://example.com./docs'), 'https://example.com/docs');
+});
+
+test('canonicalizeUrl keeps the query and fragment as written unless stripping tracking', () => {
+  const url = 'https://example.com/?q=a%20b+c&utm_source=news&b=2#top';
+  assert.equal(canonicalizeUrl(url), url);
+  assert.equal(canonicalizeUrl(url, { stripTracking: true }), 'https://example.com/?q=a+b+c&b=2#top');
+  assert.equal(canonicalizeUrl('https://example.com/?q=a%20b', { stripTracking: true }), 'https://example.com/?q=a%20b');
+});
+
+test('stripTracking removes utm_* and the known click ids only', () => {
+  const url = 'https://example.com/p?UTM_Campaign=x&fbclid=1&GCLID=2&msclkid=3&_ga=4&id=7&utmost=8';
+  assert.equal(canonicalizeUrl(url, { stripTracking: true }), 'https://example.com/p?id=7&utmost=8');
+  assert.equal(canonicalizeUrl('https://example.com/p?utm_source=x', { stripTracking: true }), 'https://example.com/p');
+});
+
+test('canonicalizeUrl returns null for values that do not parse', () => {
+  assert.equal(canonicalizeUrl('not a url'), null);
+  assert.equal(canonicalizeUrl('https://'), null);
+});
+
+test('groupUrls groups by canonical form and counts repeats', () => {
+  const urls = ['https://Example.com/a', 'https://example.com/a', 'https://example.com:443/a', 'https://example.com/a', 'https://example.com/b?utm_source=x'];
+  assert.deepEqual(groupUrls(urls), [
+    { canonical: 'https://example.com/a', urls: ['https://Example.com/a', 'https://example.com/a', 'https://example.com:443/a'], count: 4 },
+    { canonical: 'https://example.com/b?utm_source=x', urls: ['https://example.com/b?utm_source=x'], count: 1 }
+  ]);
+  assert.equal(groupUrls(['https://example.com/b', 'https://example.com/b?utm_source=x'], { stripTracking: true }).length, 1);
+});
+
+test('the links extractor trims matches and canonicalizes in canonical mode', () => {
+  const text = 'Read (https://Example.com/a?utm_source=x), then https://example.com/a.';
+
+  const raw = new RichTextExtractionClient('/api', { mode: 'local' });
+  assert.deepEqual(raw.extractLinks(text), ['https://Example.com/a?utm_source=x', 'https://example.com/a']);
+
+  const canonical = new RichTextExtractionClient('/api', { mode: 'local', urlMode: 'canonical', stripTracking: true });
+  assert.deepEqual(canonical.extractLinks(text), ['https://example.com/a']);
+  assert.deepEqual(canonical.groupLinks(text), [{ canonical: 'https://example.com/a', urls: ['https://example.com/a'], count: 2 }]);
+
+  assert.deepEqual(raw.groupLinks(text).map(group => group.count), [1, 1]);
+  assert.throws(() => raw.setUrlMode('pretty'), /Unknown URL mode "pretty"/);
+});
@@ -0,0 +1,34 @@
+// Local validators against Ruby's VALIDATOR_EXAMPLES (validator_examples.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VALIDATOR_EXAMPLES } from '../../app/javascript/rich_text_extraction/validator_examples.js';
+import { LOCAL_VALIDATORS, validateValue } from '../../app/javascript/rich_text_extraction/validators.js';
+import { RichTextExtractionClient } from '../../app/javascript/rich_text_extraction/universal_client.js';
+
+test('every Ruby validator has a local counterpart', () => {
+  assert.deepEqual(Object.keys(LOCAL_VALIDATORS).sort(), VALIDATOR_EXAMPLES.map(fixture => fixture.symbol).sort());
+});
+
+VALIDATOR_EXAMPLES.forEach(({ symbol, valid, invalid }) => {
+  test(`${symbol} accepts Ruby's valid examples and rejects the invalid ones`, () => {
+    valid.forEach(value => assert.equal(validateValue(symbol, value).valid, true, `${symbol}: ${JSON.stringify(value)}`));
+    invalid.forEach(value => assert.equal(validateValue(symbol, value).valid, false, `${symbol}: ${JSON.stringify(value)}`));
+  });
+
+  test(`validateLocally(${symbol}) agrees with the examples`, () => {
+    const client = new RichTextExtractionClient('/api', { mode: 'local' });
+    valid.forEach(value => assert.equal(client.validateLocally(symbol, value).valid, true, JSON.stringify(value)));
+    invalid.forEach(value => assert.equal(client.validateLocally(symbol, value).valid, false, JSON.stringify(value)));
+  });
+});
+
+test('unknown validators and blank values are rejected like the validate endpoint', () => {
+  assert.deepEqual(validateValue('nope', 'x'), { valid: false, errors: ['Validator not found'] });
+  assert.deepEqual(validateValue('uuid', '  '), { valid: false, errors: ['Value is required'] });
+});
+
+test('ip takes IPv4 and IPv6 with the message of Ruby IpValidator', () => {
+  assert.deepEqual(validateValue('ip', '2001:db8::1'), { valid: true, errors: [] });
+  assert.deepEqual(validateValue('ip', '[::1]'), { valid: false, errors: ['is not a valid IP address'] });
+  assert.deepEqual(validateValue('ip', '::1/128'), { valid: false, errors: ['is not a valid IP address'] });
+});
@@ -0,0 +1,106 @@
+// client.validators against the fake backend: routes, parameters and normalized responses
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VALIDATOR_EXAMPLES } from '../../app/javascript/rich_text_extraction/validator_examples.js';
+import { createFakeBackend } from '../../app/javascript/rich_text_extraction/fake_backend.js';
+import { RichTextExtractionClient } from '../../app/javascript/rich_text_extraction/universal_client.js';
+import { normalizeValidator, normalizeValidation } from '../../app/javascript/rich_text_extraction/validators_resource.js';
+
+const isbn = VALIDATOR_EXAMPLES.find(entry => entry.symbol === 'isbn');
+
+function setup() {
+  const backend = createFakeBackend();
+  const client = new RichTextExtractionClient('/api', { fetch: backend.fetch, cache: false, retries: 0 });
+  const last = () => {
+    const request = backend.requests[backend.requests.length - 1];
+    return `${request.method} ${request.path}${request.query ? `?${request.query}` : ''}`;
+  };
+  return { backend, client, validators: client.validators, last };
+}
+
+function respondWith(body) {
+  const fetch = async () => new Response(JSON.stringify(body), { status: 200, headers: { 'Content-Type': 'application/json' } });
+  return new RichTextExtractionClient('/api', { fetch, cache: false, retries: 0 }).validators;
+}
+
+test('normalizeValidator camelCases an entry and fills in defaults', () => {
+  assert.deepEqual(normalizeValidator({ symbol: 'isbn', schema_type: 'Book', schema_property: 'isbn', regex: /\d+/, valid: ['1'] }), {
+    symbol: 'isbn', schemaType: 'Book', schemaProperty: 'isbn', description: null, regex: '\\d+', valid: ['1'], invalid: []
+  });
+  assert.equal(normalizeValidator(null, 'vin').symbol, 'vin');
+  assert.deepEqual(normalizeValidation({ valid: 'yes', errors: 'bad' }, 'x'), { value: 'x', valid: false, errors: [], jsonld: null });
+});
+
+test('list requests /validators and passes fields as a comma-separated list', async () => {
+  const { validators, last } = setup();
+  const all = await validators.list();
+  assert.equal(last(), 'GET /validators');
+  assert.deepEqual(all.find(entry => entry.symbol === 'isbn').valid, isbn.valid);
+
+  const trimmed = await validators.list({ fields: ['symbol', 'schema_type'] });
+  assert.equal(last(), 'GET /validators?fields=symbol%2Cschema_type');
+  assert.deepEqual(Object.keys(trimmed[0]), ['symbol', 'schemaType', 'schemaProperty', 'description', 'regex', 'valid', 'invalid']);
+});
+
+test('show, fields and examples read /validators/:id, /fields and /:id/examples', async () => {
+  const { validators, last } = setup();
+
+  const shown = await validators.show('isbn');
+  assert.equal(last(), 'GET /validators/isbn');
+  assert.deepEqual([shown.symbol, shown.schemaType, shown.schemaProperty], ['isbn', 'Book', 'isbn']);
+
+  assert.ok((await validators.fields()).includes('isbn'));
+  assert.equal(last(), 'GET /validators/fields');
+
+  assert.deepEqual(await validators.examples('isbn'), { valid: isbn.valid, invalid: isbn.invalid });
+  assert.equal(last(), 'GET /validators/isbn/examples');
+});
+
+test('jsonld sends the value as a query parameter', async () => {
+  const { validators, last } = setup();
+  assert.deepEqual(await validators.jsonld('isbn', '978-3-16-148410-0'), {
+    '@context': 'https://schema.org', '@type': 'Book', isbn: '978-3-16-148410-0'
+  });
+  assert.equal(last(), 'GET /validators/isbn/jsonld?value=978-3-16-148410-0');
+});
+
+test('regex is null when the server has none (404)', async () => {
+  const { validators } = setup();
+  assert.equal(await validators.regex('schema_org'), null);
+  assert.equal(await respondWith({ regex: '\\A\\d+\\z' }).regex('isbn'), '\\A\\d+\\z');
+});
+
+test('validate posts the value and returns errors and metadata', async () => {
+  const { backend, validators, last } = setup();
+  const result = await validators.validate('isbn', '123');
+
+  assert.equal(last(), 'POST /validators/isbn/validate');
+  assert.deepEqual(backend.requests[0].body, { value: '123' });
+  assert.deepEqual([result.value, result.valid, result.errors], ['123', false, ['is not a valid ISBN']]);
+  assert.equal(result.metadata.schemaType, 'Book');
+});
+
+test('batchValidate keeps the order of the values', async () => {
+  const { backend, validators, last } = setup();
+  const results = await validators.batchValidate('isbn', ['978-3-16-148410-0', '123']);
+
+  assert.equal(last(), 'POST /validators/isbn/batch_validate');
+  assert.deepEqual(backend.requests[0].body, { values: ['978-3-16-148410-0', '123'] });
+  assert.deepEqual(results.map(({ value, valid }) => [value, valid]), [['978-3-16-148410-0', true], ['123', false]]);
+
+  await assert.rejects(validators.batchValidate('isbn', '123'), /expects an array of values/);
+  assert.equal(backend.requests.length, 1);
+});
+
+test('unknown validators reject with the 404 payload', async () => {
+  const { validators } = setup();
+  await assert.rejects(validators.show('nope'), { code: 'http', status: 404, message: 'Validator request failed: Validator not found' });
+  await assert.rejects(validators.examples('nope'), { status: 404 });
+});
+
+test('responses that do not match the OpenAPI spec are schema errors', async () => {
+  await assert.rejects(respondWith({ fields: 'isbn' }).fields(), { code: 'schema', message: /response\.fields: expected array, got string/ });
+  await assert.rejects(respondWith({ error: 'nope' }).list(), { code: 'schema', message: /response\.error: expected object, got string/ });
+  await assert.rejects(respondWith([isbn]).list(), { code: 'schema', message: /response: expected object, got array/ });
+  await assert.rejects(respondWith({ valid: [], invalid: [] }).examples('isbn'), { code: 'schema', message: /response\.examples: missing/ });
+});
@@ -0,0 +1,21 @@
+# frozen_string_literal: true
+
+##
+# Checks the shared Markdown fixtures against the Redcarpet renderer.
+#
+# The same fixtures are checked against the client-side renderer by
+# bin/check_markdown_fixtures.js, keeping both outputs in step. Fixtures
+# marked client_only cover deliberate client-side differences and are skipped.
+
+require 'spec_helper'
+require 'json'
+
+RSpec.describe RichTextExtraction::Helpers::MarkdownHelpers do
+  fixtures = JSON.parse(File.read(File.expand_path('../fixtures/markdown_rendering.json', __dir__)))
+
+  fixtures.reject { |fixture| fixture['client_only'] }.each do |fixture|
+    it "renders #{fixture['name']} like the client-side renderer" do
+      expect(described_class.render_markdown_html(fixture['markdown'])).to eq(fixture['html'])
+    end
+  end
+end
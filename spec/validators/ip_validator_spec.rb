@@ -0,0 +1,37 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+RSpec.describe 'ip validator (auto-loaded)' do
+  let(:validator_class) { RichTextExtraction::Validators::AutoLoader.get_validator_class(:ip) }
+  let(:model) do
+    klass = validator_class
+    Class.new do
+      include ActiveModel::Model
+      include ActiveModel::Validations
+      attr_accessor :value
+
+      def self.name = 'IpModel'
+
+      validates_with klass, attributes: [:value]
+    end
+  end
+
+  it 'accepts IPv4 and IPv6 addresses' do
+    ['192.168.1.1', '2001:db8::1', '::1', '::ffff:192.168.1.1'].each do |value|
+      expect(model.new(value: value)).to be_valid, "Expected #{value.inspect} to be valid"
+    end
+  end
+
+  it 'rejects other values with the IP address message' do
+    ['999.999.999.999', 'abc', '2001:db8::g1', 'fe80::1%eth0'].each do |value|
+      record = model.new(value: value)
+      expect(record).not_to be_valid, "Expected #{value.inspect} to be invalid"
+      expect(record.errors[:value]).to eq(['is not a valid IP address'])
+    end
+  end
+
+  it 'backs the validate endpoint' do
+    expect(RichTextExtraction::API::ValidatorAPI.validator_result(:ip, '2001:db8::1')).to eq(valid: true, errors: [])
+  end
+end
@@ -0,0 +1,35 @@
+# frozen_string_literal: true
+
+##
+# Keeps app/javascript/rich_text_extraction/validator_examples.js in step with
+# VALIDATOR_EXAMPLES.
+#
+# The fake backend serves this metadata and these examples, and the JS tests
+# (spec/javascript/validators.test.mjs) check the client's local validators
+# against them; regenerate the module with bin/generate_validator_fixtures.rb.
+
+require 'spec_helper'
+require 'json'
+
+RSpec.describe RichTextExtraction::Core::Constants do
+  source = File.read(File.expand_path('../../app/javascript/rich_text_extraction/validator_examples.js', __dir__))
+  fixtures = JSON.parse(source[/VALIDATOR_EXAMPLES = (\[.*\]);/m, 1])
+
+  it 'lists every validator' do
+    expect(fixtures.map { |fixture| fixture['symbol'] }).to eq(described_class::VALIDATOR_EXAMPLES.keys.map(&:to_s))
+  end
+
+  fixtures.each do |fixture|
+    it "matches the #{fixture['symbol']} metadata, examples and regex" do
+      symbol = fixture['symbol'].to_sym
+      entry = described_class::VALIDATOR_EXAMPLES[symbol]
+
+      expect(fixture.values_at('schema_type', 'schema_property', 'description', 'regex_constant'))
+        .to eq(entry.values_at(:schema_type, :schema_property, :description, :regex))
+
+      expect(fixture['valid']).to eq(entry[:valid])
+      expect(fixture['invalid']).to eq(entry[:invalid])
+      expect(fixture['regex']).to eq(described_class.resolve_validator_regex(symbol)&.to_s)
+    end
+  end
+end